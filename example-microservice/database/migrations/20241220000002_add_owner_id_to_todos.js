@@ -0,0 +1,27 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    // Owner of the todo (JWT subject). Existing rows have no owner and are
+    // not visible to any user until they are assigned one.
+    table.uuid('ownerId').nullable().after('id');
+
+    // Every query is scoped to the owner
+    table.index(['ownerId', 'completed']);
+    table.index(['ownerId', 'createdAt']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropIndex(['ownerId', 'completed']);
+    table.dropIndex(['ownerId', 'createdAt']);
+    table.dropColumn('ownerId');
+  });
+};
@@ -0,0 +1,26 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    // Workspace the todo belongs to. Existing rows move to the default tenant.
+    table.string('tenantId', 64).notNullable().defaultTo('default').after('id');
+
+    // Every query is scoped to the tenant first, then to the owner
+    table.index(['tenantId', 'ownerId', 'completed']);
+    table.index(['tenantId', 'ownerId', 'createdAt']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropIndex(['tenantId', 'ownerId', 'completed']);
+    table.dropIndex(['tenantId', 'ownerId', 'createdAt']);
+    table.dropColumn('tenantId');
+  });
+};
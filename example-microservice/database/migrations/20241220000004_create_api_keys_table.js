@@ -0,0 +1,40 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('api_keys', function(table) {
+    // Primary key
+    table.uuid('id').primary().notNullable();
+
+    // Ownership
+    table.string('tenantId', 64).notNullable();
+    table.uuid('createdBy').notNullable();
+
+    // Key material (only the SHA-256 hash of the key is stored)
+    table.string('name', 100).notNullable();
+    table.string('keyPrefix', 16).notNullable();
+    table.string('keyHash', 64).notNullable().unique();
+    table.json('scopes').notNullable();
+
+    // Lifecycle
+    table.datetime('expiresAt').nullable();
+    table.datetime('lastUsedAt').nullable();
+    table.datetime('revokedAt').nullable();
+
+    // Timestamps
+    table.datetime('createdAt').notNullable().defaultTo(knex.fn.now());
+    table.datetime('updatedAt').notNullable().defaultTo(knex.fn.now());
+
+    // Indexes for better query performance
+    table.index(['tenantId', 'createdAt']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('api_keys');
+};
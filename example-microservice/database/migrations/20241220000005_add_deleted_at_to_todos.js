@@ -0,0 +1,25 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    // Soft delete marker; rows with a value are in the trash
+    table.datetime('deletedAt').nullable();
+
+    table.index(['tenantId', 'ownerId', 'deletedAt']);
+    table.index(['deletedAt']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropIndex(['tenantId', 'ownerId', 'deletedAt']);
+    table.dropIndex(['deletedAt']);
+    table.dropColumn('deletedAt');
+  });
+};
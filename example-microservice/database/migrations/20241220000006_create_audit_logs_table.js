@@ -0,0 +1,44 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('audit_logs', function(table) {
+    // Primary key
+    table.uuid('id').primary().notNullable();
+
+    // What changed
+    table.string('tenantId', 64).notNullable();
+    table.string('entityType', 50).notNullable();
+    table.uuid('entityId').notNullable();
+    table.string('action', 50).notNullable();
+
+    // Who changed it
+    table.string('actorType', 20).notNullable();
+    table.uuid('actorId').nullable();
+    table.uuid('apiKeyId').nullable();
+    table.uuid('requestId').nullable();
+
+    // Snapshots and field-level diff
+    table.json('before').nullable();
+    table.json('after').nullable();
+    table.json('changes').nullable();
+
+    // Timestamps
+    table.datetime('createdAt', { precision: 3 }).notNullable().defaultTo(knex.fn.now(3));
+
+    // Indexes for better query performance
+    table.index(['tenantId', 'entityType', 'entityId', 'createdAt']);
+    table.index(['tenantId', 'createdAt']);
+    table.index(['tenantId', 'actorId']);
+    table.index(['requestId']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('audit_logs');
+};
@@ -0,0 +1,20 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    // Optimistic concurrency control; incremented on every write
+    table.integer('version').unsigned().notNullable().defaultTo(1);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropColumn('version');
+  });
+};
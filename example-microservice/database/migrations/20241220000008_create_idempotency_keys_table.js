@@ -0,0 +1,40 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('idempotency_keys', function(table) {
+    // Primary key
+    table.uuid('id').primary().notNullable();
+
+    // Keys are unique per caller (user or API key) within a tenant
+    table.string('tenantId', 64).notNullable();
+    table.string('principalId', 64).notNullable();
+    table.string('idempotencyKey', 255).notNullable();
+
+    // Request the key was first used with
+    table.string('method', 10).notNullable();
+    table.string('path', 255).notNullable();
+    table.string('fingerprint', 64).notNullable();
+
+    // Stored response, set once the request has completed
+    table.enum('status', ['processing', 'completed']).notNullable().defaultTo('processing');
+    table.integer('responseStatus').nullable();
+    table.json('responseHeaders').nullable();
+    table.json('responseBody').nullable();
+
+    // Timestamps
+    table.datetime('createdAt').notNullable().defaultTo(knex.fn.now());
+    table.datetime('expiresAt').notNullable().index();
+
+    table.unique(['tenantId', 'principalId', 'idempotencyKey']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('idempotency_keys');
+};
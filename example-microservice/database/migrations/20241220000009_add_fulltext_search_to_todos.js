@@ -0,0 +1,35 @@
+const SEARCH_INDEX = 'todos_search_fulltext';
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // FULLTEXT cannot index a JSON column, so tags are mirrored as plain text
+  await knex.schema.alterTable('todos', function(table) {
+    table.text('tagsText').nullable();
+  });
+
+  const rows = await knex('todos').select('id', 'tags').whereNotNull('tags');
+  for (const row of rows) {
+    const tags = typeof row.tags === 'string' ? JSON.parse(row.tags) : row.tags;
+    if (Array.isArray(tags)) {
+      await knex('todos').where('id', row.id).update({ tagsText: tags.join(' ') });
+    }
+  }
+
+  await knex.schema.alterTable('todos', function(table) {
+    table.index(['title', 'description', 'tagsText'], SEARCH_INDEX, 'FULLTEXT');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropIndex(['title', 'description', 'tagsText'], SEARCH_INDEX);
+    table.dropColumn('tagsText');
+  });
+};
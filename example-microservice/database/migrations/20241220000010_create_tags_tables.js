@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+
+const parseTags = (value) => {
+  const tags = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(tags) ? tags : [];
+};
+
+/**
+ * Move todo tags from the JSON column into tags/todo_tags, keeping every tag and its order
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('tags', function(table) {
+    table.uuid('id').primary().notNullable();
+    table.string('tenantId', 64).notNullable();
+    table.string('name', 50).notNullable();
+
+    table.datetime('createdAt').notNullable().defaultTo(knex.fn.now());
+    table.datetime('updatedAt').notNullable().defaultTo(knex.fn.now());
+
+    table.unique(['tenantId', 'name']);
+  });
+
+  await knex.schema.createTable('todo_tags', function(table) {
+    table.uuid('todoId').notNullable().references('id').inTable('todos').onDelete('CASCADE');
+    table.uuid('tagId').notNullable().references('id').inTable('tags').onDelete('CASCADE');
+    // Keeps tags in the order they were given
+    table.integer('position').notNullable().defaultTo(0);
+
+    table.primary(['todoId', 'tagId']);
+    table.index(['tagId']);
+  });
+
+  const todos = await knex('todos').select('id', 'tenantId', 'tags').whereNotNull('tags');
+  const tagIds = new Map();
+
+  for (const todo of todos) {
+    const linked = new Set();
+    let position = 0;
+
+    for (const rawName of parseTags(todo.tags)) {
+      const name = String(rawName).trim().slice(0, 50);
+      const key = `${todo.tenantId}\u0000${name.toLowerCase()}`;
+      if (!name || linked.has(key)) continue;
+
+      if (!tagIds.has(key)) {
+        const id = uuidv4();
+        await knex('tags').insert({ id, tenantId: todo.tenantId, name });
+        tagIds.set(key, id);
+      }
+
+      await knex('todo_tags').insert({ todoId: todo.id, tagId: tagIds.get(key), position });
+      linked.add(key);
+      position += 1;
+    }
+  }
+
+  await knex.schema.alterTable('todos', function(table) {
+    table.dropColumn('tags');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('todos', function(table) {
+    table.json('tags').nullable();
+  });
+
+  const links = await knex('todo_tags')
+    .join('tags', 'tags.id', 'todo_tags.tagId')
+    .select('todo_tags.todoId', 'tags.name')
+    .orderBy(['todo_tags.todoId', 'todo_tags.position']);
+
+  const tagsByTodo = new Map();
+  links.forEach(({ todoId, name }) => {
+    tagsByTodo.set(todoId, [...(tagsByTodo.get(todoId) || []), name]);
+  });
+
+  for (const [todoId, tags] of tagsByTodo) {
+    await knex('todos').where('id', todoId).update({ tags: JSON.stringify(tags) });
+  }
+
+  await knex.schema.dropTableIfExists('todo_tags');
+  await knex.schema.dropTableIfExists('tags');
+};
@@ -0,0 +1,24 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    // Subtasks point to their parent todo; top-level todos have no parent
+    table.uuid('parentId').nullable().references('id').inTable('todos').onDelete('CASCADE');
+
+    table.index(['tenantId', 'parentId']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropForeign(['parentId']);
+    table.dropIndex(['tenantId', 'parentId']);
+    table.dropColumn('parentId');
+  });
+};
@@ -0,0 +1,22 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('todo_dependencies', function(table) {
+    // todoId is blocked by blockedById
+    table.uuid('todoId').notNullable().references('id').inTable('todos').onDelete('CASCADE');
+    table.uuid('blockedById').notNullable().references('id').inTable('todos').onDelete('CASCADE');
+
+    table.primary(['todoId', 'blockedById']);
+    table.index(['blockedById']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('todo_dependencies');
+};
@@ -0,0 +1,32 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    // iCalendar RRULE of the series the todo belongs to
+    table.string('recurrenceRule', 255).nullable();
+    // Shared by every occurrence of a series
+    table.uuid('seriesId').nullable();
+    // 1-based number of the occurrence within its series, for COUNT
+    table.integer('occurrence').nullable();
+    // Date the rule scheduled the occurrence on; the due date may be moved away from it
+    table.datetime('occurrenceDate').nullable();
+
+    table.index(['tenantId', 'seriesId', 'occurrence']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropIndex(['tenantId', 'seriesId', 'occurrence']);
+    table.dropColumn('recurrenceRule');
+    table.dropColumn('seriesId');
+    table.dropColumn('occurrence');
+    table.dropColumn('occurrenceDate');
+  });
+};
@@ -0,0 +1,38 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Leases let one replica at a time run a scheduled job
+  await knex.schema.createTable('job_leases', function(table) {
+    table.string('name', 64).primary().notNullable();
+    table.string('holder', 255).notNullable();
+    table.datetime('expiresAt').notNullable();
+  });
+
+  await knex.schema.createTable('todo_reminders', function(table) {
+    // Primary key
+    table.uuid('id').primary().notNullable();
+
+    table.string('tenantId', 64).notNullable();
+    table.uuid('todoId').notNullable().references('id').inTable('todos').onDelete('CASCADE');
+
+    // Due date the reminder was sent for, so moving the due date re-arms the reminders
+    table.datetime('dueDate').notNullable();
+    // Seconds before the due date; 0 for the overdue reminder
+    table.integer('offsetSeconds').notNullable();
+
+    table.datetime('sentAt').notNullable().defaultTo(knex.fn.now());
+
+    table.unique(['todoId', 'dueDate', 'offsetSeconds']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('todo_reminders');
+  await knex.schema.dropTableIfExists('job_leases');
+};
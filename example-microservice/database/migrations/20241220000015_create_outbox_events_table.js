@@ -0,0 +1,42 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  // Domain events written in the transaction of each mutation and published by the relay
+  return knex.schema.createTable('outbox_events', function(table) {
+    // Insertion order, in which the relay publishes
+    table.bigIncrements('position').primary();
+
+    // Event ID, stable across redeliveries
+    table.uuid('id').notNullable().unique();
+
+    table.string('tenantId', 64).notNullable();
+    table.string('aggregateType', 50).notNullable();
+    // No foreign key: events outlive purged todos
+    table.uuid('aggregateId').notNullable();
+    // 1-based order of the event among those of its aggregate
+    table.integer('sequence').unsigned().notNullable();
+    table.string('type', 50).notNullable();
+    table.json('payload').notNullable();
+
+    // Delivery state
+    table.integer('attempts').unsigned().notNullable().defaultTo(0);
+    table.datetime('availableAt', { precision: 3 }).notNullable();
+    table.text('lastError').nullable();
+    table.datetime('publishedAt', { precision: 3 }).nullable();
+
+    table.datetime('createdAt', { precision: 3 }).notNullable().defaultTo(knex.fn.now(3));
+
+    table.unique(['aggregateType', 'aggregateId', 'sequence']);
+    table.index(['publishedAt', 'position']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('outbox_events');
+};
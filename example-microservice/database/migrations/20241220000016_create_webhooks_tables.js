@@ -0,0 +1,71 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('webhooks', function(table) {
+    // Primary key
+    table.uuid('id').primary().notNullable();
+
+    // Ownership
+    table.string('tenantId', 64).notNullable();
+    table.uuid('createdBy').notNullable();
+
+    // Endpoint and the event types it receives
+    table.string('url', 2048).notNullable();
+    table.json('events').notNullable();
+    // Kept in plain text, as it is needed to sign the deliveries
+    table.string('secret', 255).notNullable();
+
+    // Lifecycle
+    table.boolean('active').notNullable().defaultTo(true);
+    table.integer('consecutiveFailures').unsigned().notNullable().defaultTo(0);
+    table.datetime('disabledAt').nullable();
+
+    // Timestamps
+    table.datetime('createdAt').notNullable().defaultTo(knex.fn.now());
+    table.datetime('updatedAt').notNullable().defaultTo(knex.fn.now());
+
+    // Indexes for better query performance
+    table.index(['tenantId', 'active']);
+  });
+
+  await knex.schema.createTable('webhook_deliveries', function(table) {
+    // Primary key
+    table.uuid('id').primary().notNullable();
+
+    table.uuid('webhookId').notNullable().references('id').inTable('webhooks').onDelete('CASCADE');
+    table.string('tenantId', 64).notNullable();
+
+    // Delivered event
+    table.uuid('eventId').notNullable();
+    table.string('eventType', 50).notNullable();
+    table.json('payload').notNullable();
+
+    // Delivery state
+    table.string('status', 20).notNullable().defaultTo('pending');
+    table.integer('attempts').unsigned().notNullable().defaultTo(0);
+    table.datetime('nextAttemptAt', { precision: 3 }).nullable();
+    table.integer('responseStatus').nullable();
+    table.text('lastError').nullable();
+    table.datetime('deliveredAt', { precision: 3 }).nullable();
+
+    // Timestamps
+    table.datetime('createdAt', { precision: 3 }).notNullable().defaultTo(knex.fn.now(3));
+    table.datetime('updatedAt', { precision: 3 }).notNullable().defaultTo(knex.fn.now(3));
+
+    // An event is delivered once per webhook, however often the outbox relays it
+    table.unique(['webhookId', 'eventId']);
+    table.index(['status', 'nextAttemptAt']);
+    table.index(['webhookId', 'createdAt']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('webhook_deliveries');
+  await knex.schema.dropTableIfExists('webhooks');
+};
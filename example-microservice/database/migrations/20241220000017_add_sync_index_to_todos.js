@@ -0,0 +1,23 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    // Sync tokens point into updatedAt, which needs milliseconds to tell writes apart
+    table.datetime('updatedAt', { precision: 3 }).notNullable().defaultTo(knex.fn.now(3)).alter();
+
+    table.index(['tenantId', 'ownerId', 'updatedAt', 'id']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('todos', function(table) {
+    table.dropIndex(['tenantId', 'ownerId', 'updatedAt', 'id']);
+    table.datetime('updatedAt').notNullable().defaultTo(knex.fn.now()).alter();
+  });
+};
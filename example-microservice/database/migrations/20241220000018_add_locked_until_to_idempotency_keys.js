@@ -0,0 +1,21 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('idempotency_keys', function(table) {
+    // End of the claim on a key being processed; another request may take it over
+    // afterwards, e.g. when the process handling it crashed
+    table.datetime('lockedUntil').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('idempotency_keys', function(table) {
+    table.dropColumn('lockedUntil');
+  });
+};
@@ -6,8 +6,14 @@ const { v4: uuidv4 } = require('uuid');
  */
 exports.seed = async function(knex) {
   // Deletes ALL existing entries
+  await knex('todo_tags').del();
+  await knex('tags').del();
   await knex('todos').del();
 
+  // Sample todos belong to a single demo user; issue a token for this ID to see them
+  const ownerId = process.env.SEED_OWNER_ID || '11111111-1111-4111-8111-111111111111';
+  const tenantId = process.env.DEFAULT_TENANT_ID || 'default';
+
   const now = new Date().toISOString();
   const tomorrow = new Date();
   tomorrow.setDate(tomorrow.getDate() + 1);
@@ -27,7 +33,7 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'high',
       dueDate: tomorrow.toISOString(),
-      tags: JSON.stringify(['work', 'documentation', 'urgent']),
+      tags: ['work', 'documentation', 'urgent'],
       createdAt: now,
       updatedAt: now,
     },
@@ -38,7 +44,7 @@ exports.seed = async function(knex) {
       completed: true,
       priority: 'medium',
       dueDate: null,
-      tags: JSON.stringify(['work', 'code-review']),
+      tags: ['work', 'code-review'],
       createdAt: now,
       updatedAt: now,
     },
@@ -49,7 +55,7 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'low',
       dueDate: nextWeek.toISOString(),
-      tags: JSON.stringify(['personal', 'shopping']),
+      tags: ['personal', 'shopping'],
       createdAt: now,
       updatedAt: now,
     },
@@ -60,7 +66,7 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'high',
       dueDate: nextWeek.toISOString(),
-      tags: JSON.stringify(['work', 'backend', 'security']),
+      tags: ['work', 'backend', 'security'],
       createdAt: now,
       updatedAt: now,
     },
@@ -71,7 +77,7 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'medium',
       dueDate: nextMonth.toISOString(),
-      tags: JSON.stringify(['personal', 'health']),
+      tags: ['personal', 'health'],
       createdAt: now,
       updatedAt: now,
     },
@@ -82,7 +88,7 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'high',
       dueDate: nextWeek.toISOString(),
-      tags: JSON.stringify(['work', 'devops', 'monitoring']),
+      tags: ['work', 'devops', 'monitoring'],
       createdAt: now,
       updatedAt: now,
     },
@@ -93,7 +99,7 @@ exports.seed = async function(knex) {
       completed: true,
       priority: 'medium',
       dueDate: null,
-      tags: JSON.stringify(['learning', 'frontend', 'react']),
+      tags: ['learning', 'frontend', 'react'],
       createdAt: now,
       updatedAt: now,
     },
@@ -104,7 +110,7 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'low',
       dueDate: nextMonth.toISOString(),
-      tags: JSON.stringify(['personal', 'travel', 'planning']),
+      tags: ['personal', 'travel', 'planning'],
       createdAt: now,
       updatedAt: now,
     },
@@ -115,7 +121,7 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'medium',
       dueDate: nextWeek.toISOString(),
-      tags: JSON.stringify(['work', 'database', 'performance']),
+      tags: ['work', 'database', 'performance'],
       createdAt: now,
       updatedAt: now,
     },
@@ -126,12 +132,37 @@ exports.seed = async function(knex) {
       completed: false,
       priority: 'high',
       dueDate: nextWeek.toISOString(),
-      tags: JSON.stringify(['work', 'testing', 'quality']),
+      tags: ['work', 'testing', 'quality'],
       createdAt: now,
       updatedAt: now,
     },
   ];
 
   // Insert sample todos
-  await knex('todos').insert(todos);
+  await knex('todos').insert(todos.map(({ tags, ...todo }) => ({
+    ...todo,
+    ownerId,
+    tenantId,
+    tagsText: tags.join(' '),
+  })));
+
+  // Insert their tags
+  const tagIds = new Map();
+  todos.forEach(({ tags }) => tags.forEach((name) => {
+    if (!tagIds.has(name)) tagIds.set(name, uuidv4());
+  }));
+
+  await knex('tags').insert([...tagIds].map(([name, id]) => ({
+    id,
+    tenantId,
+    name,
+    createdAt: now,
+    updatedAt: now,
+  })));
+
+  await knex('todo_tags').insert(todos.flatMap(({ id, tags }) => tags.map((name, position) => ({
+    todoId: id,
+    tagId: tagIds.get(name),
+    position,
+  }))));
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+/**
+ * Issue a development access token
+ *
+ * Usage: npm run token -- [userId] [role]
+ */
+const { v4: uuidv4 } = require('uuid');
+const authService = require('../src/services/authService');
+const { ROLES } = require('../src/config/permissions');
+
+const userId = process.argv[2] || uuidv4();
+const role = process.argv[3] || ROLES.MEMBER;
+const token = authService.generateToken({ id: userId, role });
+
+console.log(`User ID: ${userId}`);
+console.log(`Role:    ${role}`);
+console.log(`Token:   ${token}`);
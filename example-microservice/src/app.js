@@ -59,7 +59,17 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Requested-With',
+    'X-Tenant-ID',
+    'X-API-Key',
+    'If-Match',
+    'If-None-Match',
+    'Idempotency-Key',
+  ],
+  exposedHeaders: ['ETag', 'X-Request-ID', 'Idempotent-Replayed'],
 };
 
 app.use(cors(corsOptions));
@@ -114,6 +124,16 @@ app.use(errorHandler);
 // Graceful shutdown handling
 const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}, starting graceful shutdown...`);
+
+  // Stop background jobs
+  require('./jobs').stopJobs();
+
+  // End live streams and collaboration sockets, which would otherwise keep the server from closing
+  require('./services/streamService').closeAll();
+  require('./realtime/collaborationServer').closeAll();
+
+  // Stop the gRPC server; its watch streams were ended with the live streams
+  require('./grpc/server').stop();
   
   // Close server
   if (app.server) {
@@ -0,0 +1,19 @@
+// Actions recorded in the audit log, and accepted by its `action` filter
+const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'toggle',
+  'delete',
+  'restore',
+  'bulk_update',
+  'bulk_delete',
+  'purge',
+  // Todos retagged by renaming, merging or deleting a tag
+  'tag_rename',
+  'tag_merge',
+  'tag_delete',
+];
+
+module.exports = {
+  AUDIT_ACTIONS,
+};
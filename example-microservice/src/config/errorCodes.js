@@ -0,0 +1,84 @@
+// Stable error codes of the API, with the HTTP status they are sent with and the
+// title of their problem type. Clients match on the code, which does not change
+// when a message is reworded or another error shares its status.
+const ERRORS = {
+  // Generic errors, named after their status
+  BAD_REQUEST: { status: 400, title: 'Bad Request' },
+  VALIDATION_ERROR: { status: 400, title: 'Request Validation Failed' },
+  UNAUTHORIZED: { status: 401, title: 'Unauthorized' },
+  FORBIDDEN: { status: 403, title: 'Forbidden' },
+  NOT_FOUND: { status: 404, title: 'Not Found' },
+  CONFLICT: { status: 409, title: 'Conflict' },
+  GONE: { status: 410, title: 'Gone' },
+  PRECONDITION_FAILED: { status: 412, title: 'Precondition Failed' },
+  UNPROCESSABLE_ENTITY: { status: 422, title: 'Unprocessable Entity' },
+  TOO_MANY_REQUESTS: { status: 429, title: 'Too Many Requests' },
+  INTERNAL_SERVER_ERROR: { status: 500, title: 'Internal Server Error' },
+  BAD_GATEWAY: { status: 502, title: 'Bad Gateway' },
+  SERVICE_UNAVAILABLE: { status: 503, title: 'Service Unavailable' },
+  GATEWAY_TIMEOUT: { status: 504, title: 'Gateway Timeout' },
+
+  // Requests
+  ROUTE_NOT_FOUND: { status: 404, title: 'Route Not Found' },
+  RATE_LIMIT_EXCEEDED: { status: 429, title: 'Rate Limit Exceeded' },
+
+  // Database
+  DUPLICATE_VALUE: { status: 409, title: 'Duplicate Value' },
+  RELATED_RECORD_CONFLICT: { status: 409, title: 'Related Record Conflict' },
+  TRANSACTION_CONFLICT: { status: 409, title: 'Concurrent Transaction Conflict' },
+  DATABASE_UNAVAILABLE: { status: 503, title: 'Database Unavailable' },
+  DATABASE_TIMEOUT: { status: 504, title: 'Database Timeout' },
+
+  // Authentication and tenancy
+  AUTHENTICATION_REQUIRED: { status: 401, title: 'Authentication Required' },
+  INVALID_TOKEN: { status: 401, title: 'Invalid Token' },
+  TOKEN_EXPIRED: { status: 401, title: 'Token Expired' },
+  INVALID_API_KEY: { status: 401, title: 'Invalid API Key' },
+  PERMISSION_DENIED: { status: 403, title: 'Permission Denied' },
+  INVALID_TENANT: { status: 400, title: 'Invalid Tenant' },
+  TENANT_ACCESS_DENIED: { status: 403, title: 'Tenant Access Denied' },
+
+  // Todos
+  TODO_NOT_FOUND: { status: 404, title: 'Todo Not Found' },
+  SUBTASK_NOT_FOUND: { status: 404, title: 'Subtask Not Found' },
+  TODO_VERSION_CONFLICT: { status: 412, title: 'Todo Version Conflict' },
+  NESTED_SUBTASK: { status: 400, title: 'Subtasks Cannot Have Subtasks' },
+  PARENT_TODO_DELETED: { status: 409, title: 'Parent Todo Deleted' },
+  INVALID_CURSOR: { status: 400, title: 'Invalid Pagination Cursor' },
+  INVALID_SEARCH: { status: 400, title: 'Invalid Search' },
+  RECURRENCE_DUE_DATE_REQUIRED: { status: 400, title: 'Recurring Todo Needs a Due Date' },
+  RECURRENCE_SCOPE_REQUIRED: { status: 400, title: 'Recurrence Rule Change Needs Future Scope' },
+
+  // Dependencies
+  BLOCKER_NOT_FOUND: { status: 400, title: 'Blocking Todo Not Found' },
+  SELF_DEPENDENCY: { status: 400, title: 'Todo Cannot Block Itself' },
+  DEPENDENCY_CYCLE: { status: 400, title: 'Dependency Cycle' },
+  EXECUTION_ORDER_CYCLE: { status: 409, title: 'Execution Order Has a Cycle' },
+  TODO_BLOCKED: { status: 409, title: 'Todo Is Blocked' },
+
+  // Tags
+  TAG_NOT_FOUND: { status: 404, title: 'Tag Not Found' },
+  TAG_ALREADY_EXISTS: { status: 409, title: 'Tag Already Exists' },
+  TAG_SELF_MERGE: { status: 400, title: 'Tag Cannot Be Merged Into Itself' },
+
+  // Delta sync
+  INVALID_SYNC_TOKEN: { status: 400, title: 'Invalid Sync Token' },
+  SYNC_TOKEN_EXPIRED: { status: 410, title: 'Sync Token Expired' },
+
+  // Idempotency
+  INVALID_IDEMPOTENCY_KEY: { status: 400, title: 'Invalid Idempotency Key' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, title: 'Idempotency Key Reused' },
+  IDEMPOTENCY_KEY_IN_PROGRESS: { status: 409, title: 'Idempotent Request In Progress' },
+
+  // Administration
+  API_KEY_NOT_FOUND: { status: 404, title: 'API Key Not Found' },
+  WEBHOOK_NOT_FOUND: { status: 404, title: 'Webhook Not Found' },
+};
+
+// Code constants, e.g. ERROR_CODES.TODO_NOT_FOUND
+const ERROR_CODES = Object.fromEntries(Object.keys(ERRORS).map((code) => [code, code]));
+
+module.exports = {
+  ERRORS,
+  ERROR_CODES,
+};
@@ -1,13 +1,23 @@
 // Load environment variables
 require('dotenv').config();
 
+const env = process.env.NODE_ENV || 'development';
+
+// Only development and test may sign tokens with the well-known default secret,
+// whether JWT_SECRET is unset or was copied from env.example's old placeholder
+const DEFAULT_JWT_SECRET = 'change-me-in-production';
+const usesDefaultJwtSecret = !process.env.JWT_SECRET || process.env.JWT_SECRET === DEFAULT_JWT_SECRET;
+if (usesDefaultJwtSecret && !['development', 'test'].includes(env)) {
+  throw new Error(`JWT_SECRET must be set to a secret of your own when NODE_ENV is '${env}'`);
+}
+
 const config = {
   // Application settings
   app: {
     name: 'Todo Microservice',
     version: process.env.API_VERSION || 'v1',
     port: parseInt(process.env.PORT, 10) || 3000,
-    env: process.env.NODE_ENV || 'development',
+    env,
   },
 
   // Database settings
@@ -32,6 +42,126 @@ const config = {
     rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
   },
 
+  // Authentication settings
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || DEFAULT_JWT_SECRET,
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    jwtIssuer: process.env.JWT_ISSUER || 'todo-microservice',
+  },
+
+  // Error response settings
+  errors: {
+    // Prefix of the problem type URIs, e.g. /problems/todo-not-found
+    problemTypeBaseUri: process.env.PROBLEM_TYPE_BASE_URI || '/problems',
+  },
+
+  // Multi-tenancy settings
+  tenancy: {
+    header: 'X-Tenant-ID',
+    defaultTenantId: process.env.DEFAULT_TENANT_ID || 'default',
+  },
+
+  // Trash settings
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 3600000, // 1 hour
+  },
+
+  // Delta sync settings
+  sync: {
+    // Changes younger than this are left for the next sync, so that writes still committing are not skipped
+    settleMs: parseInt(process.env.SYNC_SETTLE_MS, 10) || 2000,
+  },
+
+  // Idempotency settings
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400, // 24 hours
+    // A key still processing after this long is taken over by the next retry
+    lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 60,
+    cleanupIntervalMs: parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MS, 10) || 3600000, // 1 hour
+  },
+
+  // Reminder settings
+  reminders: {
+    checkIntervalMs: parseInt(process.env.REMINDER_CHECK_INTERVAL_MS, 10) || 60000, // 1 minute
+    // Seconds before the due date; an overdue reminder is always sent as well
+    offsetsSeconds: (process.env.REMINDER_OFFSETS_SECONDS || '86400,3600')
+      .split(',')
+      .map((offset) => parseInt(offset, 10))
+      .filter((offset) => offset > 0),
+    // Reminders that are this late (e.g. after downtime) are skipped
+    maxDelaySeconds: parseInt(process.env.REMINDER_MAX_DELAY_SECONDS, 10) || 86400, // 24 hours
+    batchSize: 500,
+  },
+
+  // Outbox settings
+  outbox: {
+    relayIntervalMs: parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS, 10) || 1000,
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 100,
+    // memory, file or http
+    transport: process.env.OUTBOX_TRANSPORT || 'memory',
+    filePath: process.env.OUTBOX_FILE_PATH || 'logs/outbox-events.jsonl',
+    httpUrl: process.env.OUTBOX_HTTP_URL,
+    httpTimeoutMs: parseInt(process.env.OUTBOX_HTTP_TIMEOUT_MS, 10) || 5000,
+    // Failed deliveries are retried with exponential backoff up to the maximum delay
+    retryBaseMs: 1000,
+    retryMaxMs: parseInt(process.env.OUTBOX_RETRY_MAX_MS, 10) || 300000, // 5 minutes
+    retentionDays: parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 7,
+    cleanupIntervalMs: 3600000, // 1 hour
+  },
+
+  // Webhook settings
+  webhooks: {
+    deliveryIntervalMs: parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS, 10) || 5000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // A delivery is given up after this many attempts, retried with exponential backoff
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    retryBaseMs: 10000,
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 3600000, // 1 hour
+    // Webhooks failing this many attempts in a row are disabled
+    disableAfterFailures: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 20,
+    deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30,
+    // Hosts exempt from the loopback/private address check, e.g. 'localhost' for local testing
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+    cleanupIntervalMs: 3600000, // 1 hour
+    batchSize: 50,
+  },
+
+  // Live stream settings
+  stream: {
+    pollIntervalMs: parseInt(process.env.STREAM_POLL_INTERVAL_MS, 10) || 1000,
+    heartbeatIntervalMs: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_MS, 10) || 15000,
+    // Reconnection delay suggested to clients
+    retryMs: 3000,
+    // Events replayed at most when resuming with Last-Event-ID
+    replayLimit: 1000,
+  },
+
+  // WebSocket collaboration settings
+  collaboration: {
+    // Interval of the pings that drop unresponsive connections
+    pingIntervalMs: parseInt(process.env.COLLABORATION_PING_INTERVAL_MS, 10) || 30000,
+    maxPayloadBytes: parseInt(process.env.COLLABORATION_MAX_PAYLOAD_BYTES, 10) || 64 * 1024,
+  },
+
+  // GraphQL settings
+  graphql: {
+    // Nesting levels of fields a query may select
+    maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH, 10) || 8,
+    // Estimated number of objects a query may resolve, lists counted at their requested size
+    maxComplexity: parseInt(process.env.GRAPHQL_MAX_COMPLEXITY, 10) || 5000,
+  },
+
+  // gRPC settings
+  grpc: {
+    enabled: process.env.GRPC_ENABLED !== 'false',
+    host: process.env.GRPC_HOST || '0.0.0.0',
+    port: parseInt(process.env.GRPC_PORT, 10) || 50051,
+  },
+
   // Health check settings
   healthCheck: {
     timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT, 10) || 5000,
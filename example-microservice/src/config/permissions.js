@@ -0,0 +1,68 @@
+// Roles that can be carried by an access token
+const ROLES = {
+  ADMIN: 'admin',
+  MEMBER: 'member',
+  READONLY: 'readonly',
+};
+
+// Permissions required by the API routes
+const PERMISSIONS = {
+  TODOS_READ: 'todos:read',
+  TODOS_WRITE: 'todos:write',
+  TODOS_BULK: 'todos:bulk',
+  API_KEYS_MANAGE: 'apikeys:manage',
+  AUDIT_READ: 'audit:read',
+  TAGS_MANAGE: 'tags:manage',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+};
+
+// Permissions that may be granted to an API key as scopes. Webhooks choose where
+// tenant data is sent, so they stay with tenant admins.
+const API_KEY_SCOPES = [
+  PERMISSIONS.TODOS_READ,
+  PERMISSIONS.TODOS_WRITE,
+  PERMISSIONS.TODOS_BULK,
+];
+
+// Declarative map of what each role is allowed to do
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    PERMISSIONS.TODOS_READ,
+    PERMISSIONS.TODOS_WRITE,
+    PERMISSIONS.TODOS_BULK,
+    PERMISSIONS.API_KEYS_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.TAGS_MANAGE,
+    PERMISSIONS.WEBHOOKS_MANAGE,
+  ],
+  [ROLES.MEMBER]: [
+    PERMISSIONS.TODOS_READ,
+    PERMISSIONS.TODOS_WRITE,
+  ],
+  [ROLES.READONLY]: [
+    PERMISSIONS.TODOS_READ,
+  ],
+};
+
+/**
+ * Check whether a caller is granted a permission.
+ * API key callers are limited to their scopes, token callers to their role.
+ * @param {Object} user - Authenticated caller
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  const granted = Array.isArray(user.scopes)
+    ? user.scopes
+    : ROLE_PERMISSIONS[user.role] || [];
+
+  return granted.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
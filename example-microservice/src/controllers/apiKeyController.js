@@ -0,0 +1,69 @@
+const apiKeyService = require('../services/apiKeyService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * Create a new API key
+ * @route POST /api/v1/api-keys
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { apiKey, key } = await apiKeyService.createApiKey(req.body, req.user);
+
+  logger.info('API key created via API:', {
+    id: apiKey.id,
+    createdBy: req.user.id,
+    ip: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created successfully. Store the key now, it will not be shown again.',
+    data: {
+      ...apiKey.toJSON(),
+      key,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List API keys
+ * @route GET /api/v1/api-keys
+ */
+const listApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.listApiKeys(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'API keys fetched successfully',
+    data: apiKeys,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/v1/api-keys/:id
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.revokeApiKey(req.params.id, req.user);
+
+  logger.info('API key revoked via API:', {
+    id: req.params.id,
+    revokedBy: req.user.id,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: apiKey,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
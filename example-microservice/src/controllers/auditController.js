@@ -0,0 +1,28 @@
+const auditService = require('../services/auditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * List audit records with filtering and pagination
+ * @route GET /api/v1/audit
+ */
+const listAuditLogs = asyncHandler(async (req, res) => {
+  const result = await auditService.listAuditLogs(req.query, req.user);
+
+  logger.debug('Audit logs fetched via API:', {
+    count: result.data.length,
+    page: result.pagination.currentPage,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Audit logs fetched successfully',
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  listAuditLogs,
+};
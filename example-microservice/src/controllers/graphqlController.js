@@ -0,0 +1,23 @@
+const { executeRequest } = require('../graphql');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * Execute a GraphQL query or mutation
+ * @route POST /graphql
+ */
+const executeGraphql = asyncHandler(async (req, res) => {
+  const { status, body } = await executeRequest(req.body, req.user);
+
+  logger.debug('GraphQL request executed via API:', {
+    operationName: req.body.operationName,
+    errors: body.errors ? body.errors.length : 0,
+    ip: req.ip,
+  });
+
+  res.status(status).json(body);
+});
+
+module.exports = {
+  executeGraphql,
+};
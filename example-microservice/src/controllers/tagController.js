@@ -0,0 +1,94 @@
+const tagService = require('../services/tagService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * List tags with usage counts
+ * @route GET /api/v1/tags
+ */
+const listTags = asyncHandler(async (req, res) => {
+  const tags = await tagService.listTags(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tags fetched successfully',
+    data: tags,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Rename a tag
+ * @route PATCH /api/v1/tags/:id
+ */
+const renameTag = asyncHandler(async (req, res) => {
+  const tag = await tagService.renameTag(req.params.id, req.body.name, req.user);
+
+  logger.info('Tag renamed via API:', {
+    id: req.params.id,
+    name: tag.name,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tag renamed successfully',
+    data: tag,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Merge a tag into another tag
+ * @route POST /api/v1/tags/:id/merge
+ */
+const mergeTag = asyncHandler(async (req, res) => {
+  const { tag, retaggedCount } = await tagService.mergeTag(req.params.id, req.body.targetId, req.user);
+
+  logger.info('Tag merged via API:', {
+    id: req.params.id,
+    targetId: req.body.targetId,
+    retaggedCount,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Tag merged into '${tag.name}' successfully`,
+    data: {
+      tag,
+      retaggedCount,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a tag
+ * @route DELETE /api/v1/tags/:id
+ */
+const deleteTag = asyncHandler(async (req, res) => {
+  const retaggedCount = await tagService.deleteTag(req.params.id, req.user);
+
+  logger.info('Tag deleted via API:', {
+    id: req.params.id,
+    retaggedCount,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Tag deleted successfully',
+    data: {
+      retaggedCount,
+    },
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  listTags,
+  renameTag,
+  mergeTag,
+  deleteTag,
+};
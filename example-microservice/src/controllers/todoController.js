@@ -1,20 +1,30 @@
 const todoService = require('../services/todoService');
+const streamService = require('../services/streamService');
+const syncService = require('../services/syncService');
 const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  formatETag,
+  getIfMatchVersions,
+  isNotModified,
+} = require('../middleware/conditionalRequest');
 const logger = require('../config/logger');
+const config = require('../config');
 
 /**
  * Create a new todo
  * @route POST /api/v1/todos
  */
 const createTodo = asyncHandler(async (req, res) => {
-  const todo = await todoService.createTodo(req.body);
+  const todo = await todoService.createTodo(req.body, req.user);
 
   logger.info('Todo created via API:', {
     id: todo.id,
+    userId: req.user.id,
     title: todo.title,
     ip: req.ip,
   });
 
+  res.set('ETag', formatETag(todo));
   res.status(201).json({
     success: true,
     message: 'Todo created successfully',
@@ -28,7 +38,7 @@ const createTodo = asyncHandler(async (req, res) => {
  * @route GET /api/v1/todos
  */
 const getAllTodos = asyncHandler(async (req, res) => {
-  const result = await todoService.getAllTodos(req.query);
+  const result = await todoService.getAllTodos(req.query, req.user);
 
   logger.debug('Todos fetched via API:', {
     count: result.data.length,
@@ -49,13 +59,17 @@ const getAllTodos = asyncHandler(async (req, res) => {
  * @route GET /api/v1/todos/:id
  */
 const getTodoById = asyncHandler(async (req, res) => {
-  const todo = await todoService.getTodoById(req.params.id);
+  const todo = await todoService.getTodoById(req.params.id, req.user);
 
   logger.debug('Todo fetched by ID via API:', {
     id: req.params.id,
     ip: req.ip,
   });
 
+  if (isNotModified(req, res, todo)) {
+    return res.status(304).end();
+  }
+
   res.status(200).json({
     success: true,
     message: 'Todo fetched successfully',
@@ -69,13 +83,18 @@ const getTodoById = asyncHandler(async (req, res) => {
  * @route PUT /api/v1/todos/:id
  */
 const updateTodo = asyncHandler(async (req, res) => {
-  const todo = await todoService.updateTodo(req.params.id, req.body);
+  const todo = await todoService.updateTodo(req.params.id, req.body, req.user, {
+    expectedVersions: getIfMatchVersions(req),
+    scope: req.query.scope,
+    force: req.query.force,
+  });
 
   logger.info('Todo updated via API:', {
     id: req.params.id,
     ip: req.ip,
   });
 
+  res.set('ETag', formatETag(todo));
   res.status(200).json({
     success: true,
     message: 'Todo updated successfully',
@@ -89,7 +108,9 @@ const updateTodo = asyncHandler(async (req, res) => {
  * @route DELETE /api/v1/todos/:id
  */
 const deleteTodo = asyncHandler(async (req, res) => {
-  await todoService.deleteTodo(req.params.id);
+  await todoService.deleteTodo(req.params.id, req.user, {
+    expectedVersions: getIfMatchVersions(req),
+  });
 
   logger.info('Todo deleted via API:', {
     id: req.params.id,
@@ -98,7 +119,7 @@ const deleteTodo = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    message: 'Todo deleted successfully',
+    message: 'Todo moved to trash successfully',
     timestamp: new Date().toISOString(),
   });
 });
@@ -108,14 +129,21 @@ const deleteTodo = asyncHandler(async (req, res) => {
  * @route PATCH /api/v1/todos/:id/toggle
  */
 const toggleTodoStatus = asyncHandler(async (req, res) => {
-  const todo = await todoService.toggleTodoStatus(req.params.id);
+  const todo = await todoService.toggleTodoStatus(req.params.id, req.user, {
+    expectedVersions: getIfMatchVersions(req),
+    cascade: req.query.cascade,
+    force: req.query.force,
+  });
 
   logger.info('Todo status toggled via API:', {
     id: req.params.id,
     completed: todo.completed,
+    cascade: req.query.cascade,
+    force: req.query.force,
     ip: req.ip,
   });
 
+  res.set('ETag', formatETag(todo));
   res.status(200).json({
     success: true,
     message: `Todo marked as ${todo.completed ? 'completed' : 'pending'}`,
@@ -124,12 +152,145 @@ const toggleTodoStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the subtasks of a todo
+ * @route GET /api/v1/todos/:id/subtasks
+ */
+const getSubtasks = asyncHandler(async (req, res) => {
+  const subtasks = await todoService.getSubtasks(req.params.id, req.user);
+
+  logger.debug('Subtasks fetched via API:', {
+    id: req.params.id,
+    count: subtasks.length,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Subtasks fetched successfully',
+    data: subtasks,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a subtask of a todo
+ * @route POST /api/v1/todos/:id/subtasks
+ */
+const createSubtask = asyncHandler(async (req, res) => {
+  const subtask = await todoService.createTodo(req.body, req.user, { parentId: req.params.id });
+
+  logger.info('Subtask created via API:', {
+    id: subtask.id,
+    parentId: req.params.id,
+    userId: req.user.id,
+    ip: req.ip,
+  });
+
+  res.set('ETag', formatETag(subtask));
+  res.status(201).json({
+    success: true,
+    message: 'Subtask created successfully',
+    data: subtask,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a subtask of a todo
+ * @route GET /api/v1/todos/:id/subtasks/:subtaskId
+ */
+const getSubtask = asyncHandler(async (req, res) => {
+  const subtask = await todoService.getSubtask(req.params.id, req.params.subtaskId, req.user);
+
+  if (isNotModified(req, res, subtask)) {
+    return res.status(304).end();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Subtask fetched successfully',
+    data: subtask,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a subtask of a todo
+ * @route PUT /api/v1/todos/:id/subtasks/:subtaskId
+ */
+const updateSubtask = asyncHandler(async (req, res) => {
+  const subtask = await todoService.updateSubtask(
+    req.params.id,
+    req.params.subtaskId,
+    req.body,
+    req.user,
+    { expectedVersions: getIfMatchVersions(req), scope: req.query.scope, force: req.query.force }
+  );
+
+  logger.info('Subtask updated via API:', {
+    id: req.params.subtaskId,
+    parentId: req.params.id,
+    ip: req.ip,
+  });
+
+  res.set('ETag', formatETag(subtask));
+  res.status(200).json({
+    success: true,
+    message: 'Subtask updated successfully',
+    data: subtask,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a subtask of a todo
+ * @route DELETE /api/v1/todos/:id/subtasks/:subtaskId
+ */
+const deleteSubtask = asyncHandler(async (req, res) => {
+  await todoService.deleteSubtask(req.params.id, req.params.subtaskId, req.user, {
+    expectedVersions: getIfMatchVersions(req),
+  });
+
+  logger.info('Subtask deleted via API:', {
+    id: req.params.subtaskId,
+    parentId: req.params.id,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Subtask moved to trash successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get todos in an order that respects their dependencies
+ * @route GET /api/v1/todos/execution-order
+ */
+const getExecutionOrder = asyncHandler(async (req, res) => {
+  const todos = await todoService.getExecutionOrder(req.query.ids.split(','), req.user);
+
+  logger.debug('Execution order fetched via API:', {
+    count: todos.length,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Execution order fetched successfully',
+    data: todos,
+    timestamp: new Date().toISOString(),
+  });
+});
+
 /**
  * Get todo statistics
  * @route GET /api/v1/todos/stats
  */
 const getTodoStatistics = asyncHandler(async (req, res) => {
-  const stats = await todoService.getTodoStatistics();
+  const stats = await todoService.getTodoStatistics(req.user);
 
   logger.debug('Todo statistics fetched via API:', {
     stats,
@@ -150,7 +311,7 @@ const getTodoStatistics = asyncHandler(async (req, res) => {
  */
 const getTodosDueSoon = asyncHandler(async (req, res) => {
   const days = parseInt(req.query.days) || 7;
-  const todos = await todoService.getTodosDueSoon(days);
+  const todos = await todoService.getTodosDueSoon(days, req.user);
 
   logger.debug('Due soon todos fetched via API:', {
     count: todos.length,
@@ -176,7 +337,7 @@ const getTodosDueSoon = asyncHandler(async (req, res) => {
  */
 const bulkUpdateTodos = asyncHandler(async (req, res) => {
   const { ids, updateData } = req.body;
-  const updatedCount = await todoService.bulkUpdateTodos(ids, updateData);
+  const updatedCount = await todoService.bulkUpdateTodos(ids, updateData, req.user, { force: req.query.force });
 
   logger.info('Bulk update completed via API:', {
     updatedCount,
@@ -201,7 +362,7 @@ const bulkUpdateTodos = asyncHandler(async (req, res) => {
  */
 const bulkDeleteTodos = asyncHandler(async (req, res) => {
   const { ids } = req.body;
-  const deletedCount = await todoService.bulkDeleteTodos(ids);
+  const deletedCount = await todoService.bulkDeleteTodos(ids, req.user);
 
   logger.info('Bulk delete completed via API:', {
     deletedCount,
@@ -211,7 +372,7 @@ const bulkDeleteTodos = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    message: `${deletedCount} todos deleted successfully`,
+    message: `${deletedCount} todos moved to trash successfully`,
     data: {
       deletedCount,
       totalRequested: ids.length,
@@ -220,6 +381,168 @@ const bulkDeleteTodos = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get deleted todos in the trash
+ * @route GET /api/v1/todos/trash
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const result = await todoService.getTrash(req.query, req.user);
+
+  logger.debug('Trash fetched via API:', {
+    count: result.data.length,
+    page: result.pagination.currentPage,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Trash fetched successfully',
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Stream changes of the user's todos as Server-Sent Events.
+ * Clients resume after a reconnect by sending the last event ID in Last-Event-ID.
+ * @route GET /api/v1/todos/stream
+ */
+const streamTodos = asyncHandler(async (req, res) => {
+  const lastEventHeader = req.get('Last-Event-ID');
+  const lastEventId = /^\d+$/.test(lastEventHeader || '') ? Number(lastEventHeader) : null;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // Compression buffers the response unless it is flushed
+  const write = (chunk) => {
+    res.write(chunk);
+    if (res.flush) res.flush();
+  };
+
+  write(`retry: ${config.stream.retryMs}\n\n`);
+
+  let closed = false;
+  let unsubscribe = () => {};
+  req.on('close', () => {
+    closed = true;
+    unsubscribe();
+    logger.debug('Todo stream closed:', { userId: req.user.id });
+  });
+
+  try {
+    unsubscribe = await streamService.subscribe({
+      user: req.user,
+      filters: req.query,
+      lastEventId,
+      send: ({ id, event, data }) => write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      heartbeat: () => write(': heartbeat\n\n'),
+      end: () => res.end(),
+    });
+  } catch (error) {
+    // Headers are sent already, so the client only sees the stream end and reconnects
+    logger.error('Error opening todo stream:', error);
+    res.end();
+    return;
+  }
+
+  // The client left during the replay
+  if (closed) {
+    unsubscribe();
+    return;
+  }
+
+  logger.debug('Todo stream opened via API:', { userId: req.user.id, lastEventId, ip: req.ip });
+});
+
+/**
+ * Get the todos created, updated or deleted since a sync token
+ * @route GET /api/v1/todos/changes
+ */
+const getChanges = asyncHandler(async (req, res) => {
+  const result = await syncService.getChanges(req.user, req.query);
+
+  logger.debug('Changes fetched via API:', {
+    count: result.data.length,
+    hasMore: result.hasMore,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Changes fetched successfully',
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Apply a batch of client-side mutations, reporting conflicts per mutation
+ * @route POST /api/v1/todos/sync
+ */
+const syncTodos = asyncHandler(async (req, res) => {
+  const result = await syncService.applyMutations(req.user, req.body.mutations);
+
+  logger.info('Sync batch applied via API:', {
+    ...result.summary,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Sync batch processed',
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Restore a deleted todo from the trash
+ * @route POST /api/v1/todos/:id/restore
+ */
+const restoreTodo = asyncHandler(async (req, res) => {
+  const todo = await todoService.restoreTodo(req.params.id, req.user);
+
+  logger.info('Todo restored via API:', {
+    id: req.params.id,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Todo restored successfully',
+    data: todo,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the audit history of a todo
+ * @route GET /api/v1/todos/:id/history
+ */
+const getTodoHistory = asyncHandler(async (req, res) => {
+  const history = await todoService.getTodoHistory(req.params.id, req.user);
+
+  logger.debug('Todo history fetched via API:', {
+    id: req.params.id,
+    count: history.length,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Todo history fetched successfully',
+    data: history,
+    timestamp: new Date().toISOString(),
+  });
+});
+
 module.exports = {
   createTodo,
   getAllTodos,
@@ -227,8 +550,20 @@ module.exports = {
   updateTodo,
   deleteTodo,
   toggleTodoStatus,
+  getSubtasks,
+  createSubtask,
+  getSubtask,
+  updateSubtask,
+  deleteSubtask,
+  getExecutionOrder,
   getTodoStatistics,
   getTodosDueSoon,
   bulkUpdateTodos,
   bulkDeleteTodos,
+  getTrash,
+  streamTodos,
+  getChanges,
+  syncTodos,
+  restoreTodo,
+  getTodoHistory,
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+const webhookService = require('../services/webhookService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * Register a webhook
+ * @route POST /api/v1/webhooks
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.createWebhook(req.body, req.user);
+
+  logger.info('Webhook created via API:', {
+    id: webhook.id,
+    createdBy: req.user.id,
+    ip: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created successfully',
+    data: webhook,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List webhooks
+ * @route GET /api/v1/webhooks
+ */
+const listWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await webhookService.listWebhooks(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhooks fetched successfully',
+    data: webhooks,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a webhook
+ * @route GET /api/v1/webhooks/:id
+ */
+const getWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.getWebhook(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook fetched successfully',
+    data: webhook,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a webhook
+ * @route PATCH /api/v1/webhooks/:id
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.updateWebhook(req.params.id, req.body, req.user);
+
+  logger.info('Webhook updated via API:', {
+    id: req.params.id,
+    fields: Object.keys(req.body),
+    updatedBy: req.user.id,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook updated successfully',
+    data: webhook,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a webhook
+ * @route DELETE /api/v1/webhooks/:id
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.deleteWebhook(req.params.id, req.user);
+
+  logger.info('Webhook deleted via API:', {
+    id: req.params.id,
+    deletedBy: req.user.id,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook deleted successfully',
+    data: webhook,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * List the deliveries of a webhook
+ * @route GET /api/v1/webhooks/:id/deliveries
+ */
+const listDeliveries = asyncHandler(async (req, res) => {
+  const result = await webhookService.listDeliveries(req.params.id, req.query, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook deliveries fetched successfully',
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+};
@@ -0,0 +1,182 @@
+/**
+ * Conversion of Joi schemas to the JSON Schema dialect of OpenAPI 3.1.
+ * Only what request validation uses is covered; conditions (when) are left out
+ * and custom rules are described by their messages only.
+ */
+
+/**
+ * Value of a rule in a Joi description
+ * @param {Object} description - Joi description
+ * @param {string} name - Rule name
+ * @returns {Object|undefined} Rule arguments, or {} for rules without arguments
+ */
+const findRule = (description, name) => {
+  const rule = (description.rules || []).find((candidate) => candidate.name === name);
+  return rule ? rule.args || {} : undefined;
+};
+
+/**
+ * JSON Schema pattern of a Joi regex, when it has no flags JSON Schema could not express
+ * @param {string} regex - Regex as described by Joi, e.g. /^a$/
+ * @returns {string|undefined}
+ */
+const toPattern = (regex) => {
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(regex);
+  if (!match || match[2]) return undefined;
+  return match[1];
+};
+
+const convertString = (description, schema) => {
+  schema.type = 'string';
+
+  const min = findRule(description, 'min');
+  const max = findRule(description, 'max');
+  const length = findRule(description, 'length');
+  if (min) schema.minLength = min.limit;
+  if (max) schema.maxLength = max.limit;
+  if (length) {
+    schema.minLength = length.limit;
+    schema.maxLength = length.limit;
+  }
+
+  if (findRule(description, 'guid')) schema.format = 'uuid';
+  else if (findRule(description, 'uri')) schema.format = 'uri';
+  else if (findRule(description, 'email')) schema.format = 'email';
+  else if (findRule(description, 'isoDate')) schema.format = 'date-time';
+
+  const pattern = findRule(description, 'pattern');
+  if (pattern) {
+    const source = toPattern(pattern.regex);
+    if (source !== undefined) schema.pattern = source;
+  }
+};
+
+const convertNumber = (description, schema) => {
+  schema.type = findRule(description, 'integer') ? 'integer' : 'number';
+
+  const min = findRule(description, 'min');
+  const max = findRule(description, 'max');
+  if (min) schema.minimum = min.limit;
+  if (max) schema.maximum = max.limit;
+};
+
+const convertArray = (description, schema) => {
+  schema.type = 'array';
+
+  const items = description.items || [];
+  if (items.length === 1) {
+    schema.items = convert(items[0]);
+  } else if (items.length > 1) {
+    schema.items = { anyOf: items.map(convert) };
+  }
+
+  const min = findRule(description, 'min');
+  const max = findRule(description, 'max');
+  const unique = findRule(description, 'unique');
+  if (min) schema.minItems = min.limit;
+  if (max) schema.maxItems = max.limit;
+  // Uniqueness by a key (e.g. mutationId) cannot be expressed
+  if (unique && !unique.comparator) schema.uniqueItems = true;
+};
+
+const convertObject = (description, schema) => {
+  schema.type = 'object';
+
+  if (description.keys) {
+    schema.properties = {};
+    const required = [];
+
+    for (const [key, child] of Object.entries(description.keys)) {
+      const presence = child.flags && child.flags.presence;
+      if (presence === 'forbidden') continue;
+
+      schema.properties[key] = convert(child);
+      if (presence === 'required') required.push(key);
+    }
+
+    if (required.length > 0) schema.required = required;
+
+    const unknown = description.flags && description.flags.unknown;
+    if (!unknown) schema.additionalProperties = false;
+  }
+
+  const min = findRule(description, 'min');
+  const max = findRule(description, 'max');
+  if (min) schema.minProperties = min.limit;
+  if (max) schema.maxProperties = max.limit;
+};
+
+/**
+ * Whether a default can be written as JSON (Joi also allows functions and references)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isJsonDefault = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+  if (Array.isArray(value)) return true;
+  return typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+    && !Object.prototype.hasOwnProperty.call(value, 'special')
+    && !Object.prototype.hasOwnProperty.call(value, 'ref');
+};
+
+/**
+ * Convert a Joi description to a JSON Schema
+ * @param {Object} description - Result of schema.describe()
+ * @returns {Object} JSON Schema
+ */
+function convert(description) {
+  const schema = {};
+  const flags = description.flags || {};
+
+  switch (description.type) {
+    case 'string':
+      convertString(description, schema);
+      break;
+    case 'number':
+      convertNumber(description, schema);
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'array':
+      convertArray(description, schema);
+      break;
+    case 'object':
+      convertObject(description, schema);
+      break;
+    case 'alternatives':
+      schema.anyOf = (description.matches || [])
+        .filter((match) => match.schema)
+        .map((match) => convert(match.schema));
+      break;
+    default:
+      break;
+  }
+
+  const allowed = (description.allow || []).filter((value) => typeof value !== 'object' || value === null);
+  if (flags.only) {
+    schema.enum = allowed;
+  } else if (allowed.includes(null) && schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && isJsonDefault(flags.default)) schema.default = flags.default;
+
+  return schema;
+}
+
+/**
+ * Convert a Joi schema to a JSON Schema
+ * @param {Object} joiSchema - Joi schema
+ * @returns {Object} JSON Schema
+ */
+const joiToJsonSchema = (joiSchema) => convert(joiSchema.describe());
+
+module.exports = {
+  joiToJsonSchema,
+};
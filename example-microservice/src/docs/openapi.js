@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const mounts = require('../routes/mounts');
+const operations = require('./operations');
+const { joiToJsonSchema } = require('./joiToJsonSchema');
+const config = require('../config');
+const { ERRORS } = require('../config/errorCodes');
+const { name, version, description } = require('../../package.json');
+
+const Todo = require('../models/Todo');
+const Tag = require('../models/Tag');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Response schemas built from the models, without the columns their serialization hides
+const MODEL_SCHEMAS = {
+  Todo: {
+    model: Todo,
+    hidden: ['tagsText'],
+    virtual: {
+      isOverdue: { type: 'boolean' },
+      completionPercentage: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+      isBlocked: { type: 'boolean' },
+      blockedBy: { type: 'array', items: { type: 'string', format: 'uuid' } },
+      blocks: { type: 'array', items: { type: 'string', format: 'uuid' } },
+      tags: { type: ['array', 'null'], items: { type: 'string' } },
+    },
+  },
+  Tag: { model: Tag },
+  ApiKey: { model: ApiKey, hidden: ['keyHash'], virtual: { isActive: { type: 'boolean' } } },
+  AuditLog: { model: AuditLog },
+  Webhook: { model: Webhook, hidden: ['secret'] },
+  WebhookDelivery: { model: WebhookDelivery },
+};
+
+// Request headers, referenced from the operations that read them
+const HEADER_PARAMETERS = {
+  TenantId: {
+    name: config.tenancy.header,
+    in: 'header',
+    description: 'Tenant to act in; defaults to the tenant of the token',
+    schema: { type: 'string' },
+  },
+  IdempotencyKey: {
+    name: 'Idempotency-Key',
+    in: 'header',
+    description: 'Makes the request safe to retry; a repeated key replays the first response',
+    schema: { type: 'string', maxLength: 255 },
+  },
+  IfMatch: {
+    name: 'If-Match',
+    in: 'header',
+    description: 'ETag of the version being changed; the request fails with 412 when it is stale',
+    schema: { type: 'string' },
+  },
+  IfNoneMatch: {
+    name: 'If-None-Match',
+    in: 'header',
+    description: 'ETag of the cached copy; 304 is returned when it is current',
+    schema: { type: 'string' },
+  },
+  LastEventId: {
+    name: 'Last-Event-ID',
+    in: 'header',
+    description: 'ID of the last event received, to resume a stream after it',
+    schema: { type: 'string', pattern: '^\\d+$' },
+  },
+};
+
+const ERROR_RESPONSES = {
+  400: 'Request validation failed',
+  401: 'Authentication required',
+  403: 'Permission or tenant access denied',
+  404: 'Resource not found',
+  412: 'The resource changed since the given ETag',
+};
+
+const VALIDATIONS_DIR = path.join(__dirname, '..', 'validations');
+
+/**
+ * Component names of the Joi schemas exported by the validation modules,
+ * e.g. createTodoSchema -> CreateTodo
+ * @returns {Map<Object, string>} Joi schema -> component name
+ */
+const getSchemaNames = () => {
+  const names = new Map();
+
+  fs.readdirSync(VALIDATIONS_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .forEach((file) => {
+      const exported = require(path.join(VALIDATIONS_DIR, file));
+      for (const [key, value] of Object.entries(exported)) {
+        if (value && typeof value.describe === 'function' && key.endsWith('Schema')) {
+          const base = key.slice(0, -'Schema'.length);
+          names.set(value, base.charAt(0).toUpperCase() + base.slice(1));
+        }
+      }
+    });
+
+  return names;
+};
+
+/**
+ * List the routes of every mounted router, with the middleware that runs for them
+ * @returns {Array<Object>} { key, method, path, mount, handlers }, key as in the operations registry
+ */
+const listRoutes = () => {
+  const routes = [];
+
+  for (const mount of mounts) {
+    // Router-level middleware applies to the routes declared after it
+    const shared = [];
+
+    for (const layer of mount.router.stack) {
+      if (!layer.route) {
+        shared.push(layer.handle);
+        continue;
+      }
+
+      const routePath = layer.route.path === '/' ? mount.path : `${mount.path}${layer.route.path}`;
+      const handlers = [...shared, ...layer.route.stack.map((routeLayer) => routeLayer.handle)];
+
+      Object.keys(layer.route.methods).forEach((method) => {
+        routes.push({
+          key: `${method.toUpperCase()} ${routePath}`,
+          method,
+          path: routePath,
+          mount,
+          handlers,
+        });
+      });
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Full URL path of a route in OpenAPI notation, e.g. /api/v1/todos/{id}
+ * @param {Object} route
+ * @returns {string}
+ */
+const toOpenApiPath = (route) => {
+  const prefix = route.mount.versioned ? `/api/${config.app.version}` : '';
+  return `${prefix}${route.path}`.replace(/:(\w+)/g, '{$1}');
+};
+
+/**
+ * Response schema of a model
+ * @param {Object} definition - Entry of MODEL_SCHEMAS
+ * @returns {Object} JSON Schema
+ */
+const buildModelSchema = ({ model, hidden = [], virtual = {} }) => {
+  const { properties, required = [] } = model.jsonSchema;
+
+  const visible = Object.fromEntries(Object.entries(properties).filter(([key]) => !hidden.includes(key)));
+  return {
+    type: 'object',
+    properties: { ...visible, ...virtual },
+    required: required.filter((key) => !hidden.includes(key)),
+  };
+};
+
+/**
+ * Schema of the success response envelope
+ * @param {Object} operation - Entry of the operations registry
+ * @returns {Object} JSON Schema
+ */
+const buildResponseSchema = (operation) => {
+  let data = {};
+  if (Array.isArray(operation.data)) {
+    data = { type: 'array', items: { $ref: `#/components/schemas/${operation.data[0]}` } };
+  } else if (operation.data) {
+    data = { $ref: `#/components/schemas/${operation.data}` };
+  }
+
+  const properties = {
+    success: { type: 'boolean', const: true },
+    message: { type: 'string' },
+    data,
+    timestamp: { type: 'string', format: 'date-time' },
+  };
+  if (operation.paginated) {
+    properties.pagination = { $ref: '#/components/schemas/Pagination' };
+  }
+
+  return { type: 'object', properties };
+};
+
+/**
+ * OpenAPI parameters of a validated request part (query or path)
+ * @param {Object} schema - JSON Schema of the request part
+ * @param {string} location - 'query' or 'path'
+ * @returns {Array<Object>}
+ */
+const toParameters = (schema, location) => Object.entries(schema.properties || {}).map(([key, property]) => ({
+  name: key,
+  in: location,
+  required: location === 'path' || (schema.required || []).includes(key),
+  schema: property,
+}));
+
+/**
+ * OpenAPI operation of a route
+ * @param {Object} route - Route from listRoutes()
+ * @param {Object} operation - Entry of the operations registry
+ * @param {Map<Object, string>} schemaNames - Component names of shared Joi schemas
+ * @param {Object} schemas - Components being collected
+ * @returns {Object}
+ */
+const buildOperation = (route, operation, schemaNames, schemas) => {
+  const result = {
+    tags: [route.mount.tag],
+    summary: operation.summary,
+    parameters: [],
+    responses: {},
+  };
+
+  const errors = new Set();
+  const handlers = route.handlers;
+
+  if (handlers.some((handler) => handler.requiresAuth)) {
+    result.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+    errors.add(401);
+  }
+
+  const permissions = handlers.filter((handler) => handler.permission).map((handler) => handler.permission);
+  if (permissions.length > 0) {
+    result['x-permissions'] = permissions;
+    errors.add(403);
+  }
+
+  const documented = new Set();
+  handlers.filter((handler) => handler.schema).forEach(({ schema, property }) => {
+    errors.add(400);
+    const jsonSchema = joiToJsonSchema(schema);
+
+    if (property === 'body') {
+      const schemaName = schemaNames.get(schema);
+      if (schemaName) schemas[schemaName] = jsonSchema;
+
+      result.requestBody = {
+        required: true,
+        content: {
+          'application/json': {
+            schema: schemaName ? { $ref: `#/components/schemas/${schemaName}` } : jsonSchema,
+          },
+        },
+      };
+      return;
+    }
+
+    const location = property === 'params' ? 'path' : 'query';
+    toParameters(jsonSchema, location).forEach((parameter) => {
+      documented.add(parameter.name);
+      result.parameters.push(parameter);
+    });
+  });
+
+  // Path parameters without validation are plain strings
+  (route.path.match(/:(\w+)/g) || [])
+    .map((match) => match.slice(1))
+    .filter((key) => !documented.has(key))
+    .forEach((key) => result.parameters.push({ name: key, in: 'path', required: true, schema: { type: 'string' } }));
+
+  if (route.path.includes(':')) errors.add(404);
+
+  // Headers read by middleware (tenant, idempotency key) and by the controller
+  const headers = handlers
+    .filter((handler) => handler.header)
+    .map((handler) => Object.keys(HEADER_PARAMETERS).find((key) => HEADER_PARAMETERS[key].name === handler.header))
+    .concat(operation.headers || []);
+
+  headers.forEach((header) => {
+    result.parameters.push({ $ref: `#/components/parameters/${header}` });
+    if (header === 'TenantId') errors.add(403);
+    if (header === 'IfMatch') errors.add(412);
+  });
+
+  const status = String(operation.status || 200);
+  result.responses[status] = operation.contentType
+    ? { description: operation.summary, content: { [operation.contentType]: { schema: { type: 'string' } } } }
+    : {
+      description: operation.summary,
+      content: { 'application/json': { schema: operation.responseSchema || buildResponseSchema(operation) } },
+    };
+
+  [...errors].sort().forEach((code) => {
+    result.responses[code] = { $ref: `#/components/responses/${code}` };
+  });
+
+  if (result.parameters.length === 0) delete result.parameters;
+
+  return result;
+};
+
+/**
+ * Build the OpenAPI document from the mounted routes, their validation schemas
+ * and the operations registry
+ * @returns {Object} OpenAPI 3.1 document
+ * @throws {Error} When a route is missing from the operations registry
+ */
+const buildSpec = () => {
+  const schemaNames = getSchemaNames();
+  const schemas = {
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: false },
+        error: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            message: { type: 'string' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' }, value: {} },
+              },
+            },
+          },
+          required: ['code', 'message'],
+        },
+        timestamp: { type: 'string', format: 'date-time' },
+      },
+    },
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem details, sent when the request accepts application/problem+json',
+      properties: {
+        type: { type: 'string', format: 'uri-reference' },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string', description: 'Request ID as a urn:uuid URI' },
+        code: { type: 'string', enum: Object.keys(ERRORS) },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, message: { type: 'string' } },
+          },
+        },
+      },
+      required: ['type', 'title', 'status', 'code'],
+    },
+    Pagination: {
+      type: 'object',
+      description: 'Page numbers, or the cursor of the next page for cursor pagination',
+    },
+  };
+
+  Object.entries(MODEL_SCHEMAS).forEach(([schemaName, definition]) => {
+    schemas[schemaName] = buildModelSchema(definition);
+  });
+
+  const paths = {};
+  listRoutes().forEach((route) => {
+    const operation = operations[route.key];
+    if (!operation) {
+      throw new Error(`No API documentation for route ${route.key}`);
+    }
+
+    const openApiPath = toOpenApiPath(route);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = buildOperation(route, operation, schemaNames, schemas);
+  });
+
+  const responses = Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([code, text]) => [
+    code,
+    {
+      description: text,
+      content: {
+        'application/json': { schema: { $ref: '#/components/schemas/Error' } },
+        'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } },
+      },
+    },
+  ]));
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: name,
+      version,
+      description,
+    },
+    tags: mounts.map((mount) => ({ name: mount.tag })),
+    paths,
+    components: {
+      schemas,
+      parameters: HEADER_PARAMETERS,
+      responses,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+    },
+  };
+};
+
+/**
+ * Summaries of the endpoints, grouped by router
+ * @returns {Object} e.g. { todos: { 'GET /todos': 'Get all todos ...' } }
+ */
+const listEndpoints = () => {
+  const endpoints = Object.fromEntries(mounts.map((mount) => [mount.name, {}]));
+  listRoutes().forEach((route) => {
+    const operation = operations[route.key];
+    if (operation) endpoints[route.mount.name][route.key] = operation.summary;
+  });
+  return endpoints;
+};
+
+let spec = null;
+
+/**
+ * OpenAPI document, built on first use
+ * @returns {Object}
+ */
+const getSpec = () => {
+  if (!spec) spec = buildSpec();
+  return spec;
+};
+
+module.exports = {
+  listRoutes,
+  listEndpoints,
+  buildSpec,
+  getSpec,
+};
@@ -0,0 +1,88 @@
+/**
+ * Description of every API operation, keyed by method and path as mounted
+ * (without the /api/<version> prefix). Parameters, request bodies, security and
+ * permissions are read from the routes themselves; this adds what they do not tell:
+ *
+ * - summary: one-line description
+ * - status: success status code (default 200)
+ * - data: model schema of the response data, in brackets for a list
+ * - paginated: the response has data and pagination instead of data alone
+ * - headers: conditional request headers the operation honours
+ * - contentType: response media type other than JSON
+ * - responseSchema: response schema when it is not the usual envelope
+ */
+const operations = {
+  // Todos
+  'GET /todos': { summary: 'Get all todos with filtering and pagination', data: ['Todo'], paginated: true },
+  'POST /todos': { summary: 'Create a new todo', status: 201, data: 'Todo' },
+  'GET /todos/:id': { summary: 'Get todo by ID', data: 'Todo', headers: ['IfNoneMatch'] },
+  'PUT /todos/:id': { summary: 'Update todo by ID', data: 'Todo', headers: ['IfMatch'] },
+  'DELETE /todos/:id': { summary: 'Delete todo by ID', headers: ['IfMatch'] },
+  'PATCH /todos/:id/toggle': { summary: 'Toggle todo completion status', data: 'Todo', headers: ['IfMatch'] },
+  'GET /todos/:id/subtasks': { summary: 'Get the subtasks of a todo', data: ['Todo'] },
+  'POST /todos/:id/subtasks': { summary: 'Create a subtask', status: 201, data: 'Todo' },
+  'GET /todos/:id/subtasks/:subtaskId': { summary: 'Get a subtask', data: 'Todo', headers: ['IfNoneMatch'] },
+  'PUT /todos/:id/subtasks/:subtaskId': { summary: 'Update a subtask', data: 'Todo', headers: ['IfMatch'] },
+  'DELETE /todos/:id/subtasks/:subtaskId': { summary: 'Delete a subtask', headers: ['IfMatch'] },
+  'GET /todos/stats': { summary: 'Get todo statistics' },
+  'GET /todos/due-soon': { summary: 'Get todos due soon', data: ['Todo'] },
+  'GET /todos/execution-order': { summary: 'Get todos in dependency order', data: ['Todo'] },
+  'PATCH /todos/bulk': { summary: 'Bulk update todos' },
+  'DELETE /todos/bulk': { summary: 'Bulk delete todos' },
+  'GET /todos/trash': { summary: 'Get deleted todos in the trash', data: ['Todo'], paginated: true },
+  'GET /todos/stream': {
+    summary: 'Stream todo changes as Server-Sent Events',
+    headers: ['LastEventId'],
+    contentType: 'text/event-stream',
+  },
+  'GET /todos/changes': { summary: 'Get todo changes since a sync token' },
+  'POST /todos/sync': { summary: 'Apply a batch of offline mutations' },
+  'POST /todos/:id/restore': { summary: 'Restore a deleted todo', data: 'Todo' },
+  'GET /todos/:id/history': { summary: 'Get the audit history of a todo', data: ['AuditLog'] },
+
+  // API keys
+  'GET /api-keys': { summary: 'List API keys (admin)', data: ['ApiKey'] },
+  'POST /api-keys': { summary: 'Create an API key (admin)', status: 201 },
+  'DELETE /api-keys/:id': { summary: 'Revoke an API key (admin)', data: 'ApiKey' },
+
+  // Audit
+  'GET /audit': { summary: 'List audit records with filtering (admin)', data: ['AuditLog'], paginated: true },
+
+  // Tags
+  'GET /tags': { summary: 'List tags with usage counts', data: ['Tag'] },
+  'PATCH /tags/:id': { summary: 'Rename a tag (admin)', data: 'Tag' },
+  'POST /tags/:id/merge': { summary: 'Merge a tag into another tag (admin)' },
+  'DELETE /tags/:id': { summary: 'Delete a tag (admin)' },
+
+  // Webhooks
+  'GET /webhooks': { summary: 'List webhooks (admin)', data: ['Webhook'] },
+  'POST /webhooks': { summary: 'Register a webhook (admin)', status: 201, data: 'Webhook' },
+  'GET /webhooks/:id': { summary: 'Get a webhook (admin)', data: 'Webhook' },
+  'PATCH /webhooks/:id': { summary: 'Update or re-enable a webhook (admin)', data: 'Webhook' },
+  'DELETE /webhooks/:id': { summary: 'Delete a webhook (admin)', data: 'Webhook' },
+  'GET /webhooks/:id/deliveries': {
+    summary: 'List the deliveries of a webhook (admin)',
+    data: ['WebhookDelivery'],
+    paginated: true,
+  },
+
+  // GraphQL
+  'POST /graphql': {
+    summary: 'Execute a GraphQL query or mutation',
+    responseSchema: {
+      type: 'object',
+      properties: {
+        data: { type: ['object', 'null'] },
+        errors: { type: 'array', items: { type: 'object' } },
+      },
+    },
+  },
+
+  // Health
+  'GET /health': { summary: 'Basic health check' },
+  'GET /health/detailed': { summary: 'Detailed health check' },
+  'GET /health/ready': { summary: 'Readiness probe' },
+  'GET /health/live': { summary: 'Liveness probe' },
+};
+
+module.exports = operations;
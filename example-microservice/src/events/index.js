@@ -0,0 +1,12 @@
+// Types of the todo lifecycle events published through the outbox
+const TODO_EVENT_TYPES = {
+  CREATED: 'TodoCreated',
+  UPDATED: 'TodoUpdated',
+  COMPLETED: 'TodoCompleted',
+  DELETED: 'TodoDeleted',
+  REMINDER_DUE: 'TodoReminderDue',
+};
+
+module.exports = {
+  TODO_EVENT_TYPES,
+};
@@ -0,0 +1,117 @@
+const {
+  GraphQLError,
+  parse,
+  validate,
+  execute,
+  getOperationAST,
+  getVariableValues,
+} = require('graphql');
+const { schema } = require('./schema');
+const { createLoaders } = require('./loaders');
+const { checkLimits } = require('./limits');
+const { ApiError, handleError, errorCodeOf } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * Serialize an error for the response. Errors thrown by resolvers keep their error
+ * code; unexpected ones are logged and masked.
+ * @param {GraphQLError} error
+ * @returns {Object}
+ */
+const formatError = (error) => {
+  const original = error.originalError;
+  if (!original || original instanceof GraphQLError) {
+    return error.toJSON();
+  }
+
+  let handled = handleError(original);
+  if (!handled.statusCode) {
+    logger.error('Error resolving GraphQL field:', { path: error.path, error: original.message, stack: original.stack });
+    handled = new ApiError(500, 'Something went wrong');
+  }
+
+  return new GraphQLError(handled.message, {
+    nodes: error.nodes,
+    path: error.path,
+    extensions: {
+      code: errorCodeOf(handled),
+      statusCode: handled.statusCode,
+      ...(handled.details && { details: handled.details }),
+    },
+  }).toJSON();
+};
+
+/**
+ * Response for a request that cannot be executed
+ * @param {Array<GraphQLError>} errors
+ * @param {string} code - Error code for the errors
+ * @returns {Object} { status, body }
+ */
+const requestError = (errors, code) => ({
+  status: 400,
+  body: {
+    errors: errors.map((error) => new GraphQLError(error.message, {
+      nodes: error.nodes,
+      source: error.source,
+      positions: error.positions,
+      extensions: { ...error.extensions, code },
+    }).toJSON()),
+  },
+});
+
+/**
+ * Run a GraphQL request for a user. The request is parsed, validated against the schema
+ * and checked against the depth and complexity limits before anything is resolved.
+ * @param {Object} request - { query, variables, operationName }
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { status, body } with body as { data, errors }
+ */
+const executeRequest = async ({ query, variables, operationName }, user) => {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return requestError([error], 'GRAPHQL_PARSE_FAILED');
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    return requestError(validationErrors, 'GRAPHQL_VALIDATION_FAILED');
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return requestError([new GraphQLError(operationName
+      ? `Unknown operation named "${operationName}"`
+      : 'Must provide operation name if query contains multiple operations')], 'BAD_REQUEST');
+  }
+
+  const { coerced, errors: variableErrors } = getVariableValues(schema, operation.variableDefinitions || [], variables || {});
+  if (variableErrors) {
+    return requestError(variableErrors, 'BAD_REQUEST');
+  }
+
+  const limitErrors = checkLimits(schema, document, operation, coerced);
+  if (limitErrors.length > 0) {
+    return requestError(limitErrors.map((message) => new GraphQLError(message)), 'QUERY_TOO_COMPLEX');
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    operationName,
+    variableValues: variables || {},
+    contextValue: { user, loaders: createLoaders(user) },
+  });
+
+  const body = { data: result.data };
+  if (result.errors) {
+    body.errors = result.errors.map(formatError);
+  }
+
+  return { status: 200, body };
+};
+
+module.exports = {
+  executeRequest,
+};
@@ -0,0 +1,144 @@
+const {
+  Kind,
+  getNamedType,
+  getNullableType,
+  isLeafType,
+  isListType,
+  valueFromAST,
+} = require('graphql');
+const config = require('../config');
+
+// Assumed size of lists without a limit argument, such as subtasks
+const DEFAULT_LIST_SIZE = 10;
+
+/**
+ * Value of a field's limit argument, from the query or its variables
+ * @param {Object} fieldDef - Schema field
+ * @param {Object} node - Field node of the query
+ * @param {Object} variables - Coerced variable values
+ * @returns {number|undefined} undefined when the field takes no limit
+ */
+const limitOf = (fieldDef, node, variables) => {
+  const argDef = fieldDef.args.find((arg) => arg.name === 'limit');
+  if (!argDef) return undefined;
+
+  const argNode = (node.arguments || []).find((arg) => arg.name.value === 'limit');
+  const value = argNode ? valueFromAST(argNode.value, argDef.type, variables) : undefined;
+  return Number.isInteger(value) ? value : config.pagination.defaultLimit;
+};
+
+/**
+ * Depth and complexity of a selection set. Complexity counts the objects a query
+ * resolves: every object field costs 1, times the size of the lists it sits in.
+ * A page size from a limit argument applies to the list below it (e.g. todos.data).
+ * Introspection fields are not counted.
+ * @param {Object} selectionSet - Selection set node
+ * @param {Object} parentType - Schema type the selections are made on
+ * @param {Object} state - { schema, fragments, variables, visited }
+ * @param {number} [pageSize] - Limit of the enclosing paginated field
+ * @returns {Object} { depth, complexity }
+ */
+const measureSelections = (selectionSet, parentType, state, pageSize) => {
+  let depth = 0;
+  let complexity = 0;
+
+  const add = (measured) => {
+    depth = Math.max(depth, measured.depth);
+    complexity += measured.complexity;
+  };
+
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition
+        ? state.schema.getType(selection.typeCondition.name.value)
+        : parentType;
+      add(measureSelections(selection.selectionSet, type, state, pageSize));
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      const fragment = state.fragments[name];
+      // Unknown and cyclic fragments are rejected by validation
+      if (!fragment || state.visited.has(name)) continue;
+
+      state.visited.add(name);
+      const type = state.schema.getType(fragment.typeCondition.name.value);
+      add(measureSelections(fragment.selectionSet, type, state, pageSize));
+      state.visited.delete(name);
+    } else {
+      const name = selection.name.value;
+      const fieldDef = !name.startsWith('__') && parentType.getFields && parentType.getFields()[name];
+      if (!fieldDef) continue;
+
+      if (isLeafType(getNamedType(fieldDef.type)) || !selection.selectionSet) {
+        add({ depth: 1, complexity: 0 });
+        continue;
+      }
+
+      const limit = limitOf(fieldDef, selection, state.variables);
+      const isList = isListType(getNullableType(fieldDef.type));
+      const size = isList ? pageSize || DEFAULT_LIST_SIZE : 1;
+
+      const child = measureSelections(
+        selection.selectionSet,
+        getNamedType(fieldDef.type),
+        state,
+        isList ? undefined : limit || pageSize
+      );
+
+      add({ depth: child.depth + 1, complexity: size * (1 + child.complexity) });
+    }
+  }
+
+  return { depth, complexity };
+};
+
+/**
+ * Measure an operation of a validated document
+ * @param {Object} schema - GraphQL schema
+ * @param {Object} document - Parsed query
+ * @param {Object} operation - Operation definition to run
+ * @param {Object} [variables] - Coerced variable values
+ * @returns {Object} { depth, complexity }
+ */
+const measureOperation = (schema, document, operation, variables = {}) => {
+  const fragments = {};
+  document.definitions
+    .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach((fragment) => {
+      fragments[fragment.name.value] = fragment;
+    });
+
+  const rootType = schema.getRootType(operation.operation);
+  return measureSelections(operation.selectionSet, rootType, {
+    schema,
+    fragments,
+    variables,
+    visited: new Set(),
+  });
+};
+
+/**
+ * Errors for an operation that is too deep or too complex
+ * @param {Object} schema
+ * @param {Object} document
+ * @param {Object} operation
+ * @param {Object} [variables]
+ * @returns {Array<string>} Messages, empty when within the limits
+ */
+const checkLimits = (schema, document, operation, variables) => {
+  const { depth, complexity } = measureOperation(schema, document, operation, variables);
+  const messages = [];
+
+  if (depth > config.graphql.maxDepth) {
+    messages.push(`Query depth ${depth} exceeds the maximum of ${config.graphql.maxDepth}`);
+  }
+  if (complexity > config.graphql.maxComplexity) {
+    messages.push(`Query complexity ${complexity} exceeds the maximum of ${config.graphql.maxComplexity}`);
+  }
+
+  return messages;
+};
+
+module.exports = {
+  measureOperation,
+  checkLimits,
+};
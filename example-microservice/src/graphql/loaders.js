@@ -0,0 +1,30 @@
+const DataLoader = require('dataloader');
+const todoService = require('../services/todoService');
+
+/**
+ * Per-request loaders batching the todo lookups of nested fields into one query
+ * per field level. Loaders cache for the request only, so every request sees
+ * current data and its own user's todos.
+ * @param {Object} user - Authenticated user
+ * @returns {Object} { todoById, subtasksByParentId }
+ */
+const createLoaders = (user) => ({
+  // Todo by ID, or null when the user has no such todo
+  todoById: new DataLoader(async (ids) => {
+    const todos = await todoService.getTodosByIds(ids, user);
+    const byId = new Map(todos.map((todo) => [todo.id, todo.toJSON()]));
+    return ids.map((id) => byId.get(id) || null);
+  }),
+
+  // Subtasks of a todo, oldest first
+  subtasksByParentId: new DataLoader(async (parentIds) => {
+    const subtasks = await todoService.getSubtasksOfParents(parentIds, user);
+    const byParentId = new Map(parentIds.map((parentId) => [parentId, []]));
+    subtasks.forEach((subtask) => byParentId.get(subtask.parentId).push(subtask.toJSON()));
+    return parentIds.map((parentId) => byParentId.get(parentId));
+  }),
+});
+
+module.exports = {
+  createLoaders,
+};
@@ -0,0 +1,117 @@
+const todoService = require('../services/todoService');
+const { requirePermission } = require('../middleware/auth');
+const { validated } = require('../middleware/validation');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  createTodoSchema,
+  updateTodoSchema,
+  queryParamsSchema,
+  uuidParamSchema,
+  toggleQueryParamsSchema,
+  updateQueryParamsSchema,
+  bulkUpdateSchema,
+  bulkUpdateQueryParamsSchema,
+  bulkDeleteSchema,
+  dueSoonQuerySchema,
+} = require('../validations/todoValidation');
+
+const serialize = (todo) => todo.toJSON();
+
+/**
+ * Load todos by ID, leaving out those the user cannot see
+ * @param {Object} loaders - Request loaders
+ * @param {Array<string>} [ids]
+ * @returns {Promise<Array>}
+ */
+const loadTodos = async (loaders, ids = []) => {
+  const todos = await Promise.all(ids.map((id) => loaders.todoById.load(id)));
+  return todos.filter(Boolean);
+};
+
+const expectedVersionsOf = (expectedVersion) => (
+  expectedVersion === undefined || expectedVersion === null ? undefined : [expectedVersion]
+);
+
+const resolvers = {
+  Query: {
+    todos: async (parent, args, { user }) => {
+      const result = await todoService.getAllTodos(validated(queryParamsSchema, args), user);
+      return { data: result.data.map(serialize), pagination: result.pagination };
+    },
+
+    todo: (parent, args, { loaders }) => loaders.todoById.load(validated(uuidParamSchema, args).id),
+
+    stats: (parent, args, { user }) => todoService.getTodoStatistics(user),
+
+    dueSoon: async (parent, args, { user }) => {
+      const { days } = validated(dueSoonQuerySchema, args);
+      const todos = await todoService.getTodosDueSoon(days, user);
+      return todos.map(serialize);
+    },
+  },
+
+  Mutation: {
+    createTodo: async (parent, { input }, { user }) => {
+      requirePermission(user, PERMISSIONS.TODOS_WRITE);
+      const todo = await todoService.createTodo(validated(createTodoSchema, input), user);
+      return serialize(todo);
+    },
+
+    updateTodo: async (parent, { id, input, expectedVersion, ...flags }, { user }) => {
+      requirePermission(user, PERMISSIONS.TODOS_WRITE);
+      validated(uuidParamSchema, { id });
+      const options = validated(updateQueryParamsSchema, flags);
+
+      const todo = await todoService.updateTodo(id, validated(updateTodoSchema, input), user, {
+        ...options,
+        expectedVersions: expectedVersionsOf(expectedVersion),
+      });
+      return serialize(todo);
+    },
+
+    toggleTodo: async (parent, { id, expectedVersion, ...flags }, { user }) => {
+      requirePermission(user, PERMISSIONS.TODOS_WRITE);
+      validated(uuidParamSchema, { id });
+      const options = validated(toggleQueryParamsSchema, flags);
+
+      const todo = await todoService.toggleTodoStatus(id, user, {
+        ...options,
+        expectedVersions: expectedVersionsOf(expectedVersion),
+      });
+      return serialize(todo);
+    },
+
+    bulkUpdateTodos: async (parent, { ids, input, ...flags }, { user }) => {
+      requirePermission(user, PERMISSIONS.TODOS_BULK);
+      const { updateData } = validated(bulkUpdateSchema, { ids, updateData: input });
+      const options = validated(bulkUpdateQueryParamsSchema, flags);
+
+      const updatedCount = await todoService.bulkUpdateTodos(ids, updateData, user, options);
+      return { updatedCount, totalRequested: ids.length };
+    },
+
+    bulkDeleteTodos: async (parent, { ids }, { user }) => {
+      requirePermission(user, PERMISSIONS.TODOS_BULK);
+      validated(bulkDeleteSchema, { ids });
+
+      const deletedCount = await todoService.bulkDeleteTodos(ids, user);
+      return { deletedCount, totalRequested: ids.length };
+    },
+  },
+
+  Todo: {
+    isProjected: (todo) => Boolean(todo.isProjected),
+
+    tags: (todo) => todo.tags || [],
+
+    parent: (todo, args, { loaders }) => (todo.parentId ? loaders.todoById.load(todo.parentId) : null),
+
+    subtasks: (todo, args, { loaders }) => (todo.id ? loaders.subtasksByParentId.load(todo.id) : []),
+
+    blockedBy: (todo, args, { loaders }) => loadTodos(loaders, todo.blockedBy),
+
+    blocks: (todo, args, { loaders }) => loadTodos(loaders, todo.blocks),
+  },
+};
+
+module.exports = resolvers;
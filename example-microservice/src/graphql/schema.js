@@ -0,0 +1,205 @@
+const { buildSchema, Kind } = require('graphql');
+const resolvers = require('./resolvers');
+
+const typeDefs = `
+  "ISO 8601 date and time"
+  scalar DateTime
+
+  enum Priority {
+    low
+    medium
+    high
+  }
+
+  enum TodoStatus {
+    all
+    completed
+    pending
+    blocked
+  }
+
+  enum TagMode {
+    any
+    all
+  }
+
+  enum SortBy {
+    createdAt
+    updatedAt
+    dueDate
+    priority
+    title
+    relevance
+  }
+
+  enum SortOrder {
+    asc
+    desc
+  }
+
+  "Which occurrences of a recurring todo an update applies to"
+  enum UpdateScope {
+    this
+    future
+  }
+
+  type Todo {
+    "Null for projected occurrences of a recurring todo, which are not created yet"
+    id: ID
+    title: String!
+    description: String
+    completed: Boolean!
+    priority: Priority!
+    dueDate: DateTime
+    recurrenceRule: String
+    seriesId: ID
+    occurrence: Int
+    occurrenceDate: DateTime
+    isProjected: Boolean!
+    ownerId: ID
+    version: Int
+    createdAt: DateTime
+    updatedAt: DateTime
+    isOverdue: Boolean!
+    isBlocked: Boolean!
+    completionPercentage: Int!
+    tags: [String!]!
+    parent: Todo
+    subtasks: [Todo!]!
+    "Todos that must be completed first"
+    blockedBy: [Todo!]!
+    "Todos waiting for this one"
+    blocks: [Todo!]!
+  }
+
+  type Pagination {
+    currentPage: Int
+    itemsPerPage: Int!
+    hasNextPage: Boolean!
+    hasPrevPage: Boolean
+    nextCursor: String
+    totalItems: Int
+    totalPages: Int
+  }
+
+  type TodoPage {
+    data: [Todo!]!
+    pagination: Pagination!
+  }
+
+  type SubtaskStatistics {
+    total: Int!
+    completed: Int!
+    pending: Int!
+  }
+
+  type TodoStatistics {
+    total: Int!
+    completed: Int!
+    pending: Int!
+    overdue: Int!
+    subtasks: SubtaskStatistics!
+  }
+
+  type BulkUpdateResult {
+    updatedCount: Int!
+    totalRequested: Int!
+  }
+
+  type BulkDeleteResult {
+    deletedCount: Int!
+    totalRequested: Int!
+  }
+
+  input CreateTodoInput {
+    title: String!
+    description: String
+    priority: Priority
+    dueDate: DateTime
+    recurrenceRule: String
+    tags: [String!]
+    blockedBy: [ID!]
+    completed: Boolean
+  }
+
+  input UpdateTodoInput {
+    title: String
+    description: String
+    priority: Priority
+    dueDate: DateTime
+    recurrenceRule: String
+    tags: [String!]
+    blockedBy: [ID!]
+    completed: Boolean
+  }
+
+  type Query {
+    "Top-level todos, with the filters, sorting and pagination of GET /todos"
+    todos(
+      page: Int
+      limit: Int
+      status: TodoStatus
+      priority: Priority
+      sortBy: SortBy
+      sortOrder: SortOrder
+      search: String
+      tag: String
+      tagMode: TagMode
+      cursor: String
+      includeTotal: Boolean
+    ): TodoPage!
+
+    "A todo or subtask by ID; null when it does not exist"
+    todo(id: ID!): Todo
+
+    stats: TodoStatistics!
+
+    "Pending todos due within the given number of days"
+    dueSoon(days: Int): [Todo!]!
+  }
+
+  type Mutation {
+    createTodo(input: CreateTodoInput!): Todo!
+
+    "Fails when expectedVersion is given and the todo has another version"
+    updateTodo(id: ID!, input: UpdateTodoInput!, expectedVersion: Int, scope: UpdateScope, force: Boolean): Todo!
+
+    toggleTodo(id: ID!, expectedVersion: Int, cascade: Boolean, force: Boolean): Todo!
+
+    bulkUpdateTodos(ids: [ID!]!, input: UpdateTodoInput!, force: Boolean): BulkUpdateResult!
+
+    "Moves the todos to the trash"
+    bulkDeleteTodos(ids: [ID!]!): BulkDeleteResult!
+  }
+`;
+
+// Dates come from the database as Date objects or strings; inputs are checked by the Joi schemas
+const dateTimeScalar = {
+  serialize: (value) => (value instanceof Date ? value.toISOString() : value),
+  parseValue: (value) => value,
+  parseLiteral: (ast) => (ast.kind === Kind.STRING ? ast.value : undefined),
+};
+
+/**
+ * Build the executable schema: the type definitions with the resolvers attached
+ * @returns {GraphQLSchema}
+ */
+const createSchema = () => {
+  const schema = buildSchema(typeDefs);
+
+  Object.assign(schema.getType('DateTime'), dateTimeScalar);
+
+  for (const [typeName, fieldResolvers] of Object.entries(resolvers)) {
+    const fields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fieldResolvers)) {
+      fields[fieldName].resolve = resolve;
+    }
+  }
+
+  return schema;
+};
+
+module.exports = {
+  typeDefs,
+  schema: createSchema(),
+};
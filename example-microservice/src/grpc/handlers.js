@@ -0,0 +1,89 @@
+const todoService = require('../services/todoService');
+const { requirePermission } = require('../middleware/auth');
+const { validated } = require('../middleware/validation');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  createTodoSchema,
+  updateTodoSchema,
+  queryParamsSchema,
+  uuidParamSchema,
+  toggleQueryParamsSchema,
+  updateQueryParamsSchema,
+  dueSoonQuerySchema,
+} = require('../validations/todoValidation');
+const {
+  fromEnum,
+  toTodoMessage,
+  fromTodoInput,
+  fromUpdateRequest,
+  fromListRequest,
+} = require('./messages');
+
+const idOf = (request) => validated(uuidParamSchema, { id: request.id }).id;
+
+const expectedVersionsOf = (request) => (
+  request.expectedVersion === undefined ? undefined : [request.expectedVersion]
+);
+
+const toTodo = (todo) => toTodoMessage(todo.toJSON());
+
+// Unary RPCs of the TodoService, each taking the request message and the authenticated user
+const handlers = {
+  CreateTodo: async (request, user) => {
+    requirePermission(user, PERMISSIONS.TODOS_WRITE);
+    const todo = await todoService.createTodo(validated(createTodoSchema, fromTodoInput(request.todo)), user);
+    return toTodo(todo);
+  },
+
+  GetTodo: async (request, user) => toTodo(await todoService.getTodoById(idOf(request), user)),
+
+  ListTodos: async (request, user) => {
+    const result = await todoService.getAllTodos(validated(queryParamsSchema, fromListRequest(request)), user);
+    return { todos: result.data.map(toTodo), pagination: result.pagination };
+  },
+
+  UpdateTodo: async (request, user) => {
+    requirePermission(user, PERMISSIONS.TODOS_WRITE);
+    const id = idOf(request);
+    const options = validated(updateQueryParamsSchema, {
+      scope: fromEnum('UPDATE_SCOPE_', request.scope),
+      force: request.force,
+    });
+
+    const todo = await todoService.updateTodo(id, validated(updateTodoSchema, fromUpdateRequest(request)), user, {
+      ...options,
+      expectedVersions: expectedVersionsOf(request),
+    });
+    return toTodo(todo);
+  },
+
+  DeleteTodo: async (request, user) => {
+    requirePermission(user, PERMISSIONS.TODOS_WRITE);
+    await todoService.deleteTodo(idOf(request), user, { expectedVersions: expectedVersionsOf(request) });
+    return {};
+  },
+
+  ToggleTodo: async (request, user) => {
+    requirePermission(user, PERMISSIONS.TODOS_WRITE);
+    const id = idOf(request);
+    const options = validated(toggleQueryParamsSchema, { cascade: request.cascade, force: request.force });
+
+    const todo = await todoService.toggleTodoStatus(id, user, {
+      ...options,
+      expectedVersions: expectedVersionsOf(request),
+    });
+    return toTodo(todo);
+  },
+
+  GetStats: (request, user) => todoService.getTodoStatistics(user),
+
+  ListDueSoon: async (request, user) => {
+    const { days } = validated(dueSoonQuerySchema, { days: request.days });
+    const todos = await todoService.getTodosDueSoon(days, user);
+    return { todos: todos.map(toTodo) };
+  },
+};
+
+module.exports = {
+  handlers,
+};
@@ -0,0 +1,187 @@
+const { ApiError } = require('../middleware/errorHandler');
+
+const camelCase = (name) => name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+const snakeCase = (name) => name.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+
+/**
+ * REST value of a proto enum value. Enum values are the REST values in upper snake
+ * case behind the enum's prefix, e.g. SORT_BY_CREATED_AT for createdAt.
+ * @param {string} prefix - e.g. SORT_BY_
+ * @param {string|number} value - Enum value name; unknown values arrive as numbers
+ * @returns {string|number|undefined} undefined for the UNSPECIFIED value, so that the REST default applies
+ */
+const fromEnum = (prefix, value) => {
+  if (typeof value !== 'string') return value;
+  if (value === `${prefix}UNSPECIFIED`) return undefined;
+  return camelCase(value.slice(prefix.length).toLowerCase());
+};
+
+/**
+ * Proto enum value of a REST value
+ * @param {string} prefix - e.g. PRIORITY_
+ * @param {string|null} value - e.g. high
+ * @returns {string} e.g. PRIORITY_HIGH
+ */
+const toEnum = (prefix, value) => `${prefix}${value ? snakeCase(value).toUpperCase() : 'UNSPECIFIED'}`;
+
+/**
+ * google.protobuf.Timestamp of a date
+ * @param {Date|string|null} value
+ * @returns {Object|null} { seconds, nanos }
+ */
+const toTimestamp = (value) => {
+  if (value === null || value === undefined) return null;
+
+  const ms = new Date(value).getTime();
+  const seconds = Math.floor(ms / 1000);
+  return { seconds: String(seconds), nanos: (ms - seconds * 1000) * 1e6 };
+};
+
+/**
+ * ISO 8601 date of a google.protobuf.Timestamp
+ * @param {Object|null} timestamp - { seconds, nanos }
+ * @returns {string|null}
+ */
+const fromTimestamp = (timestamp) => {
+  if (!timestamp) return null;
+  return new Date(Number(timestamp.seconds) * 1000 + Math.floor(timestamp.nanos / 1e6)).toISOString();
+};
+
+/**
+ * Todo message of a serialized todo
+ * @param {Object} todo - Todo as serialized by toJSON
+ * @returns {Object}
+ */
+const toTodoMessage = (todo) => ({
+  id: todo.id,
+  title: todo.title,
+  description: todo.description,
+  completed: Boolean(todo.completed),
+  priority: toEnum('PRIORITY_', todo.priority),
+  dueDate: toTimestamp(todo.dueDate),
+  recurrenceRule: todo.recurrenceRule,
+  seriesId: todo.seriesId,
+  occurrence: todo.occurrence,
+  occurrenceDate: toTimestamp(todo.occurrenceDate),
+  isProjected: Boolean(todo.isProjected),
+  parentId: todo.parentId,
+  ownerId: todo.ownerId,
+  version: todo.version,
+  createdAt: toTimestamp(todo.createdAt),
+  updatedAt: toTimestamp(todo.updatedAt),
+  isOverdue: Boolean(todo.isOverdue),
+  isBlocked: Boolean(todo.isBlocked),
+  completionPercentage: todo.completionPercentage,
+  tags: todo.tags || [],
+  blockedBy: todo.blockedBy || [],
+  blocks: todo.blocks || [],
+});
+
+// REST value of each TodoInput field; unset fields read as undefined or empty lists
+const INPUT_FIELDS = {
+  title: (input) => input.title,
+  description: (input) => input.description,
+  priority: (input) => fromEnum('PRIORITY_', input.priority),
+  dueDate: (input) => fromTimestamp(input.dueDate) ?? undefined,
+  recurrenceRule: (input) => input.recurrenceRule,
+  tags: (input) => input.tags,
+  blockedBy: (input) => input.blockedBy,
+  completed: (input) => input.completed,
+};
+
+const isSet = (value) => value !== undefined && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * REST request body of the fields set in a TodoInput
+ * @param {Object|null} input - TodoInput message
+ * @returns {Object}
+ */
+const fromTodoInput = (input) => {
+  const data = {};
+  for (const [field, read] of Object.entries(INPUT_FIELDS)) {
+    const value = read(input || {});
+    if (isSet(value)) data[field] = value;
+  }
+  return data;
+};
+
+/**
+ * REST request body of an UpdateTodoRequest: the fields of the update mask, those
+ * unset in the todo being cleared, or without a mask the fields set in the todo
+ * @param {Object} request - UpdateTodoRequest message
+ * @returns {Object}
+ * @throws {ApiError} 400 when the mask names an unknown field
+ */
+const fromUpdateRequest = ({ todo, updateMask }) => {
+  if (!updateMask || updateMask.paths.length === 0) {
+    return fromTodoInput(todo);
+  }
+
+  const data = {};
+  for (const path of updateMask.paths) {
+    const field = camelCase(path);
+    if (!INPUT_FIELDS[field]) {
+      throw new ApiError(400, `Unknown field '${path}' in update_mask`);
+    }
+
+    const value = INPUT_FIELDS[field](todo || {});
+    data[field] = isSet(value) ? value : null;
+  }
+  return data;
+};
+
+/**
+ * Filters of a ListTodosRequest or WatchTodosRequest, as GET /todos query parameters
+ * @param {Object} request
+ * @returns {Object}
+ */
+const fromFilters = (request) => ({
+  status: fromEnum('TODO_STATUS_', request.status),
+  priority: fromEnum('PRIORITY_', request.priority),
+  tag: request.tags.length > 0 ? request.tags.join(',') : undefined,
+  tagMode: fromEnum('TAG_MODE_', request.tagMode),
+});
+
+/**
+ * GET /todos query parameters of a ListTodosRequest
+ * @param {Object} request - ListTodosRequest message
+ * @returns {Object}
+ */
+const fromListRequest = (request) => ({
+  ...fromFilters(request),
+  page: request.page,
+  limit: request.limit,
+  sortBy: fromEnum('SORT_BY_', request.sortBy),
+  sortOrder: fromEnum('SORT_ORDER_', request.sortOrder),
+  search: request.search,
+  cursor: request.cursor,
+  includeTotal: request.includeTotal,
+});
+
+/**
+ * TodoEvent message of a live stream message
+ * @param {Object} message - { id, event, data } from the stream service
+ * @returns {Object}
+ */
+const toEventMessage = ({ id, event, data }) => ({
+  id,
+  event,
+  eventId: data.eventId,
+  type: data.type,
+  occurredAt: toTimestamp(data.occurredAt),
+  todo: data.todo ? toTodoMessage(data.todo) : undefined,
+  changedFields: Object.keys(data.changes || {}).map(snakeCase),
+  reminder: data.reminder
+    ? { ...data.reminder, dueDate: toTimestamp(data.reminder.dueDate) }
+    : undefined,
+});
+
+module.exports = {
+  fromEnum,
+  toTodoMessage,
+  fromTodoInput,
+  fromUpdateRequest,
+  fromFilters,
+  fromListRequest,
+  toEventMessage,
+};
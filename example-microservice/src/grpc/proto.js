@@ -0,0 +1,24 @@
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+
+const PROTO_PATH = path.join(__dirname, '../../proto/todo.proto');
+
+// Fields in camelCase, enums by name and 64-bit integers (timestamp seconds) as strings.
+// Unset optional fields are left out, so that updates can tell them from empty values.
+const LOADER_OPTIONS = {
+  keepCase: false,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true,
+};
+
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, LOADER_OPTIONS);
+const todoProto = grpc.loadPackageDefinition(packageDefinition).todo.v1;
+
+module.exports = {
+  PROTO_PATH,
+  LOADER_OPTIONS,
+  todoProto,
+};
@@ -0,0 +1,209 @@
+const grpc = require('@grpc/grpc-js');
+const { v4: uuidv4 } = require('uuid');
+const streamService = require('../services/streamService');
+const { authenticate, authorize, runMiddleware } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { ApiError, handleError, errorCodeOf } = require('../middleware/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+const { validated } = require('../middleware/validation');
+const { streamQueryParamsSchema } = require('../validations/todoValidation');
+const { todoProto } = require('./proto');
+const { handlers } = require('./handlers');
+const { fromFilters, toEventMessage } = require('./messages');
+const logger = require('../config/logger');
+const config = require('../config');
+
+// gRPC status of each HTTP status the services use; any other error is INTERNAL
+const GRPC_STATUS_CODES = {
+  400: grpc.status.INVALID_ARGUMENT,
+  401: grpc.status.UNAUTHENTICATED,
+  403: grpc.status.PERMISSION_DENIED,
+  404: grpc.status.NOT_FOUND,
+  409: grpc.status.ABORTED,
+  410: grpc.status.NOT_FOUND,
+  412: grpc.status.FAILED_PRECONDITION,
+  422: grpc.status.INVALID_ARGUMENT,
+  429: grpc.status.RESOURCE_EXHAUSTED,
+  501: grpc.status.UNIMPLEMENTED,
+  503: grpc.status.UNAVAILABLE,
+  504: grpc.status.DEADLINE_EXCEEDED,
+};
+
+// Time in-flight calls get to finish on shutdown before they are cancelled
+const SHUTDOWN_GRACE_MS = 5000;
+
+/**
+ * Authenticate a call with the REST middleware; the credentials and tenant are
+ * sent as metadata named like the REST headers
+ * @param {Object} call - gRPC server call
+ * @returns {Promise<Object>} Authenticated user, with the resolved tenant
+ * @throws {ApiError} 401/403 when the caller may not read todos
+ */
+const authenticateCall = async (call) => {
+  // Binary (-bin) metadata is never a credential
+  const headers = {};
+  for (const [name, value] of Object.entries(call.metadata.getMap())) {
+    if (typeof value === 'string') headers[name] = value;
+  }
+
+  // Stands in for the Express request
+  const request = {
+    id: uuidv4(),
+    method: 'POST',
+    originalUrl: call.getPath(),
+    ip: call.getPeer(),
+    headers,
+    get: (name) => headers[name.toLowerCase()],
+  };
+
+  for (const middleware of [authenticate, resolveTenant, authorize(PERMISSIONS.TODOS_READ)]) {
+    await runMiddleware(middleware, request);
+  }
+
+  return request.user;
+};
+
+/**
+ * gRPC error of an error thrown by a handler. The REST error code is sent as
+ * error-code metadata, and validation failures list their messages.
+ * @param {Error} err
+ * @param {string} method - RPC name
+ * @returns {Object} { code, details, metadata }
+ */
+const toServiceError = (err, method) => {
+  let error = handleError(err);
+
+  if (!error.statusCode) {
+    logger.error('Error handling gRPC call:', { method, error: err.message, stack: err.stack });
+    error = new ApiError(500, 'Something went wrong');
+  }
+
+  const metadata = new grpc.Metadata();
+  metadata.set('error-code', errorCodeOf(error));
+
+  return {
+    code: GRPC_STATUS_CODES[error.statusCode] || grpc.status.INTERNAL,
+    details: err.details
+      ? `${error.message}: ${err.details.map((detail) => detail.message).join('; ')}`
+      : error.message,
+    metadata,
+  };
+};
+
+class GrpcServer {
+  constructor() {
+    this.server = null;
+  }
+
+  /**
+   * Serve the TodoService on its own port
+   * @param {Object} [address] - { host, port }; port 0 binds a free port
+   * @returns {Promise<number>} Bound port
+   */
+  start({ host, port } = config.grpc) {
+    const server = new grpc.Server();
+
+    const implementation = { WatchTodos: (call) => this.watchTodos(call) };
+    for (const [method, handler] of Object.entries(handlers)) {
+      implementation[method] = (call, callback) => this.handleUnary(method, handler, call, callback);
+    }
+    server.addService(todoProto.TodoService.service, implementation);
+
+    return new Promise((resolve, reject) => {
+      server.bindAsync(`${host}:${port}`, grpc.ServerCredentials.createInsecure(), (error, boundPort) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        this.server = server;
+        resolve(boundPort);
+      });
+    });
+  }
+
+  /**
+   * Authenticate a unary call and answer it with its handler's response or error
+   * @param {string} method - RPC name
+   * @param {Function} handler - (request, user) => response
+   * @param {Object} call
+   * @param {Function} callback
+   * @returns {Promise<void>}
+   */
+  async handleUnary(method, handler, call, callback) {
+    try {
+      const user = await authenticateCall(call);
+      const response = await handler(call.request, user);
+
+      logger.debug('gRPC call handled:', { method, userId: user.id });
+      callback(null, response);
+    } catch (error) {
+      callback(toServiceError(error, method));
+    }
+  }
+
+  /**
+   * Stream the changes of the caller's todos matching the request filters, like
+   * GET /todos/stream. With last_event_id, the changes since then are replayed first.
+   * @param {Object} call - Server writable stream
+   * @returns {Promise<void>}
+   */
+  async watchTodos(call) {
+    let cancelled = false;
+    let unsubscribe = () => {};
+    call.on('cancelled', () => {
+      cancelled = true;
+      unsubscribe();
+    });
+
+    try {
+      const user = await authenticateCall(call);
+      const filters = validated(streamQueryParamsSchema, fromFilters(call.request));
+
+      const { lastEventId } = call.request;
+      if (lastEventId !== undefined && !/^\d+$/.test(lastEventId)) {
+        throw new ApiError(400, 'last_event_id must be the id of a received event');
+      }
+
+      unsubscribe = await streamService.subscribe({
+        user,
+        filters,
+        lastEventId: lastEventId === undefined ? null : Number(lastEventId),
+        send: (message) => call.write(toEventMessage(message)),
+        heartbeat: () => {},
+        end: () => call.end(),
+      });
+
+      logger.debug('Todo stream opened via gRPC:', { userId: user.id, lastEventId, peer: call.getPeer() });
+    } catch (error) {
+      call.emit('error', toServiceError(error, 'WatchTodos'));
+      return;
+    }
+
+    // The client left during the replay
+    if (cancelled) unsubscribe();
+  }
+
+  /**
+   * Stop accepting calls, and cancel those still running after a grace period
+   * @returns {Promise<void>}
+   */
+  stop() {
+    const { server } = this;
+    if (!server) return Promise.resolve();
+    this.server = null;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => server.forceShutdown(), SHUTDOWN_GRACE_MS);
+      timer.unref();
+
+      server.tryShutdown(() => {
+        clearTimeout(timer);
+        logger.info('gRPC server closed');
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = new GrpcServer();
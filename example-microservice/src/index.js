@@ -2,6 +2,9 @@ const app = require('./app');
 const config = require('./config');
 const logger = require('./config/logger');
 const { testConnection } = require('./config/database');
+const { startJobs } = require('./jobs');
+const collaborationServer = require('./realtime/collaborationServer');
+const grpcServer = require('./grpc/server');
 
 // Start server function
 const startServer = async () => {
@@ -31,12 +34,25 @@ const startServer = async () => {
         health: `http://localhost:${config.app.port}/health`,
         healthDetailed: `http://localhost:${config.app.port}/health/detailed`,
         todos: `http://localhost:${config.app.port}/api/${config.app.version}/todos`,
+        collaboration: `ws://localhost:${config.app.port}${collaborationServer.path}`,
       });
     });
 
     // Store server reference for graceful shutdown
     app.server = server;
 
+    // Accept WebSocket collaboration connections on the same server
+    collaborationServer.attach(server);
+
+    // Serve the gRPC interface on its own port
+    if (config.grpc.enabled) {
+      const grpcPort = await grpcServer.start();
+      logger.info('gRPC server started:', { address: `${config.grpc.host}:${grpcPort}` });
+    }
+
+    // Start background jobs
+    startJobs();
+
     // Handle server errors
     server.on('error', (error) => {
       if (error.syscall !== 'listen') {
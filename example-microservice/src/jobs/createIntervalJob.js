@@ -0,0 +1,77 @@
+const logger = require('../config/logger');
+
+/**
+ * Create a background job that runs a task on a fixed interval. A tick is skipped
+ * while the previous run is still in progress, so runs never overlap.
+ * @param {Object} options
+ * @param {string} options.name - Job name used in logs
+ * @param {number} options.intervalMs - Interval between runs
+ * @param {Function} options.task - Async task to run
+ * @returns {Object} Job with start, stop and runOnce
+ */
+const createIntervalJob = ({ name, intervalMs, task }) => {
+  let timer = null;
+  let running = null;
+
+  /**
+   * Run the task once, logging instead of throwing. While a run is in progress,
+   * the call waits for it instead of starting another.
+   * @returns {Promise<void>}
+   */
+  const runOnce = () => {
+    if (running) return running;
+
+    running = Promise.resolve()
+      .then(task)
+      .catch((error) => logger.error(`Scheduled ${name} failed:`, error))
+      .finally(() => {
+        running = null;
+      });
+
+    return running;
+  };
+
+  /**
+   * Interval tick: start a run unless the previous one is still in progress
+   */
+  const tick = () => {
+    if (running) {
+      logger.debug(`Skipping ${name} run, the previous one is still in progress`);
+      return;
+    }
+    runOnce();
+  };
+
+  /**
+   * Start running the task on the interval
+   */
+  const start = () => {
+    if (timer) return;
+
+    logger.info(`Starting ${name} job:`, { intervalMs });
+
+    timer = setInterval(tick, intervalMs);
+    // Do not keep the process alive just for the job
+    timer.unref();
+  };
+
+  /**
+   * Stop the job
+   */
+  const stop = () => {
+    if (!timer) return;
+
+    clearInterval(timer);
+    timer = null;
+    logger.info(`${name} job stopped`);
+  };
+
+  return {
+    name,
+    runOnce,
+    start,
+    stop,
+  };
+};
+
+module.exports = createIntervalJob;
@@ -0,0 +1,10 @@
+const idempotencyService = require('../services/idempotencyService');
+const config = require('../config');
+const createIntervalJob = require('./createIntervalJob');
+
+// Remove stored idempotent responses whose TTL has passed
+module.exports = createIntervalJob({
+  name: 'idempotency key cleanup',
+  intervalMs: config.idempotency.cleanupIntervalMs,
+  task: () => idempotencyService.purgeExpired(),
+});
@@ -0,0 +1,37 @@
+const trashPurgeJob = require('./trashPurgeJob');
+const idempotencyCleanupJob = require('./idempotencyCleanupJob');
+const reminderJob = require('./reminderJob');
+const outboxRelayJob = require('./outboxRelayJob');
+const outboxCleanupJob = require('./outboxCleanupJob');
+const webhookDeliveryJob = require('./webhookDeliveryJob');
+const webhookCleanupJob = require('./webhookCleanupJob');
+
+// Background jobs started with the HTTP server
+const jobs = [
+  trashPurgeJob,
+  idempotencyCleanupJob,
+  reminderJob,
+  outboxRelayJob,
+  outboxCleanupJob,
+  webhookDeliveryJob,
+  webhookCleanupJob,
+];
+
+/**
+ * Start all background jobs
+ */
+const startJobs = () => {
+  jobs.forEach((job) => job.start());
+};
+
+/**
+ * Stop all background jobs
+ */
+const stopJobs = () => {
+  jobs.forEach((job) => job.stop());
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,10 @@
+const outboxService = require('../services/outboxService');
+const config = require('../config');
+const createIntervalJob = require('./createIntervalJob');
+
+// Remove published outbox events past their retention period
+module.exports = createIntervalJob({
+  name: 'outbox cleanup',
+  intervalMs: config.outbox.cleanupIntervalMs,
+  task: () => outboxService.purgePublished(),
+});
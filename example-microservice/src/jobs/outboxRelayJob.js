@@ -0,0 +1,10 @@
+const outboxService = require('../services/outboxService');
+const config = require('../config');
+const createIntervalJob = require('./createIntervalJob');
+
+// Publish pending outbox events; one replica at a time holds the lease
+module.exports = createIntervalJob({
+  name: 'outbox relay',
+  intervalMs: config.outbox.relayIntervalMs,
+  task: () => outboxService.runScheduled(),
+});
@@ -0,0 +1,10 @@
+const reminderService = require('../services/reminderService');
+const config = require('../config');
+const createIntervalJob = require('./createIntervalJob');
+
+// Send due and overdue reminders; one replica at a time holds the lease
+module.exports = createIntervalJob({
+  name: 'reminder',
+  intervalMs: config.reminders.checkIntervalMs,
+  task: () => reminderService.runScheduled(),
+});
@@ -0,0 +1,10 @@
+const todoService = require('../services/todoService');
+const config = require('../config');
+const createIntervalJob = require('./createIntervalJob');
+
+// Permanently delete todos that stayed in the trash beyond the retention period
+module.exports = createIntervalJob({
+  name: 'trash purge',
+  intervalMs: config.trash.purgeIntervalMs,
+  task: () => todoService.purgeTrash(config.trash.retentionDays),
+});
@@ -0,0 +1,10 @@
+const webhookService = require('../services/webhookService');
+const config = require('../config');
+const createIntervalJob = require('./createIntervalJob');
+
+// Remove finished webhook deliveries past their retention period
+module.exports = createIntervalJob({
+  name: 'webhook delivery cleanup',
+  intervalMs: config.webhooks.cleanupIntervalMs,
+  task: () => webhookService.purgeDeliveries(),
+});
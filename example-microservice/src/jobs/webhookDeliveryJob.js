@@ -0,0 +1,10 @@
+const webhookService = require('../services/webhookService');
+const config = require('../config');
+const createIntervalJob = require('./createIntervalJob');
+
+// Deliver queued webhook events and retry failed deliveries
+module.exports = createIntervalJob({
+  name: 'webhook delivery',
+  intervalMs: config.webhooks.deliveryIntervalMs,
+  task: () => webhookService.deliverPending(),
+});
@@ -0,0 +1,145 @@
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../config/logger');
+const { hasPermission } = require('../config/permissions');
+const { ApiError } = require('./errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const header = req.get('Authorization');
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme) || !token) return null;
+
+  return token;
+};
+
+/**
+ * Authenticate the caller with an X-API-Key header
+ * @param {Object} req
+ * @param {string} rawKey
+ * @returns {Promise<Object>} Authenticated caller
+ */
+const authenticateApiKey = async (req, rawKey) => {
+  const user = await apiKeyService.authenticateKey(rawKey);
+
+  if (!user) {
+    logger.warn('Rejected API key:', {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+    });
+    throw new ApiError(401, 'Invalid API key', ERROR_CODES.INVALID_API_KEY);
+  }
+
+  logger.info('API key used:', {
+    requestId: req.id,
+    apiKeyId: user.apiKeyId,
+    keyPrefix: user.apiKeyPrefix,
+    tenantId: user.tenantId,
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip,
+  });
+
+  return user;
+};
+
+/**
+ * Require a valid JWT bearer token or X-API-Key header and attach the caller to req.user
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  const apiKey = req.get('X-API-Key');
+
+  if (!token && !apiKey) {
+    return next(new ApiError(401, 'Authentication required', ERROR_CODES.AUTHENTICATION_REQUIRED));
+  }
+
+  try {
+    const user = token
+      ? authService.verifyToken(token)
+      : await authenticateApiKey(req, apiKey);
+
+    // The request ID travels with the caller so mutations can be traced in the audit log
+    req.user = { ...user, requestId: req.id };
+    next();
+  } catch (error) {
+    // JsonWebTokenError/TokenExpiredError are mapped to 401 by the error handler
+    next(error);
+  }
+};
+
+// Read by the OpenAPI generator
+authenticate.requiresAuth = true;
+
+/**
+ * Require a user's role (or API key scopes) to grant a permission. Used by authorize,
+ * and by the GraphQL, gRPC and WebSocket handlers for permissions beyond todos:read.
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission from config/permissions
+ * @throws {ApiError} 403
+ */
+const requirePermission = (user, permission) => {
+  if (!hasPermission(user, permission)) {
+    const message = user.apiKeyId
+      ? `API key is missing the '${permission}' scope`
+      : `Role '${user.role}' is not allowed to perform this action`;
+    throw new ApiError(403, message, ERROR_CODES.PERMISSION_DENIED);
+  }
+};
+
+/**
+ * Require the authenticated caller's role (or API key scopes) to grant a permission
+ * @param {string} permission - Permission from config/permissions
+ * @returns {Function} Express middleware
+ */
+const authorize = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, 'Authentication required', ERROR_CODES.AUTHENTICATION_REQUIRED));
+    }
+
+    try {
+      requirePermission(req.user, permission);
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator
+  middleware.permission = permission;
+
+  return middleware;
+};
+
+/**
+ * Run an Express middleware on a request facade, for transports that authenticate
+ * their calls and handshakes with the REST middleware
+ * @param {Function} middleware
+ * @param {Object} request - { id, method, originalUrl, ip, headers, get }
+ * @returns {Promise<void>} Rejected with the error the middleware passes on
+ */
+const runMiddleware = (middleware, request) => new Promise((resolve, reject) => {
+  middleware(request, null, (error) => (error ? reject(error) : resolve()));
+});
+
+module.exports = {
+  authenticate,
+  authorize,
+  requirePermission,
+  runMiddleware,
+  getBearerToken,
+};
@@ -0,0 +1,48 @@
+/**
+ * Helpers for conditional requests (ETag, If-Match, If-None-Match)
+ */
+
+const ETAG_PATTERN = /^(W\/)?"(\d+)"$/;
+
+/**
+ * Strong ETag for a versioned resource
+ * @param {Object} resource - Resource with a numeric version
+ * @returns {string}
+ */
+const formatETag = (resource) => `"${resource.version}"`;
+
+/**
+ * Versions listed in the If-Match header.
+ * Weak ETags never match, as If-Match uses strong comparison.
+ * @param {Object} req
+ * @returns {Array<number>|undefined} Expected versions, or undefined when any version is acceptable
+ */
+const getIfMatchVersions = (req) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return undefined;
+
+  return header
+    .split(',')
+    .map((value) => ETAG_PATTERN.exec(value.trim()))
+    .filter((match) => match && !match[1])
+    .map((match) => parseInt(match[2], 10));
+};
+
+/**
+ * Set the ETag of a resource and report whether the client's copy is current
+ * (If-None-Match matches), in which case a 304 should be sent.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} resource - Resource with a numeric version
+ * @returns {boolean}
+ */
+const isNotModified = (req, res, resource) => {
+  res.set('ETag', formatETag(resource));
+  return req.fresh;
+};
+
+module.exports = {
+  formatETag,
+  getIfMatchVersions,
+  isNotModified,
+};
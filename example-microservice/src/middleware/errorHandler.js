@@ -1,13 +1,22 @@
+const http = require('http');
+const objection = require('objection');
 const logger = require('../config/logger');
 const config = require('../config');
+const { ERRORS, ERROR_CODES } = require('../config/errorCodes');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
 
 /**
  * Custom error class for API errors
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Human-readable detail
+ * @param {string} [code] - Stable error code from the registry; defaults to the generic code of the status
  */
 class ApiError extends Error {
-  constructor(statusCode, message, isOperational = true, stack = '') {
+  constructor(statusCode, message, code = getErrorCode(statusCode), isOperational = true, stack = '') {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
     this.isOperational = isOperational;
     
     if (stack) {
@@ -18,6 +27,119 @@ class ApiError extends Error {
   }
 }
 
+// Typed API errors, each with the status of its kind and that status's generic code by
+// default. Database errors are translated into them by translateDatabaseError.
+class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found', code = ERROR_CODES.NOT_FOUND) {
+    super(404, message, code);
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message = 'Resource conflict', code = ERROR_CODES.CONFLICT) {
+    super(409, message, code);
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(message = 'Validation Error', code = ERROR_CODES.VALIDATION_ERROR) {
+    super(400, message, code);
+  }
+}
+
+class UnavailableError extends ApiError {
+  constructor(message = 'Service unavailable', code = ERROR_CODES.SERVICE_UNAVAILABLE) {
+    super(503, message, code);
+  }
+}
+
+class TimeoutError extends ApiError {
+  constructor(message = 'Request timed out', code = ERROR_CODES.GATEWAY_TIMEOUT) {
+    super(504, message, code);
+  }
+}
+
+// Node and mysql2 codes of a database that cannot be reached or dropped the connection
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ETIMEDOUT',
+  'PROTOCOL_CONNECTION_LOST',
+  'ER_CON_COUNT_ERROR',
+  'ER_SERVER_SHUTDOWN',
+]);
+
+// mysql2 codes of a statement that ran out of time
+const TIMEOUT_ERROR_CODES = new Set(['ER_LOCK_WAIT_TIMEOUT', 'ER_QUERY_TIMEOUT', 'PROTOCOL_SEQUENCE_TIMEOUT']);
+
+/**
+ * Typed API error of an error thrown by Objection, knex or mysql2, with the original
+ * error as its cause. Messages never include SQL, which stays in the cause.
+ * @param {Error} err
+ * @returns {ApiError|null} null when the error is not a database error
+ */
+const translateDatabaseError = (err) => {
+  if (!err || err instanceof ApiError) return null;
+
+  // Objection wraps driver errors it recognizes (ER_*) in DBError subclasses
+  const native = err.nativeError || err;
+  let error = null;
+
+  if (err instanceof objection.ValidationError) {
+    error = new ValidationError();
+    if (err.type === 'ModelValidation' && err.data) {
+      error.details = Object.entries(err.data).map(([field, errors]) => ({ field, message: errors[0].message }));
+    }
+  } else if (err instanceof objection.NotFoundError) {
+    error = new NotFoundError();
+  } else if (err instanceof objection.UniqueViolationError || native.errno === 1062) {
+    error = new ConflictError('A record with the same value already exists', ERROR_CODES.DUPLICATE_VALUE);
+  } else if (err instanceof objection.ForeignKeyViolationError) {
+    error = new ConflictError('The record references a missing record or is still referenced', ERROR_CODES.RELATED_RECORD_CONFLICT);
+  } else if (err instanceof objection.NotNullViolationError) {
+    error = new ValidationError('A required field is missing');
+  } else if (err instanceof objection.CheckViolationError || err instanceof objection.DataError) {
+    error = new ValidationError('A field has an invalid value');
+  } else if (native.code === 'ER_LOCK_DEADLOCK') {
+    error = new ConflictError('The request conflicted with a concurrent change; retry it', ERROR_CODES.TRANSACTION_CONFLICT);
+  } else if (CONNECTION_ERROR_CODES.has(native.code)) {
+    error = new UnavailableError('Database connection failed', ERROR_CODES.DATABASE_UNAVAILABLE);
+  } else if (err.name === 'KnexTimeoutError') {
+    // Waiting for a pooled connection means the database is down or saturated
+    error = err.message.includes('acquiring a connection')
+      ? new UnavailableError('Database connection failed', ERROR_CODES.DATABASE_UNAVAILABLE)
+      : new TimeoutError('Database query timed out', ERROR_CODES.DATABASE_TIMEOUT);
+  } else if (TIMEOUT_ERROR_CODES.has(native.code)) {
+    error = new TimeoutError('Database query timed out', ERROR_CODES.DATABASE_TIMEOUT);
+  }
+
+  if (error) error.cause = err;
+  return error;
+};
+
+/**
+ * Error for a service to rethrow from its catch block: an ApiError unchanged, the
+ * typed error of a database error, else a 500 with the service's message. Unexpected
+ * errors are logged under that message and kept as the cause.
+ * @param {Error} err
+ * @param {string} message - e.g. 'Failed to create todo'
+ * @returns {ApiError}
+ */
+const toApiError = (err, message) => {
+  if (err instanceof ApiError) return err;
+
+  logger.error(`${message}:`, err);
+
+  const translated = translateDatabaseError(err);
+  if (translated) return translated;
+
+  const error = new ApiError(500, message);
+  error.cause = err;
+  return error;
+};
+
 /**
  * Convert error to ApiError instance
  * @param {Error} err 
@@ -27,57 +149,105 @@ const handleError = (err) => {
   let error = { ...err };
   error.message = err.message;
 
-  // Mongoose/Objection validation error
-  if (err.name === 'ValidationError') {
-    const message = 'Validation Error';
-    error = new ApiError(400, message);
-  }
-
-  // Mongoose/Objection duplicate key error
-  if (err.code === '23000' || err.errno === 1062) {
-    const message = 'Duplicate field value entered';
-    error = new ApiError(400, message);
-  }
-
-  // Database connection error
-  if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
-    const message = 'Database connection failed';
-    error = new ApiError(503, message);
+  // Objection, knex and mysql2 errors
+  const databaseError = translateDatabaseError(err);
+  if (databaseError) {
+    error = databaseError;
   }
 
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
-    error = new ApiError(401, message);
+    error = new ApiError(401, message, ERROR_CODES.INVALID_TOKEN);
   }
 
   if (err.name === 'TokenExpiredError') {
     const message = 'Token expired';
-    error = new ApiError(401, message);
+    error = new ApiError(401, message, ERROR_CODES.TOKEN_EXPIRED);
   }
 
   return error;
 };
 
 /**
- * Send error response
+ * Whether the client asked for RFC 7807 problem details rather than the legacy
+ * error body, which is sent when it accepts any JSON
+ * @param {Object} req
+ * @returns {boolean}
+ */
+const prefersProblem = (req) => req.accepts(['application/json', PROBLEM_CONTENT_TYPE]) === PROBLEM_CONTENT_TYPE;
+
+/**
+ * Stable error code of an error, sent by every transport: its registered code, or
+ * else the generic code of its status
+ * @param {ApiError} err
+ * @returns {string}
+ */
+const errorCodeOf = (err) => (ERRORS[err.code] ? err.code : getErrorCode(err.statusCode));
+
+/**
+ * RFC 7807 problem details of an error
+ * @param {ApiError} err
+ * @param {Object} req
+ * @returns {Object} { type, title, status, detail, instance, code, errors? }
+ */
+const toProblem = (err, req) => {
+  const { statusCode, message } = err;
+  const code = errorCodeOf(err);
+
+  const problem = {
+    type: `${config.errors.problemTypeBaseUri}/${code.toLowerCase().replace(/_/g, '-')}`,
+    title: ERRORS[code] ? ERRORS[code].title : http.STATUS_CODES[statusCode],
+    status: statusCode,
+    detail: message,
+    // Requests failing before they are given an ID, e.g. with a malformed body, have no instance
+    instance: req.id ? `urn:uuid:${req.id}` : undefined,
+    code,
+  };
+
+  if (err.details) {
+    problem.errors = err.details.map((detail) => ({ field: detail.field, message: detail.message }));
+  }
+
+  return problem;
+};
+
+/**
+ * Send error response: problem details when the client accepts them, else the
+ * legacy body with the generic code of the status
  * @param {ApiError} err 
+ * @param {Object} req 
  * @param {Object} res 
  */
-const sendErrorResponse = (err, res) => {
+const sendErrorResponse = (err, req, res) => {
   const { statusCode, message } = err;
+  // Stack traces of server errors help in development; client errors are explained by their message
+  const includeStack = config.app.env === 'development' && statusCode >= 500;
+
+  res.vary('Accept');
+
+  if (prefersProblem(req)) {
+    const problem = toProblem(err, req);
+    if (includeStack) problem.stack = err.stack;
+
+    res.status(statusCode).type(PROBLEM_CONTENT_TYPE).json(problem);
+    return;
+  }
 
   const response = {
     success: false,
     error: {
-      code: getErrorCode(statusCode),
+      code: err.details ? ERROR_CODES.VALIDATION_ERROR : getErrorCode(statusCode),
       message,
     },
     timestamp: new Date().toISOString(),
   };
 
-  // Include stack trace in development
-  if (config.app.env === 'development') {
+  if (err.details) {
+    response.error.details = err.details;
+  }
+
+  if (includeStack) {
     response.error.stack = err.stack;
   }
 
@@ -85,7 +255,7 @@ const sendErrorResponse = (err, res) => {
 };
 
 /**
- * Get error code based on status code
+ * Generic error code of a status, sent in the legacy error body
  * @param {number} statusCode 
  * @returns {string}
  */
@@ -96,6 +266,8 @@ const getErrorCode = (statusCode) => {
     403: 'FORBIDDEN',
     404: 'NOT_FOUND',
     409: 'CONFLICT',
+    410: 'GONE',
+    412: 'PRECONDITION_FAILED',
     422: 'UNPROCESSABLE_ENTITY',
     429: 'TOO_MANY_REQUESTS',
     500: 'INTERNAL_SERVER_ERROR',
@@ -122,6 +294,7 @@ const errorHandler = (err, req, res, next) => {
     message: error.message,
     statusCode: error.statusCode,
     stack: error.stack,
+    cause: error.cause ? error.cause.message : undefined,
     url: req.originalUrl,
     method: req.method,
     ip: req.ip,
@@ -136,7 +309,7 @@ const errorHandler = (err, req, res, next) => {
     error = new ApiError(500, 'Something went wrong');
   }
 
-  sendErrorResponse(error, res);
+  sendErrorResponse(error, req, res);
 };
 
 /**
@@ -146,7 +319,7 @@ const errorHandler = (err, req, res, next) => {
  * @param {Function} next 
  */
 const notFoundHandler = (req, res, next) => {
-  const error = new ApiError(404, `Route ${req.originalUrl} not found`);
+  const error = new ApiError(404, `Route ${req.originalUrl} not found`, ERROR_CODES.ROUTE_NOT_FOUND);
   next(error);
 };
 
@@ -161,6 +334,17 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 module.exports = {
   ApiError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  UnavailableError,
+  TimeoutError,
+  translateDatabaseError,
+  toApiError,
+  handleError,
+  getErrorCode,
+  errorCodeOf,
+  sendErrorResponse,
   errorHandler,
   notFoundHandler,
   asyncHandler,
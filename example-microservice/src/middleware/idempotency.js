@@ -0,0 +1,89 @@
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../config/logger');
+const { ApiError } = require('./errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// Response headers that are stored and replayed with the response; the content type
+// keeps problem+json errors problem+json, as Vary tells caches
+const REPLAYED_HEADERS = ['Content-Type', 'ETag', 'Location', 'Vary'];
+
+/**
+ * Make a request safe to retry with an Idempotency-Key header.
+ *
+ * The first request with a key runs normally and its response is stored.
+ * Retries with the same key and body get the stored response back with
+ * `Idempotent-Replayed: true`. Requests without the header are not affected.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return next(new ApiError(400, `${IDEMPOTENCY_KEY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`, ERROR_CODES.INVALID_IDEMPOTENCY_KEY));
+  }
+
+  try {
+    const { record, replay } = await idempotencyService.begin({
+      key,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body,
+    }, req.user);
+
+    if (replay) {
+      const { Vary: vary, ...headers } = record.responseHeaders || {};
+      res.set(headers);
+      // Added to, rather than replacing, what other middleware varies on
+      if (vary) res.vary(vary);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      stored = true;
+      const headers = {};
+      REPLAYED_HEADERS.forEach((header) => {
+        const value = res.get(header);
+        if (value) headers[header] = value;
+      });
+
+      // Server errors are not stored, so the client can retry with the same key
+      const settle = res.statusCode >= 500
+        ? idempotencyService.release(record)
+        : idempotencyService.complete(record, { status: res.statusCode, headers, body });
+
+      // Respond once the outcome is stored, so an immediate retry sees it
+      settle
+        .catch((error) => logger.error('Failed to store idempotent response:', { key, error: error.message }))
+        .then(() => json(body));
+
+      return res;
+    };
+
+    // Responses sent without res.json are not stored; release the key so that retries run again
+    res.on('finish', () => {
+      if (stored) return;
+      idempotencyService.release(record)
+        .catch((error) => logger.error('Failed to release idempotency key:', { key, error: error.message }));
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Read by the OpenAPI generator
+idempotent.header = IDEMPOTENCY_KEY_HEADER;
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,53 @@
+const config = require('../config');
+const { ApiError } = require('./errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Resolve the tenant for the authenticated user and attach it to req.user.tenantId.
+ *
+ * The tenant comes from the X-Tenant-ID header when present, otherwise from the
+ * token's `tenantId` claim. A header may only select a tenant listed in the
+ * token's `tenants` claim or naming its `tenantId`; tokens without tenant claims
+ * belong to the default tenant.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+const resolveTenant = (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, 'Authentication required', ERROR_CODES.AUTHENTICATION_REQUIRED));
+  }
+
+  const claimedTenants = Array.isArray(req.user.tenants) ? req.user.tenants : [];
+  const allowedTenants = [...new Set([req.user.tenantId, ...claimedTenants].filter(Boolean))];
+  if (allowedTenants.length === 0) {
+    allowedTenants.push(config.tenancy.defaultTenantId);
+  }
+
+  const requestedTenantId = req.get(config.tenancy.header);
+
+  if (requestedTenantId === undefined) {
+    req.user.tenantId = req.user.tenantId || allowedTenants[0];
+    return next();
+  }
+
+  if (!TENANT_ID_PATTERN.test(requestedTenantId)) {
+    return next(new ApiError(400, `Invalid ${config.tenancy.header} header`, ERROR_CODES.INVALID_TENANT));
+  }
+
+  if (!allowedTenants.includes(requestedTenantId)) {
+    return next(new ApiError(403, 'Access to this tenant is not allowed', ERROR_CODES.TENANT_ACCESS_DENIED));
+  }
+
+  req.user.tenantId = requestedTenantId;
+  next();
+};
+
+// Read by the OpenAPI generator
+resolveTenant.header = config.tenancy.header;
+
+module.exports = {
+  resolveTenant,
+};
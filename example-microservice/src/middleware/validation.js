@@ -1,4 +1,50 @@
 const logger = require('../config/logger');
+const { ApiError, sendErrorResponse } = require('./errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+/**
+ * Validate data against a schema with the options used for requests
+ * @param {Object} schema - Joi schema for validation
+ * @param {*} data - Data to validate
+ * @returns {Object} { value, errorDetails } where errorDetails is null when the data is valid
+ */
+const validateData = (schema, data) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false, // Include all errors
+    allowUnknown: false, // Don't allow unknown keys
+    stripUnknown: true, // Remove unknown keys
+  });
+
+  if (!error) {
+    return { value, errorDetails: null };
+  }
+
+  return {
+    value,
+    errorDetails: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value,
+    })),
+  };
+};
+
+/**
+ * Validate data outside a route, as the GraphQL and gRPC handlers do for their arguments
+ * @param {Object} schema - Joi schema of the matching REST request
+ * @param {*} data - Data to validate, named as in the REST API
+ * @returns {Object} Validated data, with defaults
+ * @throws {ApiError} 400 with the details of every failure
+ */
+const validated = (schema, data) => {
+  const { value, errorDetails } = validateData(schema, data);
+  if (errorDetails) {
+    const error = new ApiError(400, 'Request validation failed', ERROR_CODES.VALIDATION_ERROR);
+    error.details = errorDetails;
+    throw error;
+  }
+  return value;
+};
 
 /**
  * Generic validation middleware factory
@@ -7,41 +53,31 @@ const logger = require('../config/logger');
  * @returns {Function} Express middleware function
  */
 const validate = (schema, property = 'body') => {
-  return (req, res, next) => {
-    const { error, value } = schema.validate(req[property], {
-      abortEarly: false, // Include all errors
-      allowUnknown: false, // Don't allow unknown keys
-      stripUnknown: true, // Remove unknown keys
-    });
-
-    if (error) {
-      const errorDetails = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message,
-        value: detail.context?.value,
-      }));
+  const middleware = (req, res, next) => {
+    const { value, errorDetails } = validateData(schema, req[property]);
 
+    if (errorDetails) {
       logger.warn('Validation error:', {
         property,
         errors: errorDetails,
         originalData: req[property],
       });
 
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Request validation failed',
-          details: errorDetails,
-        },
-        timestamp: new Date().toISOString(),
-      });
+      const error = new ApiError(400, 'Request validation failed', ERROR_CODES.VALIDATION_ERROR);
+      error.details = errorDetails;
+      return sendErrorResponse(error, req, res);
     }
 
     // Replace the original data with the validated and sanitized data
     req[property] = value;
     next();
   };
+
+  // Read by the OpenAPI generator
+  middleware.schema = schema;
+  middleware.property = property;
+
+  return middleware;
 };
 
 /**
@@ -66,6 +102,8 @@ const validateQuery = (schema) => validate(schema, 'query');
 const validateParams = (schema) => validate(schema, 'params');
 
 module.exports = {
+  validateData,
+  validated,
   validate,
   validateBody,
   validateQuery,
@@ -0,0 +1,65 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+
+class ApiKey extends Model {
+  static get tableName() {
+    return 'api_keys';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['tenantId', 'createdBy', 'name', 'keyPrefix', 'keyHash', 'scopes'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        createdBy: { type: 'string' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        keyPrefix: { type: 'string', maxLength: 16 },
+        keyHash: { type: 'string', minLength: 64, maxLength: 64 },
+        scopes: { type: 'array', items: { type: 'string' } },
+        expiresAt: { type: ['string', 'null'], format: 'date-time' },
+        lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+        revokedAt: { type: ['string', 'null'], format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  // Hooks for automatic timestamps and UUID generation
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = new Date().toISOString();
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Virtual properties
+  get isActive() {
+    if (this.revokedAt) return false;
+    if (this.expiresAt && new Date(this.expiresAt) <= new Date()) return false;
+    return true;
+  }
+
+  // Custom serialization
+  $formatJson(json) {
+    json = super.$formatJson(json);
+
+    // Never expose the key hash
+    delete json.keyHash;
+
+    json.isActive = this.isActive;
+
+    return json;
+  }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,43 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+class AuditLog extends Model {
+  static get tableName() {
+    return 'audit_logs';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['tenantId', 'entityType', 'entityId', 'action', 'actorType'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        entityType: { type: 'string', maxLength: 50 },
+        entityId: { type: 'string' },
+        action: { type: 'string', enum: AUDIT_ACTIONS },
+        actorType: { type: 'string', enum: ['user', 'api_key', 'system'] },
+        actorId: { type: ['string', 'null'] },
+        apiKeyId: { type: ['string', 'null'] },
+        requestId: { type: ['string', 'null'] },
+        before: { type: ['object', 'null'] },
+        after: { type: ['object', 'null'] },
+        changes: { type: ['object', 'null'] },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  // Audit records are append-only, so only the insert hook is needed
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.createdAt = new Date().toISOString();
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,52 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+
+class IdempotencyKey extends Model {
+  static get tableName() {
+    return 'idempotency_keys';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['tenantId', 'principalId', 'idempotencyKey', 'method', 'path', 'fingerprint', 'expiresAt'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        principalId: { type: 'string', minLength: 1, maxLength: 64 },
+        idempotencyKey: { type: 'string', minLength: 1, maxLength: 255 },
+        method: { type: 'string', maxLength: 10 },
+        path: { type: 'string', maxLength: 255 },
+        fingerprint: { type: 'string', minLength: 64, maxLength: 64 },
+        status: { type: 'string', enum: ['processing', 'completed'], default: 'processing' },
+        responseStatus: { type: ['integer', 'null'] },
+        responseHeaders: { type: ['object', 'null'] },
+        responseBody: { type: ['object', 'null'] },
+        lockedUntil: { type: ['string', 'null'], format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' },
+        expiresAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.createdAt = new Date().toISOString();
+  }
+
+  // Virtual properties
+  get isExpired() {
+    return new Date(this.expiresAt) <= new Date();
+  }
+
+  // Whether a request is processing the key and has not outlived its lock
+  get isLocked() {
+    return this.status === 'processing' && Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+  }
+}
+
+module.exports = IdempotencyKey;
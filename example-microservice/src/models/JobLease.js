@@ -0,0 +1,26 @@
+const { Model } = require('objection');
+
+// Lease on a scheduled job, held by one process until it expires
+class JobLease extends Model {
+  static get tableName() {
+    return 'job_leases';
+  }
+
+  static get idColumn() {
+    return 'name';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['name', 'holder', 'expiresAt'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 64 },
+        holder: { type: 'string', minLength: 1, maxLength: 255 },
+        expiresAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+}
+
+module.exports = JobLease;
@@ -0,0 +1,61 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+
+// Domain event waiting in the outbox to be published
+class OutboxEvent extends Model {
+  static get tableName() {
+    return 'outbox_events';
+  }
+
+  static get idColumn() {
+    return 'position';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['tenantId', 'aggregateType', 'aggregateId', 'sequence', 'type', 'payload'],
+      properties: {
+        position: { type: 'integer' },
+        id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        aggregateType: { type: 'string', maxLength: 50 },
+        aggregateId: { type: 'string', format: 'uuid' },
+        sequence: { type: 'integer', minimum: 1 },
+        type: { type: 'string', maxLength: 50 },
+        payload: { type: 'object' },
+        attempts: { type: 'integer', minimum: 0 },
+        availableAt: { type: 'string', format: 'date-time' },
+        lastError: { type: ['string', 'null'] },
+        publishedAt: { type: ['string', 'null'], format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.createdAt = new Date().toISOString();
+    this.availableAt = this.createdAt;
+    this.attempts = 0;
+  }
+
+  /**
+   * Message handed to the transports
+   * @returns {Object}
+   */
+  toMessage() {
+    return {
+      id: this.id,
+      type: this.type,
+      tenantId: this.tenantId,
+      aggregateType: this.aggregateType,
+      aggregateId: this.aggregateId,
+      sequence: this.sequence,
+      occurredAt: new Date(this.createdAt).toISOString(),
+      data: this.payload,
+    };
+  }
+}
+
+module.exports = OutboxEvent;
@@ -0,0 +1,39 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+
+class Tag extends Model {
+  static get tableName() {
+    return 'tags';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['tenantId', 'name'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        name: { type: 'string', minLength: 1, maxLength: 50 },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  // Hooks for automatic timestamps and UUID generation
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = new Date().toISOString();
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString();
+  }
+}
+
+module.exports = Tag;
@@ -1,5 +1,14 @@
-const { Model } = require('objection');
+const { Model, raw } = require('objection');
 const { v4: uuidv4 } = require('uuid');
+const { parseRule, nextOccurrence, occurrenceAfter } = require('../utils/rrule');
+const Tag = require('./Tag');
+const TodoTag = require('./TodoTag');
+const TodoDependency = require('./TodoDependency');
+
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3 };
+const NULLABLE_SORT_COLUMNS = ['dueDate'];
+// Upper bound of projected occurrences per series, for rules like FREQ=DAILY over long windows
+const MAX_PROJECTED_OCCURRENCES = 100;
 
 class Todo extends Model {
   static get tableName() {
@@ -16,6 +25,9 @@ class Todo extends Model {
       required: ['title'],
       properties: {
         id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        ownerId: { type: ['string', 'null'] },
+        parentId: { type: ['string', 'null'], format: 'uuid' },
         title: { type: 'string', minLength: 1, maxLength: 255 },
         description: { type: ['string', 'null'], maxLength: 1000 },
         completed: { type: 'boolean', default: false },
@@ -25,22 +37,315 @@ class Todo extends Model {
           default: 'medium'
         },
         dueDate: { type: ['string', 'null'], format: 'date-time' },
-        tags: { type: ['array', 'null'], items: { type: 'string' } },
+        tagsText: { type: ['string', 'null'] },
+        recurrenceRule: { type: ['string', 'null'], maxLength: 255 },
+        seriesId: { type: ['string', 'null'], format: 'uuid' },
+        occurrence: { type: ['integer', 'null'], minimum: 1 },
+        occurrenceDate: { type: ['string', 'null'], format: 'date-time' },
+        version: { type: 'integer', minimum: 1 },
         createdAt: { type: 'string', format: 'date-time' },
         updatedAt: { type: 'string', format: 'date-time' },
+        deletedAt: { type: ['string', 'null'], format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    return {
+      tagRecords: {
+        relation: Model.ManyToManyRelation,
+        modelClass: Tag,
+        join: {
+          from: 'todos.id',
+          through: {
+            modelClass: TodoTag,
+            from: 'todo_tags.todoId',
+            to: 'todo_tags.tagId',
+            extra: ['position'],
+          },
+          to: 'tags.id',
+        },
+      },
+
+      subtasks: {
+        relation: Model.HasManyRelation,
+        modelClass: Todo,
+        join: {
+          from: 'todos.id',
+          to: 'todos.parentId',
+        },
+      },
+
+      // Links to the todos blocking this one
+      blockerLinks: {
+        relation: Model.HasManyRelation,
+        modelClass: TodoDependency,
+        join: {
+          from: 'todos.id',
+          to: 'todo_dependencies.todoId',
+        },
+      },
+
+      // Links to the todos this one blocks
+      dependentLinks: {
+        relation: Model.HasManyRelation,
+        modelClass: TodoDependency,
+        join: {
+          from: 'todos.id',
+          to: 'todo_dependencies.blockedById',
+        },
+      },
+    };
+  }
+
+  /**
+   * Every todo query is restricted to the tenant in the query context.
+   * A query without a tenant fails instead of reading across tenants.
+   *
+   * Soft-deleted todos are excluded unless the context sets `trashed`
+   * to 'only' (the trash) or 'include' (everything).
+   */
+  static query(...args) {
+    return super.query(...args).onBuild((builder) => {
+      // Inserts get their tenant in $beforeInsert
+      if (builder.isInsert()) return;
+
+      const { tenantId, acrossTenants, trashed = 'exclude' } = builder.context();
+
+      if (!acrossTenants) {
+        if (!tenantId) {
+          throw new Error('Todo query is missing a tenant scope');
+        }
+
+        builder.where('todos.tenantId', tenantId);
+      }
+
+      if (trashed === 'exclude') {
+        builder.whereNull('todos.deletedAt');
+      } else if (trashed === 'only') {
+        builder.whereNotNull('todos.deletedAt');
+      }
+    });
+  }
+
+  /**
+   * Start a query over every tenant. Only for maintenance jobs such as the trash purge.
+   * @param {Transaction} [trx] - Optional transaction
+   * @returns {QueryBuilder}
+   */
+  static acrossTenants(trx) {
+    return this.query(trx).context({ acrossTenants: true });
+  }
+
+  /**
+   * Start a query scoped to a tenant
+   * @param {string} tenantId
+   * @param {Transaction} [trx] - Optional transaction
+   * @returns {QueryBuilder}
+   */
+  static forTenant(tenantId, trx) {
+    return this.query(trx).context({ tenantId });
+  }
+
+  /**
+   * Start a query scoped to a tenant and owner
+   * @param {Object} scope
+   * @param {string} scope.tenantId
+   * @param {string} scope.ownerId
+   * @param {Transaction} [trx] - Optional transaction
+   * @returns {QueryBuilder}
+   */
+  static scoped({ tenantId, ownerId }, trx) {
+    return this.forTenant(tenantId, trx).modify('ownedBy', ownerId);
+  }
+
+  /**
+   * Expression a sort column is ordered by.
+   * Priority sorts by rank (low < medium < high) rather than alphabetically.
+   * @param {string} sortBy - Sortable column
+   * @returns {string|Raw}
+   */
+  static sortExpression(sortBy) {
+    // Selected by the `searching` modifier
+    if (sortBy === 'relevance') {
+      return 'relevance';
+    }
+
+    if (sortBy === 'priority') {
+      return raw("case ?? when 'low' then 1 when 'medium' then 2 else 3 end", ['todos.priority']);
+    }
+
+    return `todos.${sortBy}`;
+  }
+
+  /**
+   * Value of a todo's sort column as compared by sortExpression
+   * @param {string} sortBy - Sortable column
+   * @param {*} value - Column value
+   * @returns {*}
+   */
+  static sortValue(sortBy, value) {
+    if (value === null || value === undefined) return null;
+    if (sortBy === 'priority') return PRIORITY_RANKS[value];
+    if (value instanceof Date) return value.toISOString();
+    return value;
+  }
+
+  /**
+   * Full-text match over title, description and tags
+   * @param {string} booleanQuery - MySQL boolean mode query
+   * @returns {Raw}
+   */
+  static searchMatch(booleanQuery) {
+    return raw(
+      'match(??, ??, ??) against (? in boolean mode)',
+      ['todos.title', 'todos.description', 'todos.tagsText', booleanQuery]
+    );
+  }
+
+  /**
+   * Plain text copy of the tags for the full-text index. An empty list gives an
+   * empty string, so todos whose tags were set to [] serialize them as [] rather
+   * than null.
+   * @param {Array<string>|null} tags - Tag names, null when never set
+   * @returns {string|null}
+   */
+  static tagsToText(tags) {
+    return Array.isArray(tags) ? tags.join(' ') : null;
+  }
+
+  // Reusable query modifiers
+  static get modifiers() {
+    const Todo = this;
+
+    return {
+      ownedBy(query, ownerId) {
+        query.where('todos.ownerId', ownerId);
+      },
+
+      // Loads what the JSON output is derived from: the tags (in their given
+      // order) serialized as `tags`, the subtask states behind `completionPercentage`
+      // and the dependency links behind `blockedBy`, `blocks` and `isBlocked`
+      withDetails(query) {
+        query
+          .withGraphFetched('[tagRecords(inOrder), subtasks(progress), blockerLinks(blocker), dependentLinks(dependent)]')
+          .modifiers({
+            inOrder: (tags) => tags.orderBy('todo_tags.position'),
+            progress: (subtasks) => subtasks.select('todos.id', 'todos.parentId', 'todos.completed'),
+            blocker: (links) => links.modify('withLinkedState', 'blockedById'),
+            dependent: (links) => links.modify('withLinkedState', 'todoId'),
+          });
+      },
+
+      topLevel(query) {
+        query.whereNull('todos.parentId');
+      },
+
+      subtasksOf(query, parentId) {
+        query.where('todos.parentId', parentId);
+      },
+
+      // Pending todos with at least one pending blocker outside the trash
+      blocked(query) {
+        const blockedIds = TodoDependency.query()
+          .select('todo_dependencies.todoId')
+          .join('todos as blocker', 'blocker.id', 'todo_dependencies.blockedById')
+          .where('blocker.completed', false)
+          .whereNull('blocker.deletedAt');
+
+        query.where('todos.completed', false).whereIn('todos.id', blockedIds);
+      },
+
+      // Todos with any (or all) of the named tags
+      taggedWith(query, names, mode = 'any') {
+        const tagged = TodoTag.query()
+          .select('todo_tags.todoId')
+          .join('tags', 'tags.id', 'todo_tags.tagId')
+          .whereIn('tags.name', names);
+
+        if (mode === 'all') {
+          tagged
+            .groupBy('todo_tags.todoId')
+            .havingRaw('count(distinct ??) = ?', ['todo_tags.tagId', names.length]);
+        }
+
+        query.whereIn('todos.id', tagged);
+      },
+
+      matching(query, booleanQuery) {
+        query.where(Todo.searchMatch(booleanQuery));
+      },
+
+      // Adds the full-text relevance of each row as `relevance`
+      withRelevance(query, booleanQuery) {
+        query.select('todos.*', Todo.searchMatch(booleanQuery).as('relevance'));
+      },
+
+      // Deterministic order: the sort column, then ID to break ties.
+      // NULL sorts first ascending and last descending on every database, as in MySQL.
+      sorted(query, sortBy, sortOrder) {
+        if (NULLABLE_SORT_COLUMNS.includes(sortBy)) {
+          query.orderBy(raw('?? is null', [`todos.${sortBy}`]), sortOrder === 'asc' ? 'desc' : 'asc');
+        }
+
+        query
+          .orderBy(Todo.sortExpression(sortBy), sortOrder)
+          .orderBy('todos.id', sortOrder);
+      },
+
+      // Keyset condition for the rows that follow a cursor in the `sorted` order
+      after(query, { sortBy, sortOrder, value, id }) {
+        const column = Todo.sortExpression(sortBy);
+        const op = sortOrder === 'asc' ? '>' : '<';
+        const nullable = NULLABLE_SORT_COLUMNS.includes(sortBy);
+
+        query.where((builder) => {
+          if (value === null) {
+            builder.where((tie) => tie.whereNull(column).where('todos.id', op, id));
+            if (sortOrder === 'asc') builder.orWhereNotNull(column);
+            return;
+          }
+
+          builder
+            .where(column, op, value)
+            .orWhere((tie) => tie.where(column, value).where('todos.id', op, id));
+          if (nullable && sortOrder === 'desc') builder.orWhereNull(column);
+        });
       },
     };
   }
 
+  // Joi validation hands dates over as Date objects; they are stored as ISO strings
+  $parseJson(json, opt) {
+    json = super.$parseJson(json, opt);
+
+    for (const field of ['dueDate', 'occurrenceDate']) {
+      if (json[field] instanceof Date) {
+        json[field] = json[field].toISOString();
+      }
+    }
+
+    return json;
+  }
+
   // Hooks for automatic timestamps and UUID generation
-  $beforeInsert() {
-    this.id = uuidv4();
+  $beforeInsert(queryContext) {
+    if (!queryContext.tenantId) {
+      throw new Error('Todo insert is missing a tenant scope');
+    }
+
+    // Offline clients may bring the ID of a todo they created (POST /todos/sync)
+    this.id = this.id || uuidv4();
+    this.tenantId = queryContext.tenantId;
+    this.version = 1;
     this.createdAt = new Date().toISOString();
     this.updatedAt = new Date().toISOString();
   }
 
   $beforeUpdate() {
     this.updatedAt = new Date().toISOString();
+    // Every write bumps the version used for ETags and If-Match checks
+    this.version = raw('?? + 1', ['todos.version']);
   }
 
   // Instance methods
@@ -55,39 +360,111 @@ class Todo extends Model {
   }
 
   // Static methods for common queries
-  static async findByStatus(completed = false) {
-    return this.query().where('completed', completed);
+  static async findByStatus(scope, completed = false) {
+    return this.scoped(scope).modify('topLevel').where('completed', completed).modify('withDetails');
   }
 
-  static async findByPriority(priority) {
-    return this.query().where('priority', priority);
+  static async findByPriority(scope, priority) {
+    return this.scoped(scope).modify('topLevel').where('priority', priority).modify('withDetails');
   }
 
-  static async findDueSoon(days = 7) {
-    const futureDate = new Date();
+  static async findDueSoon(scope, days = 7) {
+    const now = new Date();
+    const futureDate = new Date(now);
     futureDate.setDate(futureDate.getDate() + days);
-    
-    return this.query()
+
+    const todos = await this.scoped(scope)
+      .modify('topLevel')
       .where('dueDate', '<=', futureDate.toISOString())
       .where('completed', false)
-      .orderBy('dueDate', 'asc');
+      .orderBy('dueDate', 'asc')
+      .modify('withDetails');
+
+    // Later occurrences of a series are only created when the current one is completed.
+    // Series with a pending occurrence after the window have nothing to project.
+    const pendingSeries = () => this.scoped(scope)
+      .modify('topLevel')
+      .whereNotNull('recurrenceRule')
+      .where('completed', false);
+    const recurring = await pendingSeries()
+      .where('occurrenceDate', '<', futureDate.toISOString())
+      .whereNotIn('seriesId', pendingSeries().select('seriesId').where('occurrenceDate', '>=', futureDate.toISOString()))
+      .modify('withDetails');
+
+    return [...todos, ...this.projectOccurrences(recurring, futureDate, now)]
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+  }
+
+  /**
+   * Occurrences of recurring series that have not been created yet, between two dates.
+   * Projections are unsaved copies of the latest occurrence with `id` null and `isProjected` set.
+   * Occurrences missed before `since` are skipped: the pending occurrence already stands for them.
+   * @param {Array<Todo>} todos - Pending occurrences of the series
+   * @param {Date} until - Last due date to project
+   * @param {Date} [since] - Date projections must follow
+   * @returns {Array<Todo>}
+   */
+  static projectOccurrences(todos, until, since = new Date()) {
+    const latest = new Map();
+    for (const todo of todos) {
+      const current = latest.get(todo.seriesId);
+      if (!current || todo.occurrence > current.occurrence) latest.set(todo.seriesId, todo);
+    }
+
+    const projected = [];
+    for (const todo of latest.values()) {
+      const rule = parseRule(todo.recurrenceRule);
+      const first = occurrenceAfter(rule, new Date(todo.occurrenceDate), todo.occurrence, since);
+      if (!first) continue;
+
+      let { date, occurrence } = first;
+      for (let count = 0; date && date <= until && count < MAX_PROJECTED_OCCURRENCES; count++) {
+        projected.push(Object.assign(todo.$clone(), {
+          id: null,
+          version: null,
+          occurrence,
+          occurrenceDate: date.toISOString(),
+          dueDate: date.toISOString(),
+          subtasks: [],
+          blockerLinks: [],
+          dependentLinks: [],
+          isProjected: true,
+        }));
+
+        date = nextOccurrence(rule, date, occurrence);
+        occurrence += 1;
+      }
+    }
+
+    return projected;
   }
 
-  static async getStatistics() {
-    const total = await this.query().count('* as count').first();
-    const completed = await this.query().where('completed', true).count('* as count').first();
-    const pending = await this.query().where('completed', false).count('* as count').first();
-    const overdue = await this.query()
+  static async getStatistics(scope) {
+    // Top-level todos and subtasks are counted separately
+    const scoped = () => this.scoped(scope).modify('topLevel');
+    const subtasks = () => this.scoped(scope).whereNotNull('todos.parentId');
+
+    const total = await scoped().count('* as count').first();
+    const completed = await scoped().where('completed', true).count('* as count').first();
+    const pending = await scoped().where('completed', false).count('* as count').first();
+    const overdue = await scoped()
       .where('dueDate', '<', new Date().toISOString())
       .where('completed', false)
       .count('* as count')
       .first();
+    const subtasksTotal = await subtasks().count('* as count').first();
+    const subtasksCompleted = await subtasks().where('completed', true).count('* as count').first();
 
     return {
       total: parseInt(total.count),
       completed: parseInt(completed.count),
       pending: parseInt(pending.count),
       overdue: parseInt(overdue.count),
+      subtasks: {
+        total: parseInt(subtasksTotal.count),
+        completed: parseInt(subtasksCompleted.count),
+        pending: parseInt(subtasksTotal.count) - parseInt(subtasksCompleted.count),
+      },
     };
   }
 
@@ -97,20 +474,56 @@ class Todo extends Model {
     return new Date(this.dueDate) < new Date();
   }
 
+  // Share of completed subtasks, or of the todo itself when it has none
+  get completionPercentage() {
+    if (!this.subtasks || this.subtasks.length === 0) {
+      return this.completed ? 100 : 0;
+    }
+
+    const completedCount = this.subtasks.filter((subtask) => subtask.completed).length;
+    return Math.round((completedCount / this.subtasks.length) * 100);
+  }
+
+  // Whether a blocker is still pending
+  get isBlocked() {
+    return (this.blockerLinks || []).some((link) => !link.linkedCompleted);
+  }
+
+  get tagNames() {
+    return (this.tagRecords || []).map((tag) => tag.name);
+  }
+
   // Custom serialization
   $formatJson(json) {
     json = super.$formatJson(json);
     
     // Add virtual properties
     json.isOverdue = this.isOverdue;
+    json.completionPercentage = this.completionPercentage;
+    json.isBlocked = this.isBlocked;
+
+    // Subtasks are only loaded for the completion percentage; they have their own endpoints
+    delete json.subtasks;
+
+    // Search column only
+    delete json.tagsText;
     
-    // Parse tags if they're stored as JSON string
-    if (typeof json.tags === 'string') {
-      try {
-        json.tags = JSON.parse(json.tags);
-      } catch (e) {
-        json.tags = null;
-      }
+    // Dependencies are serialized as the IDs of the todos at the other end
+    if (json.blockerLinks) {
+      json.blockedBy = json.blockerLinks.map((link) => link.blockedById);
+      delete json.blockerLinks;
+    }
+    if (json.dependentLinks) {
+      json.blocks = json.dependentLinks.map((link) => link.todoId);
+      delete json.dependentLinks;
+    }
+
+    // Tags live in their own table and are serialized as a list of names; null when never set
+    if (json.tagRecords) {
+      json.tags = json.tagRecords.length > 0 || typeof this.tagsText === 'string'
+        ? json.tagRecords.map((tag) => tag.name)
+        : null;
+      delete json.tagRecords;
     }
     
     return json;
@@ -0,0 +1,40 @@
+const { Model } = require('objection');
+
+// Join table between todos and the todos blocking them
+class TodoDependency extends Model {
+  static get tableName() {
+    return 'todo_dependencies';
+  }
+
+  static get idColumn() {
+    return ['todoId', 'blockedById'];
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['todoId', 'blockedById'],
+      properties: {
+        todoId: { type: 'string', format: 'uuid' },
+        blockedById: { type: 'string', format: 'uuid' },
+      },
+    };
+  }
+
+  static get modifiers() {
+    return {
+      // Adds whether the todo at the other end (`todoId` or `blockedById`) is completed,
+      // skipping todos in the trash
+      withLinkedState(query, column) {
+        query
+          .select('todo_dependencies.*', 'linked.completed as linkedCompleted')
+          .join('todos as linked', 'linked.id', `todo_dependencies.${column}`)
+          .whereNull('linked.deletedAt')
+          .orderBy('linked.createdAt', 'asc')
+          .orderBy('linked.id', 'asc');
+      },
+    };
+  }
+}
+
+module.exports = TodoDependency;
@@ -0,0 +1,35 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+
+// Reminder sent for a todo, recorded so it is never sent twice
+class TodoReminder extends Model {
+  static get tableName() {
+    return 'todo_reminders';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['tenantId', 'todoId', 'dueDate', 'offsetSeconds'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        todoId: { type: 'string', format: 'uuid' },
+        dueDate: { type: 'string', format: 'date-time' },
+        offsetSeconds: { type: 'integer', minimum: 0 },
+        sentAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.sentAt = new Date().toISOString();
+  }
+}
+
+module.exports = TodoReminder;
@@ -0,0 +1,26 @@
+const { Model } = require('objection');
+
+// Join table between todos and tags
+class TodoTag extends Model {
+  static get tableName() {
+    return 'todo_tags';
+  }
+
+  static get idColumn() {
+    return ['todoId', 'tagId'];
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['todoId', 'tagId'],
+      properties: {
+        todoId: { type: 'string', format: 'uuid' },
+        tagId: { type: 'string', format: 'uuid' },
+        position: { type: 'integer', minimum: 0, default: 0 },
+      },
+    };
+  }
+}
+
+module.exports = TodoTag;
@@ -0,0 +1,65 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+
+class Webhook extends Model {
+  static get tableName() {
+    return 'webhooks';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['tenantId', 'createdBy', 'url', 'events', 'secret'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        createdBy: { type: 'string' },
+        url: { type: 'string', minLength: 1, maxLength: 2048 },
+        events: { type: 'array', items: { type: 'string' } },
+        secret: { type: 'string', minLength: 1, maxLength: 255 },
+        active: { type: 'boolean', default: true },
+        consecutiveFailures: { type: 'integer', minimum: 0 },
+        disabledAt: { type: ['string', 'null'], format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  // Hooks for automatic timestamps and UUID generation
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.consecutiveFailures = 0;
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = new Date().toISOString();
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Whether the webhook receives an event type
+   * @param {string} eventType
+   * @returns {boolean}
+   */
+  subscribesTo(eventType) {
+    return this.events.includes('*') || this.events.includes(eventType);
+  }
+
+  // Custom serialization
+  $formatJson(json) {
+    json = super.$formatJson(json);
+
+    // Never expose the signing secret
+    delete json.secret;
+
+    return json;
+  }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,66 @@
+const { Model } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+
+// Delivery of one event to one webhook, with its attempts
+class WebhookDelivery extends Model {
+  static get tableName() {
+    return 'webhook_deliveries';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['webhookId', 'tenantId', 'eventId', 'eventType', 'payload'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        webhookId: { type: 'string', format: 'uuid' },
+        tenantId: { type: 'string', minLength: 1, maxLength: 64 },
+        eventId: { type: 'string', format: 'uuid' },
+        eventType: { type: 'string', maxLength: 50 },
+        payload: { type: 'object' },
+        status: { type: 'string', enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+        attempts: { type: 'integer', minimum: 0 },
+        nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+        responseStatus: { type: ['integer', 'null'] },
+        lastError: { type: ['string', 'null'] },
+        deliveredAt: { type: ['string', 'null'], format: 'date-time' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+      },
+    };
+  }
+
+  static get relationMappings() {
+    const Webhook = require('./Webhook');
+
+    return {
+      webhook: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Webhook,
+        join: {
+          from: 'webhook_deliveries.webhookId',
+          to: 'webhooks.id',
+        },
+      },
+    };
+  }
+
+  // Hooks for automatic timestamps and UUID generation
+  $beforeInsert() {
+    this.id = uuidv4();
+    this.attempts = 0;
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = this.createdAt;
+    this.nextAttemptAt = this.createdAt;
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString();
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,640 @@
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const todoService = require('../services/todoService');
+const streamService = require('../services/streamService');
+const { authenticate, authorize, requirePermission, runMiddleware } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { validateData } = require('../middleware/validation');
+const { ApiError, handleError, getErrorCode, errorCodeOf } = require('../middleware/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { messageSchema, messageSchemas } = require('../validations/collaborationValidation');
+const {
+  createTodoSchema,
+  updateTodoSchema,
+  uuidParamSchema,
+  toggleQueryParamsSchema,
+  updateQueryParamsSchema,
+} = require('../validations/todoValidation');
+const logger = require('../config/logger');
+const config = require('../config');
+
+// Close code of a connection whose token expired, after HTTP's 401
+const TOKEN_EXPIRED_CLOSE_CODE = 4401;
+
+// Mutations run with the schemas and service methods of their REST endpoints
+const MUTATIONS = {
+  create: {
+    data: createTodoSchema,
+    run: (user, { data }) => todoService.createTodo(data, user),
+  },
+  update: {
+    id: true,
+    data: updateTodoSchema,
+    options: updateQueryParamsSchema,
+    run: (user, { id, data, options, expectedVersions }) => todoService.updateTodo(id, data, user, {
+      expectedVersions,
+      scope: options.scope,
+      force: options.force,
+    }),
+  },
+  toggle: {
+    id: true,
+    options: toggleQueryParamsSchema,
+    run: (user, { id, options, expectedVersions }) => todoService.toggleTodoStatus(id, user, {
+      expectedVersions,
+      cascade: options.cascade,
+      force: options.force,
+    }),
+  },
+  delete: {
+    id: true,
+    run: async (user, { id, expectedVersions }) => {
+      await todoService.deleteTodo(id, user, { expectedVersions });
+      return { id };
+    },
+  },
+};
+
+/**
+ * Answer a rejected handshake with an HTTP error response and close the socket
+ * @param {Object} socket
+ * @param {number} statusCode
+ * @param {string} message
+ */
+const rejectUpgrade = (socket, statusCode, message) => {
+  const body = JSON.stringify({
+    success: false,
+    error: {
+      code: getErrorCode(statusCode),
+      message,
+    },
+    timestamp: new Date().toISOString(),
+  });
+
+  socket.end([
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}`,
+    'Content-Type: application/json; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body,
+  ].join('\r\n'));
+};
+
+class CollaborationServer {
+  constructor() {
+    this.wss = null;
+    this.clients = new Set();
+    this.pingTimer = null;
+  }
+
+  /**
+   * Path the socket is served on
+   * @returns {string}
+   */
+  get path() {
+    return `/api/${config.app.version}/collaboration`;
+  }
+
+  /**
+   * Accept WebSocket upgrades on the collaboration path of an HTTP server
+   * @param {http.Server} server - Server created by app.listen
+   * @returns {WebSocketServer}
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: config.collaboration.maxPayloadBytes,
+    });
+    this.wss.on('connection', (ws, req, user) => this.handleConnection(ws, user));
+
+    server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    this.pingTimer = setInterval(() => this.ping(), config.collaboration.pingIntervalMs);
+    this.pingTimer.unref();
+
+    return this.wss;
+  }
+
+  /**
+   * Authenticate a handshake and complete the upgrade
+   * @param {http.IncomingMessage} req
+   * @param {Object} socket
+   * @param {Buffer} head
+   * @returns {Promise<void>}
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.path) {
+      rejectUpgrade(socket, 404, `Route ${url.pathname} not found`);
+      return;
+    }
+
+    // The client may leave while its handshake is authenticated
+    const onSocketError = () => socket.destroy();
+    socket.on('error', onSocketError);
+
+    let user;
+    try {
+      user = await this.authenticate(req, url);
+    } catch (error) {
+      const { statusCode, message } = handleError(error);
+      if (!statusCode) {
+        logger.error('Error authenticating collaboration handshake:', error);
+      }
+
+      rejectUpgrade(socket, statusCode || 500, statusCode ? message : 'Something went wrong');
+      return;
+    } finally {
+      socket.removeListener('error', onSocketError);
+    }
+
+    if (socket.destroyed) return;
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit('connection', ws, req, user);
+    });
+  }
+
+  /**
+   * Authenticate a handshake with the REST middleware. Browsers cannot set headers
+   * on a WebSocket, so the token and tenant may also be passed as access_token and
+   * tenantId query parameters.
+   * @param {http.IncomingMessage} req
+   * @param {URL} url
+   * @returns {Promise<Object>} Authenticated user, with the resolved tenant
+   * @throws {ApiError} 401/403 when the caller may not read todos
+   */
+  async authenticate(req, url) {
+    const headers = { ...req.headers };
+    const tenantHeader = config.tenancy.header.toLowerCase();
+
+    const accessToken = url.searchParams.get('access_token');
+    if (accessToken && !headers.authorization) {
+      headers.authorization = `Bearer ${accessToken}`;
+    }
+
+    const tenantId = url.searchParams.get('tenantId');
+    if (tenantId && headers[tenantHeader] === undefined) {
+      headers[tenantHeader] = tenantId;
+    }
+
+    // Stands in for the Express request; the URL is logged without its query, which holds the token
+    const request = {
+      id: uuidv4(),
+      method: req.method,
+      originalUrl: url.pathname,
+      ip: req.socket.remoteAddress,
+      headers,
+      get: (name) => headers[name.toLowerCase()],
+    };
+
+    for (const middleware of [authenticate, resolveTenant, authorize(PERMISSIONS.TODOS_READ)]) {
+      await runMiddleware(middleware, request);
+    }
+
+    return request.user;
+  }
+
+  /**
+   * Register a new connection
+   * @param {WebSocket} ws
+   * @param {Object} user - Authenticated user
+   */
+  handleConnection(ws, user) {
+    const client = {
+      id: uuidv4(),
+      ws,
+      user,
+      // Tokens are only verified at the handshake; API keys do not expire
+      expiresAt: user.exp ? user.exp * 1000 : null,
+      alive: true,
+      // List name -> { status, unsubscribe }
+      subscriptions: new Map(),
+    };
+    this.clients.add(client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', (data, isBinary) => this.handleMessage(client, data, isBinary));
+    ws.on('close', () => this.disconnect(client));
+    ws.on('error', (error) => {
+      logger.warn('Collaboration socket error:', { connectionId: client.id, error: error.message });
+    });
+
+    logger.info('Collaboration client connected:', {
+      connectionId: client.id,
+      userId: user.id,
+      tenantId: user.tenantId,
+    });
+
+    this.send(client, {
+      type: 'welcome',
+      connectionId: client.id,
+      userId: user.id,
+      tenantId: user.tenantId,
+    });
+  }
+
+  /**
+   * Validate a client message and run its handler. Messages with a requestId are
+   * answered with a result or error message carrying the same requestId; once the
+   * client's token has expired, a message closes the connection instead.
+   * @param {Object} client
+   * @param {Buffer} data
+   * @param {boolean} isBinary
+   * @returns {Promise<void>}
+   */
+  async handleMessage(client, data, isBinary) {
+    if (this.closeIfExpired(client)) return;
+
+    let message = null;
+    try {
+      message = isBinary ? null : JSON.parse(data.toString());
+    } catch (error) {
+      message = null;
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.sendError(client, null, new ApiError(400, 'Messages must be JSON objects'));
+      return;
+    }
+
+    const requestId = typeof message.requestId === 'string' ? message.requestId : null;
+    const envelope = validateData(messageSchema, message);
+    const { value, errorDetails } = envelope.errorDetails
+      ? envelope
+      : validateData(messageSchemas[message.type], message);
+
+    if (errorDetails) {
+      this.sendValidationError(client, requestId, errorDetails);
+      return;
+    }
+
+    try {
+      // Message types are named after their handlers
+      const result = await this[value.type](client, value);
+
+      if (requestId) {
+        this.send(client, { type: 'result', requestId, data: result });
+      }
+    } catch (error) {
+      if (error instanceof ApiError && error.details) {
+        this.sendValidationError(client, requestId, error.details);
+        return;
+      }
+      this.sendError(client, requestId, error);
+    }
+  }
+
+  /**
+   * Subscribe a client to a list: it receives the changes of its todos matching the
+   * list filters, and the presence and typing indicators of the list's other members.
+   * With lastEventId, the changes since then are replayed first.
+   * @param {Object} client
+   * @param {Object} message - Validated subscribe message
+   * @returns {Promise<Object>} { list, members }
+   * @throws {ApiError} 409 when already subscribed to the list
+   */
+  async subscribe(client, { list, filters, lastEventId }) {
+    if (client.subscriptions.has(list)) {
+      throw new ApiError(409, `Already subscribed to list ${list}`);
+    }
+
+    // Reserved first, so that subscribing twice at once is refused
+    const subscription = { status: 'online', unsubscribe: null };
+    client.subscriptions.set(list, subscription);
+
+    try {
+      subscription.unsubscribe = await streamService.subscribe({
+        user: client.user,
+        filters,
+        lastEventId: lastEventId === undefined ? null : lastEventId,
+        send: (message) => this.send(client, {
+          type: 'change',
+          list,
+          id: message.id,
+          event: message.event,
+          data: message.data,
+        }),
+        heartbeat: () => {},
+        end: () => client.ws.close(1001, 'Server shutting down'),
+      });
+    } catch (error) {
+      client.subscriptions.delete(list);
+      throw error;
+    }
+
+    // Unsubscribed or disconnected during the replay
+    if (client.subscriptions.get(list) !== subscription || !this.clients.has(client)) {
+      subscription.unsubscribe();
+      return { list, members: [] };
+    }
+
+    this.broadcast(client, list, { type: 'presence', list, ...this.member(client, list) });
+
+    return { list, members: this.members(client.user.tenantId, list) };
+  }
+
+  /**
+   * Unsubscribe a client from a list
+   * @param {Object} client
+   * @param {Object} message - Validated unsubscribe message
+   * @returns {Promise<Object>} { list }
+   */
+  async unsubscribe(client, { list }) {
+    const subscription = this.getSubscription(client, list);
+
+    client.subscriptions.delete(list);
+    if (subscription.unsubscribe) subscription.unsubscribe();
+
+    this.broadcast(client, list, {
+      type: 'presence',
+      list,
+      ...this.member(client, list),
+      status: 'offline',
+    });
+
+    return { list };
+  }
+
+  /**
+   * Set the presence of a client in a list and tell the other members
+   * @param {Object} client
+   * @param {Object} message - Validated presence message
+   * @returns {Promise<Object>} Member entry
+   */
+  async presence(client, { list, status }) {
+    this.getSubscription(client, list).status = status;
+
+    const member = this.member(client, list);
+    this.broadcast(client, list, { type: 'presence', list, ...member });
+
+    return member;
+  }
+
+  /**
+   * Tell the other members of a list that a client is typing, optionally in a todo
+   * @param {Object} client
+   * @param {Object} message - Validated typing message
+   * @returns {Promise<null>}
+   */
+  async typing(client, { list, todoId, typing }) {
+    this.getSubscription(client, list);
+
+    this.broadcast(client, list, {
+      type: 'typing',
+      list,
+      connectionId: client.id,
+      userId: client.user.id,
+      todoId,
+      typing,
+    });
+
+    return null;
+  }
+
+  /**
+   * Run a todo mutation with the permission, schemas and service method of its REST endpoint
+   * @param {Object} client
+   * @param {Object} message - Validated mutate message
+   * @returns {Promise<Object>} Mutated todo, or { id } of a deleted one
+   * @throws {ApiError} 403 without todos:write permission; errors carry `details` when invalid
+   */
+  async mutate(client, { action, id, data, options, expectedVersion }) {
+    const { user } = client;
+
+    requirePermission(user, PERMISSIONS.TODOS_WRITE);
+
+    const mutation = MUTATIONS[action];
+    const input = {
+      expectedVersions: expectedVersion === undefined ? undefined : [expectedVersion],
+    };
+    const details = [];
+
+    const parts = [
+      ['id', mutation.id && uuidParamSchema, { id }, (value) => value.id],
+      ['data', mutation.data, data, (value) => value],
+      ['options', mutation.options, options, (value) => value],
+    ];
+
+    for (const [name, schema, raw, pick] of parts) {
+      if (!schema) {
+        input[name] = {};
+        continue;
+      }
+
+      const { value, errorDetails } = validateData(schema, raw);
+      if (errorDetails) {
+        // Fields are reported relative to the message, e.g. data.title
+        details.push(...errorDetails.map((detail) => ({
+          ...detail,
+          field: name === 'id' ? 'id' : `${name}.${detail.field}`,
+        })));
+      }
+      input[name] = pick(value);
+    }
+
+    if (details.length > 0) {
+      const error = new ApiError(400, 'Message validation failed', ERROR_CODES.VALIDATION_ERROR);
+      error.details = details;
+      throw error;
+    }
+
+    const result = await mutation.run({ ...user, requestId: uuidv4() }, input);
+
+    logger.info('Todo mutated via collaboration socket:', {
+      action,
+      id: result.id,
+      connectionId: client.id,
+    });
+
+    return result;
+  }
+
+  /**
+   * Subscription of a client to a list
+   * @param {Object} client
+   * @param {string} list
+   * @returns {Object} { status, unsubscribe }
+   * @throws {ApiError} 404 when the client is not subscribed to the list
+   */
+  getSubscription(client, list) {
+    const subscription = client.subscriptions.get(list);
+    if (!subscription) {
+      throw new ApiError(404, `Not subscribed to list ${list}`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Member entry of a client in a list
+   * @param {Object} client
+   * @param {string} list
+   * @returns {Object} { connectionId, userId, status }
+   */
+  member(client, list) {
+    return {
+      connectionId: client.id,
+      userId: client.user.id,
+      status: client.subscriptions.get(list)?.status || 'offline',
+    };
+  }
+
+  /**
+   * Members of a list within a tenant
+   * @param {string} tenantId
+   * @param {string} list
+   * @returns {Array<Object>} Member entries
+   */
+  members(tenantId, list) {
+    return [...this.clients]
+      .filter((client) => client.user.tenantId === tenantId && client.subscriptions.has(list))
+      .map((client) => this.member(client, list));
+  }
+
+  /**
+   * Send a message to the other members of a client's list, within its tenant
+   * @param {Object} sender
+   * @param {string} list
+   * @param {Object} message
+   */
+  broadcast(sender, list, message) {
+    this.clients.forEach((client) => {
+      if (client === sender || client.user.tenantId !== sender.user.tenantId) return;
+      if (client.subscriptions.has(list)) this.send(client, message);
+    });
+  }
+
+  /**
+   * Send a message to a client if its socket is open
+   * @param {Object} client
+   * @param {Object} message
+   */
+  send(client, message) {
+    if (client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send an error message, shaped like the error responses of the REST API
+   * @param {Object} client
+   * @param {string|null} requestId
+   * @param {Error} err
+   */
+  sendError(client, requestId, err) {
+    let error = handleError(err);
+
+    if (!error.statusCode) {
+      logger.error('Error handling collaboration message:', { connectionId: client.id, error: err.message, stack: err.stack });
+      error = new ApiError(500, 'Something went wrong');
+    }
+
+    this.send(client, {
+      type: 'error',
+      requestId,
+      error: {
+        code: errorCodeOf(error),
+        message: error.message,
+      },
+    });
+  }
+
+  /**
+   * Send a validation error message, shaped like the validation middleware's response
+   * @param {Object} client
+   * @param {string|null} requestId
+   * @param {Array<Object>} details - Validation error details
+   */
+  sendValidationError(client, requestId, details) {
+    logger.warn('Collaboration message validation error:', { connectionId: client.id, errors: details });
+
+    this.send(client, {
+      type: 'error',
+      requestId,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Message validation failed',
+        details,
+      },
+    });
+  }
+
+  /**
+   * Forget a closed connection and tell the members of its lists
+   * @param {Object} client
+   */
+  disconnect(client) {
+    if (!this.clients.delete(client)) return;
+
+    for (const [list, subscription] of client.subscriptions) {
+      if (subscription.unsubscribe) subscription.unsubscribe();
+      this.broadcast(client, list, {
+        type: 'presence',
+        list,
+        connectionId: client.id,
+        userId: client.user.id,
+        status: 'offline',
+      });
+    }
+    client.subscriptions.clear();
+
+    logger.info('Collaboration client disconnected:', { connectionId: client.id, userId: client.user.id });
+  }
+
+  /**
+   * Close a connection whose token has expired, with code 4401. The client reconnects
+   * with a fresh token.
+   * @param {Object} client
+   * @returns {boolean} Whether the connection was closed
+   */
+  closeIfExpired(client) {
+    if (client.expiresAt === null || Date.now() < client.expiresAt) return false;
+
+    logger.info('Closing collaboration connection with an expired token:', { connectionId: client.id, userId: client.user.id });
+    client.ws.close(TOKEN_EXPIRED_CLOSE_CODE, 'Token expired');
+    return true;
+  }
+
+  /**
+   * Drop the connections that did not answer the previous ping or whose token has
+   * expired, and ping the others
+   */
+  ping() {
+    this.clients.forEach((client) => {
+      if (this.closeIfExpired(client)) return;
+
+      if (!client.alive) {
+        client.ws.terminate();
+        return;
+      }
+
+      client.alive = false;
+      client.ws.ping();
+    });
+  }
+
+  /**
+   * Close every connection, e.g. on shutdown. Clients reconnect and subscribe again.
+   * @returns {number} Number of closed connections
+   */
+  closeAll() {
+    const count = this.clients.size;
+
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+    this.clients.forEach((client) => client.ws.close(1001, 'Server shutting down'));
+
+    if (count > 0) {
+      logger.info('Collaboration connections closed:', { count });
+    }
+
+    return count;
+  }
+}
+
+module.exports = new CollaborationServer();
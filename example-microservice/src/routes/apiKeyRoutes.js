@@ -0,0 +1,46 @@
+const express = require('express');
+const apiKeyController = require('../controllers/apiKeyController');
+const { validateBody, validateParams } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  createApiKeySchema,
+  apiKeyIdParamSchema,
+} = require('../validations/apiKeyValidation');
+
+const router = express.Router();
+
+// API keys are managed by tenant admins
+router.use(authenticate, resolveTenant, authorize(PERMISSIONS.API_KEYS_MANAGE));
+
+/**
+ * @route   GET /api/v1/api-keys
+ * @desc    List API keys of the tenant
+ * @access  Private (admin)
+ */
+router.get('/', apiKeyController.listApiKeys);
+
+/**
+ * @route   POST /api/v1/api-keys
+ * @desc    Create an API key
+ * @access  Private (admin)
+ */
+router.post(
+  '/',
+  validateBody(createApiKeySchema),
+  apiKeyController.createApiKey
+);
+
+/**
+ * @route   DELETE /api/v1/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:id',
+  validateParams(apiKeyIdParamSchema),
+  apiKeyController.revokeApiKey
+);
+
+module.exports = router;
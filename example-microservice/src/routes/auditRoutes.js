@@ -0,0 +1,25 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { validateQuery } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { PERMISSIONS } = require('../config/permissions');
+const { auditQueryParamsSchema } = require('../validations/auditValidation');
+
+const router = express.Router();
+
+// The audit log is only visible to tenant admins
+router.use(authenticate, resolveTenant, authorize(PERMISSIONS.AUDIT_READ));
+
+/**
+ * @route   GET /api/v1/audit
+ * @desc    List audit records of the tenant
+ * @access  Private (admin)
+ */
+router.get(
+  '/',
+  validateQuery(auditQueryParamsSchema),
+  auditController.listAuditLogs
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const graphqlController = require('../controllers/graphqlController');
+const { validateBody } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { ApiError, sendErrorResponse } = require('../middleware/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { graphqlRequestSchema } = require('../validations/graphqlValidation');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Rate limiting for GraphQL requests, which reach the same data as the todo routes
+const graphqlRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  handler: (req, res) => sendErrorResponse(
+    new ApiError(429, 'Too many requests from this IP, please try again later.', ERROR_CODES.RATE_LIMIT_EXCEEDED),
+    req,
+    res
+  ),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.use(graphqlRateLimit);
+
+// Mutations check their further permissions in the resolvers
+router.use(authenticate, resolveTenant, authorize(PERMISSIONS.TODOS_READ));
+
+/**
+ * @route   POST /graphql
+ * @desc    Execute a GraphQL query or mutation over the todos
+ * @access  Private
+ */
+router.post(
+  '/',
+  validateBody(graphqlRequestSchema),
+  graphqlController.executeGraphql
+);
+
+module.exports = router;
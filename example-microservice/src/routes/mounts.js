@@ -0,0 +1,23 @@
+const todoRoutes = require('./todoRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const auditRoutes = require('./auditRoutes');
+const tagRoutes = require('./tagRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const healthRoutes = require('./healthRoutes');
+const graphqlRoutes = require('./graphqlRoutes');
+
+/**
+ * Routers and the paths they are mounted at. Versioned routers are mounted
+ * under /api/<version>. The API documentation is generated from this table.
+ */
+const mounts = [
+  { name: 'health', tag: 'Health', path: '/health', router: healthRoutes, versioned: false },
+  { name: 'todos', tag: 'Todos', path: '/todos', router: todoRoutes, versioned: true },
+  { name: 'apiKeys', tag: 'API Keys', path: '/api-keys', router: apiKeyRoutes, versioned: true },
+  { name: 'audit', tag: 'Audit', path: '/audit', router: auditRoutes, versioned: true },
+  { name: 'tags', tag: 'Tags', path: '/tags', router: tagRoutes, versioned: true },
+  { name: 'webhooks', tag: 'Webhooks', path: '/webhooks', router: webhookRoutes, versioned: true },
+  { name: 'graphql', tag: 'GraphQL', path: '/graphql', router: graphqlRoutes, versioned: false },
+];
+
+module.exports = mounts;
@@ -0,0 +1,67 @@
+const express = require('express');
+const tagController = require('../controllers/tagController');
+const { validateBody, validateParams } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  renameTagSchema,
+  mergeTagSchema,
+  tagIdParamSchema,
+} = require('../validations/tagValidation');
+
+const router = express.Router();
+
+// Tags are shared by the tenant
+router.use(authenticate, resolveTenant);
+
+/**
+ * @route   GET /api/v1/tags
+ * @desc    List tags with usage counts
+ * @access  Private
+ */
+router.get(
+  '/',
+  authorize(PERMISSIONS.TODOS_READ),
+  tagController.listTags
+);
+
+/**
+ * @route   PATCH /api/v1/tags/:id
+ * @desc    Rename a tag
+ * @access  Private (admin)
+ */
+router.patch(
+  '/:id',
+  authorize(PERMISSIONS.TAGS_MANAGE),
+  validateParams(tagIdParamSchema),
+  validateBody(renameTagSchema),
+  tagController.renameTag
+);
+
+/**
+ * @route   POST /api/v1/tags/:id/merge
+ * @desc    Merge a tag into another tag
+ * @access  Private (admin)
+ */
+router.post(
+  '/:id/merge',
+  authorize(PERMISSIONS.TAGS_MANAGE),
+  validateParams(tagIdParamSchema),
+  validateBody(mergeTagSchema),
+  tagController.mergeTag
+);
+
+/**
+ * @route   DELETE /api/v1/tags/:id
+ * @desc    Delete a tag and remove it from every todo
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:id',
+  authorize(PERMISSIONS.TAGS_MANAGE),
+  validateParams(tagIdParamSchema),
+  tagController.deleteTag
+);
+
+module.exports = router;
@@ -1,14 +1,31 @@
 const express = require('express');
 const todoController = require('../controllers/todoController');
 const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { ApiError, sendErrorResponse } = require('../middleware/errorHandler');
+const { idempotent } = require('../middleware/idempotency');
+const { PERMISSIONS } = require('../config/permissions');
+const { ERROR_CODES } = require('../config/errorCodes');
 const {
   createTodoSchema,
   updateTodoSchema,
   queryParamsSchema,
+  trashQueryParamsSchema,
+  streamQueryParamsSchema,
+  changesQueryParamsSchema,
+  syncBatchSchema,
   uuidParamSchema,
+  subtaskParamSchema,
+  toggleQueryParamsSchema,
+  executionOrderQuerySchema,
+  updateQueryParamsSchema,
+  bulkUpdateSchema,
+  bulkUpdateQueryParamsSchema,
+  bulkDeleteSchema,
+  dueSoonQuerySchema,
 } = require('../validations/todoValidation');
 const rateLimit = require('express-rate-limit');
-const Joi = require('joi');
 
 const router = express.Router();
 
@@ -16,112 +33,140 @@ const router = express.Router();
 const todoRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: {
-      code: 'TOO_MANY_REQUESTS',
-      message: 'Too many requests from this IP, please try again later.',
-    },
-    timestamp: new Date().toISOString(),
-  },
+  handler: (req, res) => sendErrorResponse(
+    new ApiError(429, 'Too many requests from this IP, please try again later.', ERROR_CODES.RATE_LIMIT_EXCEEDED),
+    req,
+    res
+  ),
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-// Bulk operations validation schemas
-const bulkUpdateSchema = Joi.object({
-  ids: Joi.array()
-    .items(Joi.string().uuid({ version: 'uuidv4' }))
-    .min(1)
-    .max(50)
-    .required()
-    .messages({
-      'array.min': 'At least one ID is required',
-      'array.max': 'Cannot update more than 50 todos at once',
-      'any.required': 'IDs array is required',
-    }),
-  updateData: updateTodoSchema.required().messages({
-    'any.required': 'Update data is required',
-  }),
-});
-
-const bulkDeleteSchema = Joi.object({
-  ids: Joi.array()
-    .items(Joi.string().uuid({ version: 'uuidv4' }))
-    .min(1)
-    .max(50)
-    .required()
-    .messages({
-      'array.min': 'At least one ID is required',
-      'array.max': 'Cannot delete more than 50 todos at once',
-      'any.required': 'IDs array is required',
-    }),
-});
-
-const dueSoonQuerySchema = Joi.object({
-  days: Joi.number()
-    .integer()
-    .min(1)
-    .max(365)
-    .default(7)
-    .messages({
-      'number.base': 'Days must be a number',
-      'number.integer': 'Days must be an integer',
-      'number.min': 'Days must be at least 1',
-      'number.max': 'Days cannot exceed 365',
-    }),
-});
-
 // Apply rate limiting to all routes
 router.use(todoRateLimit);
 
+// Every todo route requires an authenticated user within a tenant
+router.use(authenticate, resolveTenant);
+
 /**
  * @route   GET /api/v1/todos/stats
  * @desc    Get todo statistics
- * @access  Public
+ * @access  Private
  */
-router.get('/stats', todoController.getTodoStatistics);
+router.get(
+  '/stats',
+  authorize(PERMISSIONS.TODOS_READ),
+  todoController.getTodoStatistics
+);
 
 /**
  * @route   GET /api/v1/todos/due-soon
  * @desc    Get todos due soon
- * @access  Public
+ * @access  Private
  */
 router.get(
   '/due-soon',
+  authorize(PERMISSIONS.TODOS_READ),
   validateQuery(dueSoonQuerySchema),
   todoController.getTodosDueSoon
 );
 
+/**
+ * @route   GET /api/v1/todos/execution-order
+ * @desc    Get todos in an order that respects their dependencies
+ * @access  Private
+ */
+router.get(
+  '/execution-order',
+  authorize(PERMISSIONS.TODOS_READ),
+  validateQuery(executionOrderQuerySchema),
+  todoController.getExecutionOrder
+);
+
 /**
  * @route   PATCH /api/v1/todos/bulk
- * @desc    Bulk update todos
- * @access  Public
+ * @desc    Bulk update todos (?force=true completes blocked todos)
+ * @access  Private (admin)
  */
 router.patch(
   '/bulk',
+  authorize(PERMISSIONS.TODOS_BULK),
+  validateQuery(bulkUpdateQueryParamsSchema),
   validateBody(bulkUpdateSchema),
+  idempotent,
   todoController.bulkUpdateTodos
 );
 
 /**
  * @route   DELETE /api/v1/todos/bulk
  * @desc    Bulk delete todos
- * @access  Public
+ * @access  Private (admin)
  */
 router.delete(
   '/bulk',
+  authorize(PERMISSIONS.TODOS_BULK),
   validateBody(bulkDeleteSchema),
+  idempotent,
   todoController.bulkDeleteTodos
 );
 
+/**
+ * @route   GET /api/v1/todos/trash
+ * @desc    Get deleted todos in the trash
+ * @access  Private
+ */
+router.get(
+  '/trash',
+  authorize(PERMISSIONS.TODOS_READ),
+  validateQuery(trashQueryParamsSchema),
+  todoController.getTrash
+);
+
+/**
+ * @route   GET /api/v1/todos/stream
+ * @desc    Stream changes of todos as Server-Sent Events
+ * @access  Private
+ */
+router.get(
+  '/stream',
+  authorize(PERMISSIONS.TODOS_READ),
+  validateQuery(streamQueryParamsSchema),
+  todoController.streamTodos
+);
+
+/**
+ * @route   GET /api/v1/todos/changes
+ * @desc    Get todos created, updated or deleted since a sync token (?since=)
+ * @access  Private
+ */
+router.get(
+  '/changes',
+  authorize(PERMISSIONS.TODOS_READ),
+  validateQuery(changesQueryParamsSchema),
+  todoController.getChanges
+);
+
+/**
+ * @route   POST /api/v1/todos/sync
+ * @desc    Apply a batch of client-side mutations and report conflicts per mutation
+ * @access  Private (admin, member)
+ */
+router.post(
+  '/sync',
+  authorize(PERMISSIONS.TODOS_WRITE),
+  validateBody(syncBatchSchema),
+  idempotent,
+  todoController.syncTodos
+);
+
 /**
  * @route   GET /api/v1/todos
  * @desc    Get all todos with filtering and pagination
- * @access  Public
+ * @access  Private
  */
 router.get(
   '/',
+  authorize(PERMISSIONS.TODOS_READ),
   validateQuery(queryParamsSchema),
   todoController.getAllTodos
 );
@@ -129,33 +174,38 @@ router.get(
 /**
  * @route   POST /api/v1/todos
  * @desc    Create a new todo
- * @access  Public
+ * @access  Private (admin, member)
  */
 router.post(
   '/',
+  authorize(PERMISSIONS.TODOS_WRITE),
   validateBody(createTodoSchema),
+  idempotent,
   todoController.createTodo
 );
 
 /**
  * @route   GET /api/v1/todos/:id
  * @desc    Get todo by ID
- * @access  Public
+ * @access  Private
  */
 router.get(
   '/:id',
+  authorize(PERMISSIONS.TODOS_READ),
   validateParams(uuidParamSchema),
   todoController.getTodoById
 );
 
 /**
  * @route   PUT /api/v1/todos/:id
- * @desc    Update todo by ID
- * @access  Public
+ * @desc    Update todo by ID (?scope=future also updates the later occurrences of a recurring todo, ?force=true completes it even if blocked)
+ * @access  Private (admin, member)
  */
 router.put(
   '/:id',
+  authorize(PERMISSIONS.TODOS_WRITE),
   validateParams(uuidParamSchema),
+  validateQuery(updateQueryParamsSchema),
   validateBody(updateTodoSchema),
   todoController.updateTodo
 );
@@ -163,23 +213,114 @@ router.put(
 /**
  * @route   DELETE /api/v1/todos/:id
  * @desc    Delete todo by ID
- * @access  Public
+ * @access  Private (admin, member)
  */
 router.delete(
   '/:id',
+  authorize(PERMISSIONS.TODOS_WRITE),
   validateParams(uuidParamSchema),
   todoController.deleteTodo
 );
 
 /**
  * @route   PATCH /api/v1/todos/:id/toggle
- * @desc    Toggle todo completion status
- * @access  Public
+ * @desc    Toggle todo completion status (?cascade=true also sets its subtasks, ?force=true completes it even if blocked)
+ * @access  Private (admin, member)
  */
 router.patch(
   '/:id/toggle',
+  authorize(PERMISSIONS.TODOS_WRITE),
   validateParams(uuidParamSchema),
+  validateQuery(toggleQueryParamsSchema),
   todoController.toggleTodoStatus
 );
 
+/**
+ * @route   GET /api/v1/todos/:id/subtasks
+ * @desc    Get the subtasks of a todo
+ * @access  Private
+ */
+router.get(
+  '/:id/subtasks',
+  authorize(PERMISSIONS.TODOS_READ),
+  validateParams(uuidParamSchema),
+  todoController.getSubtasks
+);
+
+/**
+ * @route   POST /api/v1/todos/:id/subtasks
+ * @desc    Create a subtask of a todo
+ * @access  Private (admin, member)
+ */
+router.post(
+  '/:id/subtasks',
+  authorize(PERMISSIONS.TODOS_WRITE),
+  validateParams(uuidParamSchema),
+  validateBody(createTodoSchema),
+  idempotent,
+  todoController.createSubtask
+);
+
+/**
+ * @route   GET /api/v1/todos/:id/subtasks/:subtaskId
+ * @desc    Get a subtask of a todo
+ * @access  Private
+ */
+router.get(
+  '/:id/subtasks/:subtaskId',
+  authorize(PERMISSIONS.TODOS_READ),
+  validateParams(subtaskParamSchema),
+  todoController.getSubtask
+);
+
+/**
+ * @route   PUT /api/v1/todos/:id/subtasks/:subtaskId
+ * @desc    Update a subtask of a todo
+ * @access  Private (admin, member)
+ */
+router.put(
+  '/:id/subtasks/:subtaskId',
+  authorize(PERMISSIONS.TODOS_WRITE),
+  validateParams(subtaskParamSchema),
+  validateQuery(updateQueryParamsSchema),
+  validateBody(updateTodoSchema),
+  todoController.updateSubtask
+);
+
+/**
+ * @route   DELETE /api/v1/todos/:id/subtasks/:subtaskId
+ * @desc    Delete a subtask of a todo
+ * @access  Private (admin, member)
+ */
+router.delete(
+  '/:id/subtasks/:subtaskId',
+  authorize(PERMISSIONS.TODOS_WRITE),
+  validateParams(subtaskParamSchema),
+  todoController.deleteSubtask
+);
+
+/**
+ * @route   GET /api/v1/todos/:id/history
+ * @desc    Get the audit history of a todo
+ * @access  Private
+ */
+router.get(
+  '/:id/history',
+  authorize(PERMISSIONS.TODOS_READ),
+  validateParams(uuidParamSchema),
+  todoController.getTodoHistory
+);
+
+/**
+ * @route   POST /api/v1/todos/:id/restore
+ * @desc    Restore a deleted todo from the trash
+ * @access  Private (admin, member)
+ */
+router.post(
+  '/:id/restore',
+  authorize(PERMISSIONS.TODOS_WRITE),
+  validateParams(uuidParamSchema),
+  todoController.restoreTodo
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,83 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdParamSchema,
+  deliveryQueryParamsSchema,
+} = require('../validations/webhookValidation');
+
+const router = express.Router();
+
+// Webhooks are managed by tenant admins; API keys cannot be granted webhooks:manage
+router.use(authenticate, resolveTenant, authorize(PERMISSIONS.WEBHOOKS_MANAGE));
+
+/**
+ * @route   GET /api/v1/webhooks
+ * @desc    List webhooks of the tenant
+ * @access  Private (admin)
+ */
+router.get('/', webhookController.listWebhooks);
+
+/**
+ * @route   POST /api/v1/webhooks
+ * @desc    Register a webhook
+ * @access  Private (admin)
+ */
+router.post(
+  '/',
+  validateBody(createWebhookSchema),
+  webhookController.createWebhook
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:id
+ * @desc    Get a webhook
+ * @access  Private (admin)
+ */
+router.get(
+  '/:id',
+  validateParams(webhookIdParamSchema),
+  webhookController.getWebhook
+);
+
+/**
+ * @route   PATCH /api/v1/webhooks/:id
+ * @desc    Update a webhook, or enable it again after it was disabled
+ * @access  Private (admin)
+ */
+router.patch(
+  '/:id',
+  validateParams(webhookIdParamSchema),
+  validateBody(updateWebhookSchema),
+  webhookController.updateWebhook
+);
+
+/**
+ * @route   DELETE /api/v1/webhooks/:id
+ * @desc    Delete a webhook
+ * @access  Private (admin)
+ */
+router.delete(
+  '/:id',
+  validateParams(webhookIdParamSchema),
+  webhookController.deleteWebhook
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries
+ * @desc    List the deliveries of a webhook
+ * @access  Private (admin)
+ */
+router.get(
+  '/:id/deliveries',
+  validateParams(webhookIdParamSchema),
+  validateQuery(deliveryQueryParamsSchema),
+  webhookController.listDeliveries
+);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { ApiError, toApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+const logger = require('../config/logger');
+const { ROLES, API_KEY_SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'tdk_';
+
+class ApiKeyService {
+  /**
+   * Hash a raw API key for storage and lookup
+   * @param {string} rawKey - Plaintext API key
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  /**
+   * Create a new API key. The plaintext key is only returned here.
+   * @param {Object} keyData - Key name, scopes and optional expiry
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Created key and its plaintext value
+   */
+  async createApiKey(keyData, user) {
+    try {
+      logger.info('Creating API key:', {
+        name: keyData.name,
+        scopes: keyData.scopes,
+        tenantId: user.tenantId,
+        createdBy: user.id,
+      });
+
+      const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+      const apiKey = await ApiKey.query().insert({
+        name: keyData.name,
+        scopes: keyData.scopes,
+        expiresAt: keyData.expiresAt ? new Date(keyData.expiresAt).toISOString() : null,
+        tenantId: user.tenantId,
+        createdBy: user.id,
+        keyPrefix: rawKey.slice(0, 12),
+        keyHash: this.hashKey(rawKey),
+      });
+
+      logger.info('API key created successfully:', { id: apiKey.id });
+      return { apiKey, key: rawKey };
+    } catch (error) {
+      throw toApiError(error, 'Failed to create API key');
+    }
+  }
+
+  /**
+   * List the API keys of the user's tenant
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Array>} API keys
+   */
+  async listApiKeys(user) {
+    try {
+      logger.debug('Fetching API keys:', { tenantId: user.tenantId });
+
+      return await ApiKey.query()
+        .where('tenantId', user.tenantId)
+        .orderBy('createdAt', 'desc');
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch API keys');
+    }
+  }
+
+  /**
+   * Revoke an API key of the user's tenant
+   * @param {string} id - API key ID
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeApiKey(id, user) {
+    try {
+      logger.info('Revoking API key:', { id, revokedBy: user.id });
+
+      const apiKey = await ApiKey.query()
+        .where('tenantId', user.tenantId)
+        .findById(id);
+
+      if (!apiKey) {
+        throw new ApiError(404, 'API key not found', ERROR_CODES.API_KEY_NOT_FOUND);
+      }
+
+      if (apiKey.revokedAt) {
+        return apiKey;
+      }
+
+      const revokedKey = await ApiKey.query()
+        .patchAndFetchById(id, { revokedAt: new Date().toISOString() });
+
+      logger.info('API key revoked successfully:', { id });
+      return revokedKey;
+    } catch (error) {
+      throw toApiError(error, 'Failed to revoke API key');
+    }
+  }
+
+  /**
+   * Resolve the caller for a raw API key
+   * @param {string} rawKey - Plaintext API key from the X-API-Key header
+   * @returns {Promise<Object|null>} Authenticated caller, or null for unknown/inactive keys
+   */
+  async authenticateKey(rawKey) {
+    const apiKey = await ApiKey.query()
+      .where('keyHash', this.hashKey(rawKey))
+      .first();
+
+    if (!apiKey || !apiKey.isActive) {
+      return null;
+    }
+
+    // Usage tracking must never fail the request
+    ApiKey.query()
+      .patch({ lastUsedAt: new Date().toISOString() })
+      .where('id', apiKey.id)
+      .catch((error) => logger.warn('Failed to record API key usage:', { id: apiKey.id, error: error.message }));
+
+    // Keys act on behalf of the admin who created them, limited to their scopes.
+    // Scopes no longer grantable to keys are ignored on keys created before.
+    return {
+      id: apiKey.createdBy,
+      role: ROLES.ADMIN,
+      scopes: apiKey.scopes.filter((scope) => API_KEY_SCOPES.includes(scope)),
+      tenantId: apiKey.tenantId,
+      apiKeyId: apiKey.id,
+      apiKeyPrefix: apiKey.keyPrefix,
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,211 @@
+const AuditLog = require('../models/AuditLog');
+const { toApiError } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+const config = require('../config');
+
+// Fields that are derived on serialization and never stored
+const VIRTUAL_FIELDS = ['isOverdue', 'completionPercentage', 'isBlocked'];
+
+class AuditService {
+  /**
+   * Plain JSON snapshot of a model for an audit record
+   * @param {Object|null} model - Objection model instance
+   * @returns {Object|null}
+   */
+  snapshot(model) {
+    if (!model) return null;
+
+    const json = model.toJSON();
+    VIRTUAL_FIELDS.forEach((field) => delete json[field]);
+    return json;
+  }
+
+  /**
+   * Field-level diff between two snapshots
+   * @param {Object|null} before
+   * @param {Object|null} after
+   * @returns {Object} Map of field to { from, to }
+   */
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    fields.forEach((field) => {
+      const from = before ? before[field] : undefined;
+      const to = after ? after[field] : undefined;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = {
+          from: from === undefined ? null : from,
+          to: to === undefined ? null : to,
+        };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Pair entities before and after a bulk mutation by ID
+   * @param {Array<Object>} before - Entities before the mutation
+   * @param {Array<Object>} after - Entities after the mutation
+   * @returns {Array<Object>} Pairs of { id, before, after }
+   */
+  pairChanges(before, after) {
+    const afterById = new Map(after.map((entity) => [entity.id, entity]));
+
+    return before.map((entity) => ({
+      id: entity.id,
+      before: entity,
+      after: afterById.get(entity.id) || null,
+    }));
+  }
+
+  /**
+   * Actor columns for the caller of a mutation
+   * @param {Object|null} user - Authenticated user, or null for system jobs
+   * @returns {Object}
+   */
+  actorOf(user) {
+    if (!user) {
+      return { actorType: 'system', actorId: null, apiKeyId: null, requestId: null };
+    }
+
+    return {
+      actorType: user.apiKeyId ? 'api_key' : 'user',
+      actorId: user.id,
+      apiKeyId: user.apiKeyId || null,
+      requestId: user.requestId || null,
+    };
+  }
+
+  /**
+   * Write audit records for a mutation, one per affected entity
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} entry
+   * @param {string} entry.tenantId - Tenant of the entities
+   * @param {string} entry.entityType - Entity type, e.g. 'todo'
+   * @param {string} entry.action - Action, e.g. 'update'
+   * @param {Object|null} entry.user - Caller, or null for system jobs
+   * @param {Array<Object>} entry.changes - Pairs of { id, before, after } model instances
+   * @returns {Promise<Array>} Inserted audit records
+   */
+  async record(trx, { tenantId, entityType, action, user, changes }) {
+    if (changes.length === 0) return [];
+
+    const actor = this.actorOf(user);
+    const rows = changes.map(({ id, before, after }) => {
+      const beforeJson = this.snapshot(before);
+      const afterJson = this.snapshot(after);
+
+      return {
+        tenantId,
+        entityType,
+        entityId: id,
+        action,
+        ...actor,
+        before: beforeJson,
+        after: afterJson,
+        changes: this.diff(beforeJson, afterJson),
+      };
+    });
+
+    // Insert one by one so every record gets its own ID and timestamp on MySQL
+    const records = [];
+    for (const row of rows) {
+      records.push(await AuditLog.query(trx).insert(row));
+    }
+
+    return records;
+  }
+
+  /**
+   * Get the audit history of one entity, oldest first
+   * @param {string} entityType - Entity type, e.g. 'todo'
+   * @param {string} entityId - Entity ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Audit records
+   */
+  async getEntityHistory(entityType, entityId, user) {
+    try {
+      logger.debug('Fetching audit history:', { entityType, entityId });
+
+      return await AuditLog.query()
+        .where('tenantId', user.tenantId)
+        .where('entityType', entityType)
+        .where('entityId', entityId)
+        .orderBy('createdAt', 'asc');
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch audit history');
+    }
+  }
+
+  /**
+   * List audit records of the user's tenant with filtering and pagination
+   * @param {Object} options - Filter and pagination options
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Paginated audit records with metadata
+   */
+  async listAuditLogs(options = {}, user) {
+    try {
+      const {
+        page = 1,
+        limit = config.pagination.defaultLimit,
+        entityType,
+        entityId,
+        action,
+        actorId,
+        requestId,
+        from,
+        to,
+      } = options;
+
+      logger.debug('Fetching audit logs with options:', options);
+
+      let query = AuditLog.query().where('tenantId', user.tenantId);
+
+      if (entityType) query = query.where('entityType', entityType);
+      if (entityId) query = query.where('entityId', entityId);
+      if (action) query = query.where('action', action);
+      if (actorId) query = query.where('actorId', actorId);
+      if (requestId) query = query.where('requestId', requestId);
+      if (from) query = query.where('createdAt', '>=', new Date(from).toISOString());
+      if (to) query = query.where('createdAt', '<=', new Date(to).toISOString());
+
+      const totalResult = await query.clone().count('* as count').first();
+      const total = parseInt(totalResult.count);
+
+      const records = await query
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: records,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        filters: {
+          entityType,
+          entityId,
+          action,
+          actorId,
+          requestId,
+          from,
+          to,
+        },
+      };
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch audit logs');
+    }
+  }
+}
+
+module.exports = new AuditService();
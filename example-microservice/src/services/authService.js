@@ -0,0 +1,47 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { ROLES } = require('../config/permissions');
+
+class AuthService {
+  /**
+   * Issue a signed access token for a user
+   * @param {Object} user - User claims
+   * @param {string} user.id - User ID (stored as the `sub` claim)
+   * @param {string} [user.role] - User role
+   * @param {string} [user.tenantId] - Home tenant
+   * @param {Array<string>} [user.tenants] - Tenants the user may switch to
+   * @returns {string} Signed JWT
+   */
+  generateToken(user) {
+    const { id, ...claims } = user;
+
+    return jwt.sign(claims, config.auth.jwtSecret, {
+      subject: String(id),
+      issuer: config.auth.jwtIssuer,
+      expiresIn: config.auth.jwtExpiresIn,
+    });
+  }
+
+  /**
+   * Verify an access token and return the authenticated user
+   * @param {string} token - Bearer token
+   * @returns {Object} Authenticated user, with `exp`, the token's expiry in seconds
+   * @throws {JsonWebTokenError|TokenExpiredError} When the token is invalid or expired
+   */
+  verifyToken(token) {
+    const payload = jwt.verify(token, config.auth.jwtSecret, {
+      issuer: config.auth.jwtIssuer,
+      algorithms: ['HS256'],
+    });
+
+    return {
+      id: payload.sub,
+      role: payload.role || ROLES.MEMBER,
+      tenantId: payload.tenantId,
+      tenants: payload.tenants,
+      exp: payload.exp,
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,119 @@
+const TodoDependency = require('../models/TodoDependency');
+const Todo = require('../models/Todo');
+const { ApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+class DependencyService {
+  /**
+   * Collect the given todos and every todo they depend on, directly or through other todos.
+   * Links of trashed todos are followed too, so restoring a todo cannot bring back a cycle.
+   * @param {Array<string>} ids - Todo IDs to start from
+   * @param {Transaction} [trx] - Optional transaction
+   * @returns {Promise<Object>} { nodes, edges } with nodes in discovery order and [todoId, blockedById] edges
+   */
+  async collectDependencies(ids, trx) {
+    const nodes = [...new Set(ids)];
+    const seen = new Set(nodes);
+    const edges = [];
+    let frontier = nodes;
+
+    while (frontier.length > 0) {
+      const links = await TodoDependency.query(trx).whereIn('todoId', frontier);
+      frontier = [];
+
+      for (const { todoId, blockedById } of links) {
+        edges.push([todoId, blockedById]);
+
+        if (!seen.has(blockedById)) {
+          seen.add(blockedById);
+          nodes.push(blockedById);
+          frontier.push(blockedById);
+        }
+      }
+    }
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Reject blockers that already depend on the todo, directly or through other todos
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {string} todoId - Todo getting the blockers
+   * @param {Array<string>} blockerIds - New blockers
+   * @throws {ApiError} 400 when a blocker would close a cycle
+   */
+  async assertAcyclic(trx, todoId, blockerIds) {
+    if (blockerIds.includes(todoId)) {
+      throw new ApiError(400, 'A todo cannot block itself', ERROR_CODES.SELF_DEPENDENCY);
+    }
+
+    const { nodes } = await this.collectDependencies(blockerIds, trx);
+    if (nodes.includes(todoId)) {
+      throw new ApiError(400, 'Dependencies cannot form a cycle', ERROR_CODES.DEPENDENCY_CYCLE);
+    }
+  }
+
+  /**
+   * Replace the blockers of a todo
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {string} todoId - Blocked todo
+   * @param {Array<string>} blockerIds - Validated blocker IDs
+   * @returns {Promise<Array<string>>} IDs of the blockers that were added or removed
+   */
+  async setBlockers(trx, todoId, blockerIds) {
+    const previous = await TodoDependency.query(trx).select('blockedById').where('todoId', todoId);
+    const previousIds = previous.map((link) => link.blockedById);
+
+    await TodoDependency.query(trx).delete().where('todoId', todoId);
+
+    // Inserted one by one, as batch inserts are not supported on MySQL
+    for (const blockedById of blockerIds) {
+      await TodoDependency.query(trx).insert({ todoId, blockedById });
+    }
+
+    return [
+      ...blockerIds.filter((id) => !previousIds.includes(id)),
+      ...previousIds.filter((id) => !blockerIds.includes(id)),
+    ];
+  }
+
+  /**
+   * Todos linked to the given ones by dependencies
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} todos
+   * @param {Array<string>} [todos.dependentsOf] - Todos whose dependents are wanted
+   * @param {Array<string>} [todos.blockersOf] - Todos whose blockers are wanted
+   * @returns {Promise<Array<string>>} Todo IDs, each once
+   */
+  async findLinkedIds(trx, { dependentsOf = [], blockersOf = [] }) {
+    const ids = new Set();
+
+    if (dependentsOf.length > 0) {
+      const links = await TodoDependency.query(trx).select('todoId').whereIn('blockedById', dependentsOf);
+      links.forEach((link) => ids.add(link.todoId));
+    }
+    if (blockersOf.length > 0) {
+      const links = await TodoDependency.query(trx).select('blockedById').whereIn('todoId', blockersOf);
+      links.forEach((link) => ids.add(link.blockedById));
+    }
+
+    return [...ids];
+  }
+
+  /**
+   * Pending blockers of the given todos, leaving out those among the todos themselves
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {string} tenantId - Tenant of the todos
+   * @param {Array<string>} ids - Todos about to be completed
+   * @returns {Promise<Array>} Blocking todos with id and title
+   */
+  async findOpenBlockers(trx, tenantId, ids) {
+    return Todo.forTenant(tenantId, trx)
+      .select('todos.id', 'todos.title')
+      .whereIn('todos.id', TodoDependency.query(trx).select('blockedById').whereIn('todoId', ids))
+      .whereNotIn('todos.id', ids)
+      .where('todos.completed', false);
+  }
+}
+
+module.exports = new DependencyService();
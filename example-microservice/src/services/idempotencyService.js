@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { UniqueViolationError } = require('objection');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { ApiError, toApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+const logger = require('../config/logger');
+const config = require('../config');
+
+class IdempotencyService {
+  /**
+   * Fingerprint of a request, used to detect a key being reused for a different request
+   * @param {Object} request
+   * @param {string} request.method
+   * @param {string} request.path
+   * @param {*} request.body
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  fingerprint({ method, path, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([method, path, body === undefined ? null : body]))
+      .digest('hex');
+  }
+
+  /**
+   * Claim an idempotency key for a request, for IDEMPOTENCY_LOCK_SECONDS.
+   * Returns the stored record when the key was already used, so the caller can replay it.
+   * A key whose lock ran out while processing is taken over, so that a request is
+   * not blocked by one that crashed.
+   * @param {Object} request
+   * @param {string} request.key - Idempotency-Key header value
+   * @param {string} request.method
+   * @param {string} request.path
+   * @param {*} request.body
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} { record, replay } where replay is true for a completed earlier request
+   */
+  async begin({ key, method, path, body }, user) {
+    const fingerprint = this.fingerprint({ method, path, body });
+    const lockedUntil = () => new Date(Date.now() + config.idempotency.lockSeconds * 1000).toISOString();
+    const owner = {
+      tenantId: user.tenantId,
+      // API keys share their creator's user ID, so they get their own key space
+      principalId: user.apiKeyId || user.id,
+      idempotencyKey: key,
+    };
+
+    try {
+      const record = await IdempotencyKey.query().insert({
+        ...owner,
+        method,
+        path,
+        fingerprint,
+        status: 'processing',
+        lockedUntil: lockedUntil(),
+        expiresAt: new Date(Date.now() + config.idempotency.ttlSeconds * 1000).toISOString(),
+      });
+
+      return { record, replay: false };
+    } catch (error) {
+      if (!(error instanceof UniqueViolationError)) {
+        throw toApiError(error, 'Failed to process idempotency key');
+      }
+    }
+
+    const existing = await IdempotencyKey.query().where(owner).first();
+
+    // Expired, or released since the insert failed: start over with a fresh claim
+    if (!existing || existing.isExpired) {
+      if (existing) {
+        await IdempotencyKey.query().deleteById(existing.id);
+      }
+      return this.begin({ key, method, path, body }, user);
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      throw new ApiError(422, 'Idempotency-Key has already been used for a different request', ERROR_CODES.IDEMPOTENCY_KEY_REUSED);
+    }
+
+    if (existing.status === 'processing' && !existing.isLocked) {
+      // Conditional, so that only one of several retries takes it over
+      const claim = { lockedUntil: lockedUntil() };
+      const claimed = await IdempotencyKey.query()
+        .patch(claim)
+        .where('id', existing.id)
+        .where('status', 'processing')
+        .where((builder) => builder.whereNull('lockedUntil').orWhere('lockedUntil', '<=', new Date().toISOString()));
+
+      if (claimed > 0) {
+        logger.warn('Taking over idempotency key whose lock expired:', { key, method, path });
+        return { record: Object.assign(existing, claim), replay: false };
+      }
+      return this.begin({ key, method, path, body }, user);
+    }
+
+    if (existing.status === 'processing') {
+      throw new ApiError(409, 'A request with this Idempotency-Key is still being processed', ERROR_CODES.IDEMPOTENCY_KEY_IN_PROGRESS);
+    }
+
+    logger.info('Replaying idempotent request:', {
+      key,
+      method,
+      path,
+      requestId: user.requestId,
+    });
+
+    return { record: existing, replay: true };
+  }
+
+  /**
+   * Store the response of a request so retries can replay it
+   * @param {Object} record - Record returned by begin
+   * @param {Object} response
+   * @param {number} response.status
+   * @param {Object} response.headers
+   * @param {*} response.body
+   * @returns {Promise<void>}
+   */
+  async complete(record, { status, headers, body }) {
+    await IdempotencyKey.query()
+      .patch({
+        status: 'completed',
+        responseStatus: status,
+        responseHeaders: headers,
+        responseBody: body,
+      })
+      .where('id', record.id);
+  }
+
+  /**
+   * Release a key so the request can be retried, e.g. after a server error
+   * @param {Object} record - Record returned by begin
+   * @returns {Promise<void>}
+   */
+  async release(record) {
+    await IdempotencyKey.query().deleteById(record.id);
+  }
+
+  /**
+   * Delete expired keys
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  async purgeExpired() {
+    const deletedCount = await IdempotencyKey.query()
+      .delete()
+      .where('expiresAt', '<', new Date().toISOString());
+
+    if (deletedCount > 0) {
+      logger.info('Expired idempotency keys purged:', { deletedCount });
+    }
+
+    return deletedCount;
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,39 @@
+const os = require('os');
+const { UniqueViolationError } = require('objection');
+const { v4: uuidv4 } = require('uuid');
+const JobLease = require('../models/JobLease');
+
+// Identifies this process among the replicas
+const HOLDER = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+
+class LeaseService {
+  /**
+   * Take or renew the lease on a job. Only one process holds a lease at a time;
+   * another one can take it over once it expires.
+   * @param {string} name - Job name
+   * @param {number} ttlMs - How long the lease is held without renewal
+   * @returns {Promise<boolean>} Whether this process holds the lease
+   */
+  async acquire(name, ttlMs) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+
+    const renewed = await JobLease.query()
+      .patch({ holder: HOLDER, expiresAt })
+      .where('name', name)
+      .where((builder) => builder.where('holder', HOLDER).orWhere('expiresAt', '<=', now.toISOString()));
+
+    if (renewed > 0) return true;
+
+    try {
+      await JobLease.query().insert({ name, holder: HOLDER, expiresAt });
+      return true;
+    } catch (error) {
+      // Held by another process
+      if (error instanceof UniqueViolationError) return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = new LeaseService();
@@ -0,0 +1,259 @@
+const OutboxEvent = require('../models/OutboxEvent');
+const auditService = require('./auditService');
+const leaseService = require('./leaseService');
+const webhookService = require('./webhookService');
+const { createTransport } = require('../transports');
+const { TODO_EVENT_TYPES } = require('../events');
+const logger = require('../config/logger');
+const config = require('../config');
+
+const LEASE_NAME = 'outbox-relay';
+
+class OutboxService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Transport the relay publishes through, created from the configuration on first use
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(config.outbox);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport, e.g. with a message broker client
+   * @param {Object} transport - Object with an async publish(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Event type of a todo change
+   * @param {Object|null} before - Todo before the change
+   * @param {Object|null} after - Todo after the change
+   * @returns {string}
+   */
+  todoEventType(before, after) {
+    if (!before) return TODO_EVENT_TYPES.CREATED;
+    if (!after || (after.deletedAt && !before.deletedAt)) return TODO_EVENT_TYPES.DELETED;
+    if (after.completed && !before.completed) return TODO_EVENT_TYPES.COMPLETED;
+    return TODO_EVENT_TYPES.UPDATED;
+  }
+
+  /**
+   * Write the events of todo mutations to the outbox, in the transaction of the mutation.
+   * Updates that change nothing are left out.
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {string} tenantId - Tenant of the todos
+   * @param {Array<Object>} changes - Pairs of { id, before, after } todos
+   * @returns {Promise<Array>} Inserted events
+   */
+  async recordTodoChanges(trx, tenantId, changes) {
+    const entries = changes
+      .map(({ id, before, after }) => {
+        const beforeJson = auditService.snapshot(before);
+        const afterJson = auditService.snapshot(after);
+
+        return {
+          id,
+          type: this.todoEventType(before, after),
+          payload: {
+            // With the derived fields, such as isBlocked, that the diff leaves out
+            todo: (after || before).toJSON(),
+            changes: auditService.diff(beforeJson, afterJson),
+          },
+        };
+      })
+      .filter((entry) => entry.type !== TODO_EVENT_TYPES.UPDATED || Object.keys(entry.payload.changes).length > 0);
+
+    return this.appendEvents(trx, tenantId, entries);
+  }
+
+  /**
+   * Write the event of a due reminder to the outbox, in the transaction recording the reminder
+   * @param {Transaction} trx - Transaction of the reminder, holding a lock on the todo
+   * @param {Object} todo - Todo to remind of, with its details
+   * @param {Object} reminder - { dueDate, kind, offsetSeconds }
+   * @returns {Promise<Object>} Inserted event
+   */
+  async recordReminder(trx, todo, reminder) {
+    const [event] = await this.appendEvents(trx, todo.tenantId, [{
+      id: todo.id,
+      type: TODO_EVENT_TYPES.REMINDER_DUE,
+      payload: { todo: todo.toJSON(), changes: {}, reminder },
+    }]);
+
+    return event;
+  }
+
+  /**
+   * Insert todo events, numbering them after the latest event of their todo
+   * @param {Transaction} trx - Transaction locking the todos
+   * @param {string} tenantId - Tenant of the todos
+   * @param {Array<Object>} entries - { id, type, payload } with the todo ID
+   * @returns {Promise<Array>} Inserted events
+   */
+  async appendEvents(trx, tenantId, entries) {
+    if (entries.length === 0) return [];
+
+    // The todos are locked by the caller, so their sequences cannot be taken concurrently
+    const latest = await OutboxEvent.query(trx)
+      .select('aggregateId')
+      .max('sequence as sequence')
+      .where('aggregateType', 'todo')
+      .whereIn('aggregateId', [...new Set(entries.map((entry) => entry.id))])
+      .groupBy('aggregateId');
+    const sequences = new Map(latest.map((row) => [row.aggregateId, Number(row.sequence)]));
+
+    // Inserted one by one to keep their positions in order on MySQL
+    const inserted = [];
+    for (const { id, type, payload } of entries) {
+      const sequence = (sequences.get(id) || 0) + 1;
+      sequences.set(id, sequence);
+
+      inserted.push(await OutboxEvent.query(trx).insert({
+        tenantId,
+        aggregateType: 'todo',
+        aggregateId: id,
+        sequence,
+        type,
+        payload,
+      }));
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Delay before the next delivery attempt
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  retryDelay(attempts) {
+    const { retryBaseMs, retryMaxMs } = config.outbox;
+    return Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+  }
+
+  /**
+   * Publish pending events in outbox order, and queue them for the webhooks receiving them.
+   * An event is marked as published only after the transport accepted it, so it may be
+   * delivered more than once. Once an event fails, the later events of the same todo
+   * wait for it, keeping the order per todo.
+   * @param {Object} [transport] - Transport to publish through
+   * @param {Date} [now] - Current time
+   * @param {Function} [keepLease] - Called before each event; the batch stops once it resolves to false
+   * @returns {Promise<number>} Number of published events
+   */
+  async relayPending(transport = this.getTransport(), now = new Date(), keepLease = async () => true) {
+    const nowIso = now.toISOString();
+
+    // Events waiting out a retry backoff are the first pending ones of their todos. They
+    // and the later events of those todos are left out, so that they cannot fill the
+    // batch and hold up the other todos; aggregate IDs are UUIDs, unique across types.
+    const pending = await OutboxEvent.query()
+      .whereNull('publishedAt')
+      .whereNotIn(
+        'aggregateId',
+        OutboxEvent.query().select('aggregateId').whereNull('publishedAt').where('availableAt', '>', nowIso)
+      )
+      .orderBy('position', 'asc')
+      .limit(config.outbox.batchSize);
+
+    const held = new Set();
+    let publishedCount = 0;
+
+    for (const event of pending) {
+      if (!(await keepLease())) {
+        logger.warn('Outbox relay lease lost, stopping the batch:', { publishedCount });
+        break;
+      }
+
+      const aggregate = `${event.aggregateType}:${event.aggregateId}`;
+      if (held.has(aggregate)) continue;
+
+      try {
+        const message = event.toMessage();
+        await webhookService.enqueueDeliveries(message);
+        await transport.publish(message);
+      } catch (error) {
+        held.add(aggregate);
+        const attempts = event.attempts + 1;
+
+        logger.warn('Outbox event delivery failed:', { id: event.id, attempts, error: error.message });
+
+        await OutboxEvent.query()
+          .patch({
+            attempts,
+            lastError: error.message,
+            availableAt: new Date(now.getTime() + this.retryDelay(attempts)).toISOString(),
+          })
+          .where('position', event.position);
+        continue;
+      }
+
+      await OutboxEvent.query()
+        .patch({ attempts: event.attempts + 1, publishedAt: new Date().toISOString() })
+        .where('position', event.position);
+      publishedCount += 1;
+    }
+
+    if (publishedCount > 0) {
+      logger.debug('Outbox events published:', { publishedCount, transport: transport.name });
+    }
+
+    return publishedCount;
+  }
+
+  /**
+   * Remove published events older than the retention period
+   * @param {number} retentionDays - Days a published event is kept
+   * @returns {Promise<number>} Number of removed events
+   */
+  async purgePublished(retentionDays = config.outbox.retentionDays) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+
+    const deletedCount = await OutboxEvent.query()
+      .delete()
+      .whereNotNull('publishedAt')
+      .where('publishedAt', '<', cutoff.toISOString());
+
+    if (deletedCount > 0) {
+      logger.info('Published outbox events purged:', { deletedCount });
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Relay pending events if this replica holds the relay lease, so that a single
+   * relay publishes and the order per todo holds across replicas. The lease outlasts
+   * the slowest publish and is renewed during the batch once half of it has passed,
+   * so another replica cannot take over while this one is still publishing.
+   * @returns {Promise<number>} Number of published events
+   */
+  async runScheduled() {
+    const { relayIntervalMs, httpTimeoutMs } = config.outbox;
+    const ttlMs = relayIntervalMs * 2 + httpTimeoutMs;
+
+    if (!(await leaseService.acquire(LEASE_NAME, ttlMs))) return 0;
+
+    let renewedAt = Date.now();
+    const keepLease = async () => {
+      if (Date.now() - renewedAt < ttlMs / 2) return true;
+
+      renewedAt = Date.now();
+      return leaseService.acquire(LEASE_NAME, ttlMs);
+    };
+
+    return this.relayPending(this.getTransport(), new Date(), keepLease);
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,196 @@
+const { v4: uuidv4 } = require('uuid');
+const Todo = require('../models/Todo');
+const tagService = require('./tagService');
+const auditService = require('./auditService');
+const outboxService = require('./outboxService');
+const { ApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { parseRule, nextOccurrence } = require('../utils/rrule');
+
+// Fields shared by every occurrence of a series, changed with scope=future
+const SERIES_FIELDS = ['title', 'description', 'priority', 'tagsText', 'recurrenceRule'];
+
+class RecurrenceService {
+  /**
+   * Series columns of a new todo
+   * @param {string|null} recurrenceRule - Validated rule
+   * @param {Date|string|null} dueDate - Due date of the first occurrence
+   * @returns {Object} Columns to insert
+   * @throws {ApiError} 400 when a recurring todo has no due date
+   */
+  seriesFields(recurrenceRule, dueDate) {
+    if (!recurrenceRule) return {};
+
+    if (!dueDate) {
+      throw new ApiError(400, 'Recurring todos need a due date', ERROR_CODES.RECURRENCE_DUE_DATE_REQUIRED);
+    }
+
+    return {
+      recurrenceRule,
+      seriesId: uuidv4(),
+      occurrence: 1,
+      occurrenceDate: new Date(dueDate).toISOString(),
+    };
+  }
+
+  /**
+   * Adjust the patch of an occurrence to the edit scope.
+   * `this` edits the occurrence only: moving its due date keeps the series on schedule.
+   * `future` edits the series from this occurrence on: a new due date re-anchors it.
+   * @param {Object} todo - Current occurrence
+   * @param {Object} patch - Todo patch
+   * @param {string} scope - 'this' or 'future'
+   * @returns {Object} Patch including the series columns
+   * @throws {ApiError} 400 on a rule change for a single occurrence or a series without due date
+   */
+  planUpdate(todo, patch, scope) {
+    const ruleChanged = patch.recurrenceRule !== undefined && patch.recurrenceRule !== todo.recurrenceRule;
+
+    if (!todo.seriesId) {
+      return patch.recurrenceRule
+        ? { ...patch, ...this.seriesFields(patch.recurrenceRule, patch.dueDate !== undefined ? patch.dueDate : todo.dueDate) }
+        : patch;
+    }
+
+    if (ruleChanged && scope !== 'future') {
+      throw new ApiError(400, 'The recurrence rule can only be changed for all future occurrences (scope=future)', ERROR_CODES.RECURRENCE_SCOPE_REQUIRED);
+    }
+
+    if (scope !== 'future' || patch.dueDate === undefined) {
+      return patch;
+    }
+
+    const recurrenceRule = patch.recurrenceRule !== undefined ? patch.recurrenceRule : todo.recurrenceRule;
+    if (recurrenceRule && !patch.dueDate) {
+      throw new ApiError(400, 'Recurring todos need a due date', ERROR_CODES.RECURRENCE_DUE_DATE_REQUIRED);
+    }
+
+    return {
+      ...patch,
+      occurrenceDate: patch.dueDate ? new Date(patch.dueDate).toISOString() : todo.occurrenceDate,
+    };
+  }
+
+  /**
+   * Apply a scope=future edit to the pending occurrences after the edited one.
+   * Their dates are recomputed from the edited occurrence; those past the end of the series are trashed.
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Object} todo - Edited occurrence, after the update
+   * @param {Object} patch - Patch applied to it
+   * @param {Array<string>} [tagNames] - New tags, if changed
+   * @returns {Promise<Array>} Changed occurrences
+   */
+  async updateFutureOccurrences(trx, user, todo, patch, tagNames) {
+    const scoped = () => Todo.forTenant(user.tenantId, trx);
+
+    const before = await scoped()
+      .where('seriesId', todo.seriesId)
+      .where('occurrence', '>', todo.occurrence)
+      .where('completed', false)
+      .orderBy('occurrence', 'asc')
+      .modify('withDetails')
+      .forUpdate();
+    if (before.length === 0) return [];
+
+    const seriesPatch = Object.fromEntries(
+      SERIES_FIELDS.filter((field) => patch[field] !== undefined).map((field) => [field, patch[field]])
+    );
+    // Dates are only recomputed when the schedule changed, keeping occurrences moved on their own
+    const rescheduled = patch.recurrenceRule !== undefined || patch.occurrenceDate !== undefined;
+    const rule = rescheduled && todo.recurrenceRule ? parseRule(todo.recurrenceRule) : null;
+    const deletedAt = new Date().toISOString();
+    let previous = todo;
+
+    for (const occurrence of before) {
+      if (tagNames) {
+        await tagService.setTodoTags(trx, occurrence, tagNames);
+      }
+
+      const occurrencePatch = { ...seriesPatch };
+      if (rule) {
+        const date = previous && nextOccurrence(rule, new Date(previous.occurrenceDate), previous.occurrence);
+        if (date) {
+          occurrencePatch.occurrenceDate = occurrencePatch.dueDate = date.toISOString();
+          previous = { occurrence: occurrence.occurrence, occurrenceDate: date };
+        } else {
+          // Past the end of the series
+          occurrencePatch.deletedAt = deletedAt;
+          previous = null;
+        }
+      }
+
+      await scoped().patch(occurrencePatch).where('id', occurrence.id);
+    }
+
+    const ids = before.map((occurrence) => occurrence.id);
+    const after = await scoped().context({ trashed: 'include' }).whereIn('id', ids).modify('withDetails');
+
+    const changes = auditService.pairChanges(before, after);
+    await auditService.record(trx, {
+      tenantId: user.tenantId,
+      entityType: 'todo',
+      action: 'update',
+      user,
+      changes,
+    });
+    await outboxService.recordTodoChanges(trx, user.tenantId, changes);
+
+    return after;
+  }
+
+  /**
+   * Create the next occurrence of a completed recurring todo, unless the series
+   * has ended or the next occurrence already exists
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Object} todo - Completed occurrence
+   * @returns {Promise<Object|null>} Next occurrence
+   */
+  async createNextOccurrence(trx, user, todo) {
+    if (!todo.recurrenceRule) return null;
+
+    // Also looks in the trash, so a deleted occurrence is not recreated
+    const existing = await Todo.forTenant(todo.tenantId, trx)
+      .context({ trashed: 'include' })
+      .where('seriesId', todo.seriesId)
+      .where('occurrence', '>', todo.occurrence)
+      .first();
+    if (existing) return null;
+
+    const date = nextOccurrence(parseRule(todo.recurrenceRule), new Date(todo.occurrenceDate), todo.occurrence);
+    if (!date) return null;
+
+    const inserted = await Todo.forTenant(todo.tenantId, trx).insert({
+      title: todo.title,
+      description: todo.description,
+      priority: todo.priority,
+      ownerId: todo.ownerId,
+      parentId: todo.parentId,
+      tagsText: todo.tagsText,
+      recurrenceRule: todo.recurrenceRule,
+      seriesId: todo.seriesId,
+      occurrence: todo.occurrence + 1,
+      occurrenceDate: date.toISOString(),
+      dueDate: date.toISOString(),
+    });
+
+    await tagService.setTodoTags(trx, inserted, todo.tagNames);
+
+    const next = await Todo.forTenant(todo.tenantId, trx).findById(inserted.id).modify('withDetails');
+
+    const changes = [{ id: next.id, before: null, after: next }];
+    await auditService.record(trx, {
+      tenantId: user.tenantId,
+      entityType: 'todo',
+      action: 'create',
+      user,
+      changes,
+    });
+    await outboxService.recordTodoChanges(trx, user.tenantId, changes);
+
+    return next;
+  }
+}
+
+module.exports = new RecurrenceService();
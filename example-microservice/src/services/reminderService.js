@@ -0,0 +1,143 @@
+const { UniqueViolationError } = require('objection');
+const Todo = require('../models/Todo');
+const TodoReminder = require('../models/TodoReminder');
+const leaseService = require('./leaseService');
+const outboxService = require('./outboxService');
+const logger = require('../config/logger');
+const config = require('../config');
+
+const LEASE_NAME = 'reminders';
+
+class ReminderService {
+  /**
+   * Reminder that is due for a todo: the closest offset whose time has come,
+   * or 0 (overdue) once the due date has passed.
+   * Reminders later than maxDelaySeconds are skipped.
+   * @param {Date} dueDate - Due date of the todo
+   * @param {Date} now - Current time
+   * @param {Object} [settings]
+   * @param {Array<number>} [settings.offsetsSeconds] - Offsets before the due date
+   * @param {number} [settings.maxDelaySeconds] - Maximum delay of a reminder
+   * @returns {number|null} Offset in seconds, or null when no reminder is due
+   */
+  dueOffset(dueDate, now, {
+    offsetsSeconds = config.reminders.offsetsSeconds,
+    maxDelaySeconds = config.reminders.maxDelaySeconds,
+  } = {}) {
+    const secondsLeft = (dueDate.getTime() - now.getTime()) / 1000;
+    const offsets = secondsLeft > 0 ? offsetsSeconds.filter((offset) => offset >= secondsLeft) : [0];
+    if (offsets.length === 0) return null;
+
+    const offset = Math.min(...offsets);
+    return offset - secondsLeft <= maxDelaySeconds ? offset : null;
+  }
+
+  /**
+   * Send the reminders that are due for pending todos of every tenant.
+   * A reminder is recorded with its event and never sent twice for the same due
+   * date; reaching a closer offset also covers the earlier ones.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of sent reminders
+   */
+  async sendDueReminders(now = new Date()) {
+    const { offsetsSeconds, maxDelaySeconds, batchSize } = config.reminders;
+    const from = new Date(now.getTime() - maxDelaySeconds * 1000);
+    const to = new Date(now.getTime() + Math.max(0, ...offsetsSeconds) * 1000);
+    let sentCount = 0;
+
+    for (let page = 0; ; page++) {
+      const todos = await Todo.acrossTenants()
+        .where('completed', false)
+        .whereBetween('dueDate', [from.toISOString(), to.toISOString()])
+        .orderBy('dueDate', 'asc')
+        .orderBy('id', 'asc')
+        .offset(page * batchSize)
+        .limit(batchSize);
+
+      if (todos.length === 0) break;
+
+      const sent = await TodoReminder.query().whereIn('todoId', todos.map((todo) => todo.id));
+
+      for (const todo of todos) {
+        const dueDate = new Date(todo.dueDate);
+        const offset = this.dueOffset(dueDate, now, { offsetsSeconds, maxDelaySeconds });
+        if (offset === null) continue;
+
+        const covered = sent.some((reminder) => reminder.todoId === todo.id
+          && new Date(reminder.dueDate).getTime() === dueDate.getTime()
+          && reminder.offsetSeconds <= offset);
+        if (covered) continue;
+
+        if (await this.send(todo, dueDate, offset)) sentCount += 1;
+      }
+
+      if (todos.length < batchSize) break;
+    }
+
+    if (sentCount > 0) {
+      logger.info('Reminders sent:', { sentCount });
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Record a reminder and write its TodoReminderDue event to the outbox in the same
+   * transaction, so that it reaches the webhooks and live streams like any todo event
+   * @param {Object} todo - Todo to remind of
+   * @param {Date} dueDate - Its due date
+   * @param {number} offset - Offset in seconds, 0 when overdue
+   * @returns {Promise<boolean>} False when another process sent it first, or the todo is
+   *   gone, completed or rescheduled since it was selected
+   */
+  async send(todo, dueDate, offset) {
+    try {
+      const sent = await TodoReminder.transaction(async (trx) => {
+        // Locked, so that a concurrent mutation cannot take the event's sequence
+        const locked = await Todo.acrossTenants(trx)
+          .modify('withDetails')
+          .findById(todo.id)
+          .forUpdate();
+        // Gone, completed or rescheduled since it was selected
+        if (!locked || locked.completed) return false;
+        if (new Date(locked.dueDate).getTime() !== dueDate.getTime()) return false;
+
+        await TodoReminder.query(trx).insert({
+          tenantId: todo.tenantId,
+          todoId: todo.id,
+          dueDate: dueDate.toISOString(),
+          offsetSeconds: offset,
+        });
+
+        await outboxService.recordReminder(trx, locked, {
+          dueDate: dueDate.toISOString(),
+          kind: offset === 0 ? 'overdue' : 'upcoming',
+          offsetSeconds: offset,
+        });
+        return true;
+      });
+
+      if (sent) {
+        logger.debug('Reminder sent:', { todoId: todo.id, offsetSeconds: offset });
+      }
+      return sent;
+    } catch (error) {
+      if (error instanceof UniqueViolationError) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Send due reminders if this replica holds the reminder lease.
+   * The lease outlives two check intervals, so the holder keeps it by running on schedule.
+   * @returns {Promise<number>} Number of sent reminders
+   */
+  async runScheduled() {
+    const leased = await leaseService.acquire(LEASE_NAME, config.reminders.checkIntervalMs * 2);
+    if (!leased) return 0;
+
+    return this.sendDueReminders();
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,292 @@
+const OutboxEvent = require('../models/OutboxEvent');
+const { TODO_EVENT_TYPES } = require('../events');
+const logger = require('../config/logger');
+const config = require('../config');
+
+// Outbox positions re-read on every poll, so events committed out of order are not missed
+const LOOKBACK_POSITIONS = 100;
+
+class StreamService {
+  constructor() {
+    this.subscribers = new Set();
+    this.cursor = null;
+    this.delivered = new Set();
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Name of the stream event for an outbox event
+   * @param {Object} event - Outbox event
+   * @returns {string} todo.created, todo.updated, todo.toggled, todo.deleted or todo.reminder
+   */
+  eventName(event) {
+    switch (event.type) {
+      case TODO_EVENT_TYPES.CREATED:
+        return 'todo.created';
+      case TODO_EVENT_TYPES.REMINDER_DUE:
+        return 'todo.reminder';
+      case TODO_EVENT_TYPES.DELETED:
+        return 'todo.deleted';
+      case TODO_EVENT_TYPES.COMPLETED:
+        return 'todo.toggled';
+      default:
+        return event.payload.changes.completed ? 'todo.toggled' : 'todo.updated';
+    }
+  }
+
+  /**
+   * Whether a todo matches the list filters
+   * @param {Object} todo - Serialized todo
+   * @param {Object} filters - status, priority, tag and tagMode as in GET /todos
+   * @returns {boolean}
+   */
+  matchesFilters(todo, { status = 'all', priority, tag, tagMode = 'any' }) {
+    if (status === 'completed' && !todo.completed) return false;
+    if (status === 'pending' && todo.completed) return false;
+    if (status === 'blocked' && (todo.completed || !todo.isBlocked)) return false;
+    if (priority && todo.priority !== priority) return false;
+
+    if (tag) {
+      const names = new Set((todo.tags || []).map((name) => name.toLowerCase()));
+      const wanted = tag.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+      const found = wanted.filter((name) => names.has(name));
+      if (tagMode === 'all' ? found.length < wanted.length : found.length === 0) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether a subscriber receives an event: it must concern one of their todos,
+   * matching the filters before or after the change so that clients also learn
+   * about todos leaving their list
+   * @param {Object} event - Outbox event
+   * @param {Object} subscriber - { user, filters }
+   * @returns {boolean}
+   */
+  matches(event, { user, filters }) {
+    const { todo, changes } = event.payload;
+    if (event.tenantId !== user.tenantId || todo.ownerId !== user.id) return false;
+    // Subtasks are left out of the list, and so out of its changes
+    if (todo.parentId) return false;
+    if (this.matchesFilters(todo, filters)) return true;
+    if (event.type === TODO_EVENT_TYPES.CREATED) return false;
+
+    const before = { ...todo };
+    for (const [field, { from }] of Object.entries(changes)) {
+      before[field] = from;
+    }
+    return this.matchesFilters(before, filters);
+  }
+
+  /**
+   * Stream message for an outbox event
+   * @param {Object} event - Outbox event
+   * @returns {Object} { id, event, data }
+   */
+  toMessage(event) {
+    const data = {
+      eventId: event.id,
+      type: event.type,
+      occurredAt: new Date(event.createdAt).toISOString(),
+      todo: event.payload.todo,
+      changes: event.payload.changes,
+    };
+
+    if (event.payload.reminder) {
+      data.reminder = event.payload.reminder;
+    }
+
+    return { id: String(event.position), event: this.eventName(event), data };
+  }
+
+  /**
+   * Stream message telling a client that it missed more events than are replayed,
+   * so it must reload its todos. Its ID is the latest event, to resume from.
+   * @param {number} position - Position of the latest event
+   * @returns {Object} { id, event, data }
+   */
+  resetMessage(position) {
+    return { id: String(position), event: 'reset', data: { reason: 'replay_limit_exceeded' } };
+  }
+
+  /**
+   * Hand an event to a subscriber if it concerns them and was not replayed already.
+   * Events arriving while the subscriber's replay runs are held back until it is done.
+   * @param {Object} subscriber
+   * @param {Object} event - Outbox event
+   */
+  deliver(subscriber, event) {
+    if (subscriber.held) {
+      subscriber.held.push(event);
+      return;
+    }
+
+    if (subscriber.replayed.has(event.position) || !this.matches(event, subscriber)) return;
+    subscriber.send(this.toMessage(event));
+  }
+
+  /**
+   * Subscribe to the todo events of a user. When resuming after an event ID,
+   * the events since then are replayed first, or a reset is sent when there are
+   * more than the replay limit.
+   * @param {Object} options
+   * @param {Object} options.user - Authenticated user
+   * @param {Object} options.filters - status, priority, tag and tagMode
+   * @param {number|null} options.lastEventId - Last event the client received
+   * @param {Function} options.send - Writes a message to the client
+   * @param {Function} options.heartbeat - Writes a heartbeat to the client
+   * @param {Function} options.end - Ends the client connection
+   * @returns {Promise<Function>} Unsubscribes
+   */
+  async subscribe({ user, filters, lastEventId, send, heartbeat, end }) {
+    const subscriber = {
+      user,
+      filters,
+      send,
+      heartbeat,
+      end,
+      replayed: new Set(),
+      held: lastEventId === null ? null : [],
+    };
+
+    const unsubscribe = () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) this.stop();
+    };
+
+    this.subscribers.add(subscriber);
+    this.start();
+
+    if (lastEventId !== null) {
+      try {
+        const events = () => OutboxEvent.query()
+          .where('tenantId', user.tenantId)
+          .where('aggregateType', 'todo');
+        const backlog = await events()
+          .where('position', '>', lastEventId)
+          .orderBy('position', 'asc')
+          .limit(config.stream.replayLimit + 1);
+
+        let resumedAfter = lastEventId;
+        if (backlog.length > config.stream.replayLimit) {
+          const latest = await events().max('position as position').first();
+          resumedAfter = latest.position;
+          send(this.resetMessage(resumedAfter));
+        } else {
+          backlog.forEach((event) => {
+            subscriber.replayed.add(event.position);
+            if (this.matches(event, subscriber)) send(this.toMessage(event));
+          });
+        }
+
+        const held = subscriber.held;
+        subscriber.held = null;
+        held
+          .filter((event) => event.position > resumedAfter)
+          .forEach((event) => this.deliver(subscriber, event));
+      } catch (error) {
+        unsubscribe();
+        throw error;
+      }
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * Read new outbox events and hand them to the subscribers
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      if (this.cursor === null) {
+        // Start from the latest events, which are not sent again
+        const latest = await OutboxEvent.query()
+          .select('position')
+          .orderBy('position', 'desc')
+          .limit(LOOKBACK_POSITIONS);
+
+        latest.forEach((event) => this.delivered.add(event.position));
+        this.cursor = latest.length > 0 ? latest[0].position : 0;
+        return;
+      }
+
+      const events = await OutboxEvent.query()
+        .where('aggregateType', 'todo')
+        .where('position', '>', this.cursor - LOOKBACK_POSITIONS)
+        .orderBy('position', 'asc')
+        .limit(config.stream.replayLimit);
+
+      for (const event of events) {
+        if (this.delivered.has(event.position)) continue;
+
+        this.delivered.add(event.position);
+        this.cursor = Math.max(this.cursor, event.position);
+        this.subscribers.forEach((subscriber) => this.deliver(subscriber, event));
+      }
+
+      for (const position of this.delivered) {
+        if (position <= this.cursor - LOOKBACK_POSITIONS) this.delivered.delete(position);
+      }
+    } catch (error) {
+      logger.error('Error polling todo events for streams:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start polling and heartbeats while there are subscribers
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), config.stream.pollIntervalMs);
+    this.heartbeatTimer = setInterval(() => {
+      this.subscribers.forEach((subscriber) => subscriber.heartbeat());
+    }, config.stream.heartbeatIntervalMs);
+
+    // Do not keep the process alive just for the streams
+    this.pollTimer.unref();
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stop polling once the last subscriber is gone
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.cursor = null;
+    this.delivered.clear();
+  }
+
+  /**
+   * End every open stream, e.g. on shutdown. Clients reconnect with Last-Event-ID.
+   * @returns {number} Number of closed streams
+   */
+  closeAll() {
+    const count = this.subscribers.size;
+
+    this.subscribers.forEach((subscriber) => subscriber.end());
+    this.subscribers.clear();
+    this.stop();
+
+    if (count > 0) {
+      logger.info('Live streams closed:', { count });
+    }
+
+    return count;
+  }
+}
+
+module.exports = new StreamService();
@@ -0,0 +1,259 @@
+const todoService = require('./todoService');
+const { validateData } = require('../middleware/validation');
+const { ApiError, errorCodeOf } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { createTodoSchema, updateTodoSchema } = require('../validations/todoValidation');
+const logger = require('../config/logger');
+const config = require('../config');
+
+class SyncService {
+  /**
+   * Encode a sync token
+   * @param {Date} updatedAt - Modification time of the last change the client received
+   * @param {string|null} id - ID of that todo, telling apart changes of the same time;
+   * null when the client received everything before updatedAt
+   * @returns {string} Opaque token
+   */
+  encodeToken(updatedAt, id) {
+    return encodeCursor({ updatedAt: updatedAt.toISOString(), id });
+  }
+
+  /**
+   * Decode a sync token
+   * @param {string} token - Token from a previous sync
+   * @returns {Object} { updatedAt, id }
+   * @throws {ApiError} 400 when the token is malformed
+   */
+  decodeToken(token) {
+    let position;
+    try {
+      position = decodeCursor(token);
+    } catch (error) {
+      throw new ApiError(400, 'Invalid sync token', ERROR_CODES.INVALID_SYNC_TOKEN);
+    }
+
+    const updatedAt = new Date(position.updatedAt);
+    if ((position.id !== null && typeof position.id !== 'string') || Number.isNaN(updatedAt.getTime())) {
+      throw new ApiError(400, 'Invalid sync token', ERROR_CODES.INVALID_SYNC_TOKEN);
+    }
+
+    return { updatedAt, id: position.id };
+  }
+
+  /**
+   * Change entry of a todo: the todo itself, or a tombstone once it is deleted
+   * @param {Object} todo
+   * @returns {Object} { type: 'upsert', id, version, todo } or { type: 'delete', id, version, deletedAt }
+   */
+  toChange(todo) {
+    if (todo.deletedAt) {
+      return { type: 'delete', id: todo.id, version: todo.version, deletedAt: todo.deletedAt };
+    }
+
+    return { type: 'upsert', id: todo.id, version: todo.version, todo };
+  }
+
+  /**
+   * Get the todos created, updated or deleted since a sync token, in modification order.
+   * Without a token, every todo outside the trash is returned (a full sync).
+   * Changes younger than the settle time are left for the next sync, so that a
+   * write committed after a slightly earlier one is not skipped.
+   * @param {Object} user - Authenticated user
+   * @param {Object} options
+   * @param {string} [options.since] - Token from the previous sync
+   * @param {number} [options.limit] - Maximum number of changes
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { data, syncToken, hasMore }
+   * @throws {ApiError} 410 when the token predates the trash retention, as purged deletes are lost
+   */
+  async getChanges(user, { since, limit = 100 } = {}, now = new Date()) {
+    const position = since ? this.decodeToken(since) : null;
+
+    const expiresBefore = new Date(now.getTime() - config.trash.retentionDays * 24 * 60 * 60 * 1000);
+    if (position && position.updatedAt < expiresBefore) {
+      throw new ApiError(410, 'Sync token expired, start a full sync without since', ERROR_CODES.SYNC_TOKEN_EXPIRED);
+    }
+
+    const settled = new Date(now.getTime() - config.sync.settleMs);
+
+    const query = todoService.scopedQuery(user)
+      .context({ trashed: position ? 'include' : 'exclude' })
+      .where('todos.updatedAt', '<', settled.toISOString())
+      .modify('withDetails')
+      .orderBy('todos.updatedAt', 'asc')
+      .orderBy('todos.id', 'asc')
+      .limit(limit + 1);
+
+    if (position && position.id === null) {
+      query.where('todos.updatedAt', '>=', position.updatedAt.toISOString());
+    } else if (position) {
+      const updatedAt = position.updatedAt.toISOString();
+      query.where((builder) => builder
+        .where('todos.updatedAt', '>', updatedAt)
+        .orWhere((tie) => tie.where('todos.updatedAt', updatedAt).where('todos.id', '>', position.id)));
+    }
+
+    const todos = await query;
+    const hasMore = todos.length > limit;
+    const changes = todos.slice(0, limit);
+
+    let syncToken;
+    if (hasMore) {
+      const last = changes[changes.length - 1];
+      syncToken = this.encodeToken(new Date(last.updatedAt), last.id);
+    } else if (position && position.updatedAt >= settled) {
+      syncToken = since;
+    } else {
+      // Everything before the settle time was returned; moving up to it keeps idle tokens from expiring
+      syncToken = this.encodeToken(settled, null);
+    }
+
+    logger.debug('Changes fetched for sync:', { count: changes.length, hasMore });
+
+    return {
+      data: changes.map((todo) => this.toChange(todo)),
+      syncToken,
+      hasMore,
+    };
+  }
+
+  /**
+   * Find a todo of the user, including the trash
+   * @param {Object} user - Authenticated user
+   * @param {string} id - Todo ID
+   * @returns {Promise<Object|undefined>}
+   */
+  findTodo(user, id) {
+    return todoService.scopedQuery(user)
+      .context({ trashed: 'include' })
+      .findById(id)
+      .modify('withDetails');
+  }
+
+  /**
+   * Why a client mutation conflicts with the server's copy of a todo.
+   * With a base version, the todo must not have changed since the client read it;
+   * without one, the later write wins, comparing the client timestamp (capped at
+   * the time of the sync, against skewed clocks) with the todo's modification time.
+   * A version written earlier in the same batch is the client's own and never conflicts.
+   * @param {Object} todo - Server's copy
+   * @param {Object} mutation - Client mutation
+   * @param {Date} now - Time of the sync
+   * @param {number} [writtenVersion] - Version of the todo written earlier in the batch
+   * @returns {string|null} 'deleted', 'version_mismatch', 'modified_after' or null
+   */
+  conflictReason(todo, { baseVersion, clientTimestamp }, now, writtenVersion) {
+    if (todo.deletedAt) return 'deleted';
+    if (todo.version === writtenVersion) return null;
+
+    if (baseVersion !== undefined) {
+      return todo.version === baseVersion ? null : 'version_mismatch';
+    }
+
+    const clientTime = Math.min(new Date(clientTimestamp).getTime(), now.getTime());
+    return new Date(todo.updatedAt).getTime() > clientTime ? 'modified_after' : null;
+  }
+
+  /**
+   * Apply a batch of client-side mutations in order, each on its own.
+   * A failing mutation does not stop the batch; its result reports why.
+   * @param {Object} user - Authenticated user
+   * @param {Array<Object>} mutations - Validated mutations
+   * @param {Date} [now] - Time of the sync
+   * @returns {Promise<Object>} { data: results, summary }
+   */
+  async applyMutations(user, mutations, now = new Date()) {
+    const results = [];
+    // Todo ID -> version written by this batch
+    const written = new Map();
+
+    for (const mutation of mutations) {
+      const result = await this.applyMutation(user, mutation, now, written);
+      if (result.status === 'applied' && result.todo) {
+        written.set(result.id, result.todo.version);
+      }
+      results.push(result);
+    }
+
+    const summary = { applied: 0, conflict: 0, rejected: 0 };
+    results.forEach((result) => {
+      summary[result.status] += 1;
+    });
+
+    logger.info('Sync batch applied:', { ...summary, userId: user.id });
+
+    return { data: results, summary };
+  }
+
+  /**
+   * Apply a client-side mutation
+   * @param {Object} user - Authenticated user
+   * @param {Object} mutation - { mutationId, op, id, data, baseVersion, clientTimestamp }
+   * @param {Date} now - Time of the sync
+   * @param {Map} written - Todo ID -> version written earlier in the batch
+   * @returns {Promise<Object>} Result with status 'applied', 'conflict' or 'rejected'
+   */
+  async applyMutation(user, mutation, now, written) {
+    const { mutationId, op, id = null } = mutation;
+    const result = (status, fields = {}) => ({ mutationId, op, id, status, ...fields });
+
+    try {
+      const schema = { create: createTodoSchema, update: updateTodoSchema }[op];
+      const { value: data, errorDetails } = schema ? validateData(schema, mutation.data) : {};
+      if (errorDetails) {
+        return result('rejected', {
+          error: { code: 'VALIDATION_ERROR', message: 'Mutation validation failed', details: errorDetails },
+        });
+      }
+
+      const current = id ? await this.findTodo(user, id) : null;
+
+      if (op === 'create') {
+        // A batch sent again after a lost response finds the todo it created
+        if (current) return result('applied', { todo: current });
+
+        const todo = await todoService.createTodo(data, user, { id: id || undefined });
+        return result('applied', { id: todo.id, todo });
+      }
+
+      if (!current) {
+        throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+      }
+
+      if (op === 'delete' && current.deletedAt) {
+        return result('applied', { todo: current });
+      }
+
+      const reason = this.conflictReason(current, mutation, now, written.get(id));
+      if (reason) {
+        return result('conflict', { reason, todo: current });
+      }
+
+      try {
+        const options = { expectedVersions: [current.version] };
+        if (op === 'delete') {
+          await todoService.deleteTodo(id, user, options);
+          return result('applied');
+        }
+
+        const todo = await todoService.updateTodo(id, data, user, options);
+        return result('applied', { todo });
+      } catch (error) {
+        // Changed by another writer since it was read above
+        if (error instanceof ApiError && error.statusCode === 412) {
+          return result('conflict', { reason: 'version_mismatch', todo: await this.findTodo(user, id) });
+        }
+        throw error;
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+
+      return result('rejected', {
+        error: { code: errorCodeOf(error), message: error.message },
+      });
+    }
+  }
+}
+
+module.exports = new SyncService();
@@ -0,0 +1,288 @@
+const { UniqueViolationError, raw } = require('objection');
+const Tag = require('../models/Tag');
+const TodoTag = require('../models/TodoTag');
+const Todo = require('../models/Todo');
+const auditService = require('./auditService');
+const outboxService = require('./outboxService');
+const { ApiError, toApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+const logger = require('../config/logger');
+const { ROLES } = require('../config/permissions');
+
+class TagService {
+  /**
+   * Trim tag names and drop empty and duplicate ones (case-insensitively), keeping their order
+   * @param {Array<string>|null} names - Tag names
+   * @returns {Array<string>}
+   */
+  normalizeNames(names) {
+    const seen = new Set();
+
+    return (names || [])
+      .map((name) => name.trim())
+      .filter((name) => {
+        const key = name.toLowerCase();
+        if (!name || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Find the tenant's tags by name, creating the missing ones
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {string} tenantId - Tenant of the tags
+   * @param {Array<string>} names - Normalized tag names
+   * @returns {Promise<Array>} Tags in the order of the names
+   */
+  async findOrCreateTags(trx, tenantId, names) {
+    if (names.length === 0) return [];
+
+    const findByName = async () => {
+      const tags = await Tag.query(trx).where('tenantId', tenantId).whereIn('name', names);
+      return new Map(tags.map((tag) => [tag.name.toLowerCase(), tag]));
+    };
+
+    let byName = await findByName();
+
+    for (const name of names) {
+      if (byName.has(name.toLowerCase())) continue;
+
+      try {
+        byName.set(name.toLowerCase(), await Tag.query(trx).insert({ tenantId, name }));
+      } catch (error) {
+        // Created by a concurrent request in the meantime
+        if (!(error instanceof UniqueViolationError)) throw error;
+        byName = await findByName();
+      }
+    }
+
+    return names.map((name) => byName.get(name.toLowerCase()));
+  }
+
+  /**
+   * Replace the tags of a todo
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} todo - Todo with id and tenantId
+   * @param {Array<string>} names - Normalized tag names, in order
+   * @returns {Promise<Array>} Tags of the todo
+   */
+  async setTodoTags(trx, todo, names) {
+    const tags = await this.findOrCreateTags(trx, todo.tenantId, names);
+
+    await TodoTag.query(trx).delete().where('todoId', todo.id);
+
+    // Inserted one by one, as batch inserts are not supported on MySQL
+    for (const [position, tag] of tags.entries()) {
+      await TodoTag.query(trx).insert({ todoId: todo.id, tagId: tag.id, position });
+    }
+
+    return tags;
+  }
+
+  /**
+   * List the tenant's tags with the number of todos using each.
+   * Admins count every todo of the tenant; other users their own.
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Tags with usageCount, by name
+   */
+  async listTags(user) {
+    try {
+      logger.debug('Fetching tags:', { tenantId: user.tenantId });
+
+      const todos = user.role === ROLES.ADMIN
+        ? Todo.forTenant(user.tenantId)
+        : Todo.scoped({ tenantId: user.tenantId, ownerId: user.id });
+
+      const usage = todos
+        .join('todo_tags', 'todo_tags.todoId', 'todos.id')
+        .select('todo_tags.tagId')
+        .count('* as usageCount')
+        .groupBy('todo_tags.tagId');
+
+      const tags = await Tag.query()
+        .select('tags.*', raw('coalesce(??, 0)', ['usage.usageCount']).as('usageCount'))
+        .leftJoin(usage.as('usage'), 'usage.tagId', 'tags.id')
+        .where('tags.tenantId', user.tenantId)
+        .orderBy('tags.name', 'asc');
+
+      return tags.map((tag) => ({
+        ...tag.toJSON(),
+        usageCount: parseInt(tag.usageCount),
+      }));
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch tags');
+    }
+  }
+
+  /**
+   * Find a tag of the user's tenant
+   * @param {string} id - Tag ID
+   * @param {Object} user - Authenticated user
+   * @param {Transaction} [trx] - Optional transaction
+   * @returns {Promise<Object>} Tag
+   * @throws {ApiError} 404 when the tag does not exist
+   */
+  async findTag(id, user, trx) {
+    const tag = await Tag.query(trx)
+      .where('tenantId', user.tenantId)
+      .findById(id)
+      .forUpdate();
+
+    if (!tag) {
+      throw new ApiError(404, 'Tag not found', ERROR_CODES.TAG_NOT_FOUND);
+    }
+
+    return tag;
+  }
+
+  /**
+   * Change the tags of every todo using the given tags, keeping their
+   * search text up to date and recording the change in the audit log
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated admin
+   * @param {string} action - Audit action
+   * @param {Array<string>} tagIds - Tags being changed
+   * @param {Function} mutate - Changes the tags and links
+   * @returns {Promise<number>} Number of affected todos
+   */
+  async retagTodos(trx, user, action, tagIds, mutate) {
+    const todos = () => Todo.forTenant(user.tenantId, trx).context({ trashed: 'include' });
+
+    const before = await todos()
+      .whereIn('id', TodoTag.query(trx).select('todoId').whereIn('tagId', tagIds))
+      .modify('withDetails')
+      .forUpdate();
+
+    await mutate();
+
+    if (before.length === 0) return 0;
+
+    const ids = before.map((todo) => todo.id);
+    const retagged = await todos().whereIn('id', ids).modify('withDetails');
+
+    // Tags are part of the todo, so this also bumps its version
+    for (const todo of retagged) {
+      await todos().patch({ tagsText: Todo.tagsToText(todo.tagNames) }).where('id', todo.id);
+    }
+
+    const after = await todos().whereIn('id', ids).modify('withDetails');
+
+    const changes = auditService.pairChanges(before, after);
+    await auditService.record(trx, {
+      tenantId: user.tenantId,
+      entityType: 'todo',
+      action,
+      user,
+      changes,
+    });
+    await outboxService.recordTodoChanges(trx, user.tenantId, changes);
+
+    return before.length;
+  }
+
+  /**
+   * Rename a tag on every todo using it
+   * @param {string} id - Tag ID
+   * @param {string} name - New name
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Renamed tag
+   */
+  async renameTag(id, name, user) {
+    try {
+      logger.info('Renaming tag:', { id, name });
+
+      const tag = await Tag.transaction(async (trx) => {
+        await this.findTag(id, user, trx);
+
+        const existing = await Tag.query(trx)
+          .where('tenantId', user.tenantId)
+          .where('name', name)
+          .whereNot('id', id)
+          .first();
+
+        if (existing) {
+          throw new ApiError(409, `Tag '${existing.name}' already exists; merge the tags instead`, ERROR_CODES.TAG_ALREADY_EXISTS);
+        }
+
+        await this.retagTodos(trx, user, 'tag_rename', [id], () => Tag.query(trx).patch({ name }).where('id', id));
+
+        return Tag.query(trx).findById(id);
+      });
+
+      logger.info('Tag renamed successfully:', { id });
+      return tag;
+    } catch (error) {
+      throw toApiError(error, 'Failed to rename tag');
+    }
+  }
+
+  /**
+   * Merge a tag into another one: todos using the source get the target, and the source is deleted
+   * @param {string} id - Source tag ID
+   * @param {string} targetId - Target tag ID
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Target tag and the number of retagged todos
+   */
+  async mergeTag(id, targetId, user) {
+    try {
+      logger.info('Merging tag:', { id, targetId });
+
+      if (id === targetId) {
+        throw new ApiError(400, 'A tag cannot be merged into itself', ERROR_CODES.TAG_SELF_MERGE);
+      }
+
+      const result = await Tag.transaction(async (trx) => {
+        await this.findTag(id, user, trx);
+        const target = await this.findTag(targetId, user, trx);
+
+        const retaggedCount = await this.retagTodos(trx, user, 'tag_merge', [id], async () => {
+          const targetLinks = await TodoTag.query(trx).select('todoId').where('tagId', targetId);
+
+          // Todos that already have the target only lose the source
+          await TodoTag.query(trx)
+            .delete()
+            .where('tagId', id)
+            .whereIn('todoId', targetLinks.map((link) => link.todoId));
+          await TodoTag.query(trx).patch({ tagId: targetId }).where('tagId', id);
+          await Tag.query(trx).deleteById(id);
+        });
+
+        return { tag: target, retaggedCount };
+      });
+
+      logger.info('Tag merged successfully:', { id, targetId, retaggedCount: result.retaggedCount });
+      return result;
+    } catch (error) {
+      throw toApiError(error, 'Failed to merge tag');
+    }
+  }
+
+  /**
+   * Delete a tag and remove it from every todo
+   * @param {string} id - Tag ID
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<number>} Number of retagged todos
+   */
+  async deleteTag(id, user) {
+    try {
+      logger.info('Deleting tag:', { id });
+
+      const retaggedCount = await Tag.transaction(async (trx) => {
+        await this.findTag(id, user, trx);
+
+        return this.retagTodos(trx, user, 'tag_delete', [id], async () => {
+          await TodoTag.query(trx).delete().where('tagId', id);
+          await Tag.query(trx).deleteById(id);
+        });
+      });
+
+      logger.info('Tag deleted successfully:', { id, retaggedCount });
+      return retaggedCount;
+    } catch (error) {
+      throw toApiError(error, 'Failed to delete tag');
+    }
+  }
+}
+
+module.exports = new TagService();
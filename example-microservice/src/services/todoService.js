@@ -1,39 +1,352 @@
 const Todo = require('../models/Todo');
-const { ApiError } = require('../middleware/errorHandler');
+const auditService = require('./auditService');
+const tagService = require('./tagService');
+const dependencyService = require('./dependencyService');
+const recurrenceService = require('./recurrenceService');
+const outboxService = require('./outboxService');
+const { ApiError, toApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
 const logger = require('../config/logger');
 const config = require('../config');
+const { ROLES } = require('../config/permissions');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const {
+  parseSearchQuery,
+  toBooleanQuery,
+  buildHighlightPattern,
+  highlight,
+} = require('../utils/search');
+const { topologicalOrder } = require('../utils/dependencyGraph');
 
 class TodoService {
+  /**
+   * Tenant and owner scope of the user
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Scope for Todo.scoped()
+   */
+  scopeOf(user) {
+    return { tenantId: user.tenantId, ownerId: user.id };
+  }
+
+  /**
+   * Base query scoped to the user's tenant and the todos they own
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {boolean} [options.acrossOwners] - Lift the owner scope for admins
+   * @returns {QueryBuilder}
+   */
+  scopedQuery(user, { acrossOwners = false, trx } = {}) {
+    if (acrossOwners && user.role === ROLES.ADMIN) {
+      return Todo.forTenant(user.tenantId, trx);
+    }
+
+    return Todo.scoped(this.scopeOf(user), trx);
+  }
+
+  /**
+   * Record todo mutations in the audit log and their events in the outbox, and bump
+   * the version of the todos they change through dependencies
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {string} action - Audit action
+   * @param {Array<Object>} changes - Pairs of { id, before, after } todos
+   * @returns {Promise<void>}
+   */
+  async recordChanges(trx, user, action, changes) {
+    await auditService.record(trx, {
+      tenantId: user.tenantId,
+      entityType: 'todo',
+      action,
+      user,
+      changes,
+    });
+    await outboxService.recordTodoChanges(trx, user.tenantId, changes);
+    await this.touchLinked(trx, user, changes);
+  }
+
+  /**
+   * Reject a write when the todo no longer has one of the versions the client expects
+   * @param {Object} todo - Current todo
+   * @param {Array<number>} [expectedVersions] - Versions from If-Match; undefined skips the check
+   * @throws {ApiError} 412 when the version does not match
+   */
+  assertVersion(todo, expectedVersions) {
+    if (expectedVersions && !expectedVersions.includes(todo.version)) {
+      throw new ApiError(412, 'Todo has been modified since it was fetched', ERROR_CODES.TODO_VERSION_CONFLICT);
+    }
+  }
+
+  /**
+   * Decode a todo list cursor and check it belongs to the requested sort order
+   * @param {string} cursor - Cursor from a previous page
+   * @param {Object} sorting - Requested sortBy and sortOrder
+   * @returns {Object} Keyset position for the Todo `after` modifier
+   * @throws {ApiError} 400 when the cursor is invalid or was issued for another sort order
+   */
+  decodeListCursor(cursor, { sortBy, sortOrder }) {
+    const position = decodeCursor(cursor);
+
+    if (typeof position.id !== 'string' || !('value' in position)) {
+      throw new ApiError(400, 'Invalid pagination cursor', ERROR_CODES.INVALID_CURSOR);
+    }
+
+    if (position.sortBy !== sortBy || position.sortOrder !== sortOrder) {
+      throw new ApiError(400, 'Pagination cursor does not match the requested sort order', ERROR_CODES.INVALID_CURSOR);
+    }
+
+    return position;
+  }
+
+  /**
+   * Highlighted match snippets of a search result
+   * @param {Object} todo - Matching todo
+   * @param {RegExp} pattern - Pattern from buildHighlightPattern
+   * @returns {Object} Snippets of title and description, and the matching tags
+   */
+  highlightTodo(todo, pattern) {
+    return {
+      title: highlight(todo.title, pattern),
+      description: highlight(todo.description, pattern),
+      tags: todo.tagNames.map((tag) => highlight(tag, pattern)).filter(Boolean),
+    };
+  }
+
+  /**
+   * Split update data into the todo patch, the new tags and the new blockers
+   * @param {Object} updateData - Update data
+   * @returns {Object} { patch, tagNames, blockerIds } where tagNames and blockerIds are
+   *   undefined when tags or blockers are not changed
+   */
+  toPatch(updateData) {
+    const { tags, blockedBy, ...patch } = updateData;
+    const blockerIds = blockedBy === undefined ? undefined : blockedBy || [];
+    if (tags === undefined) return { patch, blockerIds };
+
+    const tagNames = tagService.normalizeNames(tags);
+    return { patch: { ...patch, tagsText: Todo.tagsToText(tags === null ? null : tagNames) }, tagNames, blockerIds };
+  }
+
+  /**
+   * Replace the todos blocking a todo.
+   * Blockers must be visible to the user, and may not depend on the todo themselves.
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {string} todoId - Blocked todo
+   * @param {Array<string>} blockerIds - Blocking todos
+   * @returns {Promise<void>}
+   */
+  async setBlockers(trx, user, todoId, blockerIds) {
+    const ids = [...new Set(blockerIds)];
+
+    if (ids.length > 0) {
+      await dependencyService.assertAcyclic(trx, todoId, ids);
+
+      const blockers = await this.scopedQuery(user, { acrossOwners: true, trx })
+        .select('todos.id')
+        .whereIn('todos.id', ids)
+        .forUpdate();
+
+      if (blockers.length !== ids.length) {
+        throw new ApiError(400, 'Blocking todo not found', ERROR_CODES.BLOCKER_NOT_FOUND);
+      }
+    }
+
+    // Added and removed blockers gain or lose the todo in their `blocks`
+    const changedBlockerIds = await dependencyService.setBlockers(trx, todoId, ids);
+    await this.touch(trx, user, changedBlockerIds);
+  }
+
+  /**
+   * Refuse to complete todos that still have pending blockers
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Array<string>} ids - Todos about to be completed
+   * @param {boolean} force - Complete them anyway
+   * @returns {Promise<void>}
+   * @throws {ApiError} 409 when a todo is blocked
+   */
+  async assertUnblocked(trx, user, ids, force) {
+    if (force || ids.length === 0) return;
+
+    const blockers = await dependencyService.findOpenBlockers(trx, user.tenantId, ids);
+    if (blockers.length > 0) {
+      throw new ApiError(
+        409,
+        `Todo is blocked by ${blockers.length} pending todo(s); pass force=true to complete it anyway`,
+        ERROR_CODES.TODO_BLOCKED
+      );
+    }
+  }
+
+  /**
+   * Bump the version and update time of todos whose serialized form changed through
+   * another todo, so that their ETags and sync tokens follow
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Array<string>} ids - Todo IDs
+   * @returns {Promise<void>}
+   */
+  async touch(trx, user, ids) {
+    if (ids.length === 0) return;
+
+    await this.scopedQuery(user, { acrossOwners: true, trx })
+      .patch({})
+      .whereIn('todos.id', ids);
+  }
+
+  /**
+   * Bump the version of parent todos whose completion changed through their subtasks
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Array<Object>} todos - Changed todos; top-level ones are ignored
+   * @returns {Promise<void>}
+   */
+  async touchParents(trx, user, todos) {
+    const parentIds = [...new Set(todos.map((todo) => todo.parentId).filter(Boolean))];
+    await this.touch(trx, user, parentIds);
+  }
+
+  /**
+   * Bump the version of the todos linked by dependencies to changed todos. Completing
+   * or reopening a todo changes `isBlocked` of the todos it blocks; trashing or
+   * restoring it also changes `blockedBy` and `blocks` on both sides.
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Array<Object>} changes - Pairs of { id, before, after } todos
+   * @returns {Promise<void>}
+   */
+  async touchLinked(trx, user, changes) {
+    const changedIds = (field) => changes
+      .filter(({ before, after }) => before && after && Boolean(before[field]) !== Boolean(after[field]))
+      .map(({ id }) => id);
+
+    const trashedIds = changedIds('deletedAt');
+    const linkedIds = await dependencyService.findLinkedIds(trx, {
+      dependentsOf: [...changedIds('completed'), ...trashedIds],
+      blockersOf: trashedIds,
+    });
+
+    // The changed todos were written already
+    const ids = new Set(changes.map(({ id }) => id));
+    await this.touch(trx, user, linkedIds.filter((id) => !ids.has(id)));
+  }
+
+  /**
+   * Move the subtasks of deleted todos to the trash along with them
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Array<string>} parentIds - Deleted todos
+   * @param {string} deletedAt - Deletion time of the parents
+   * @returns {Promise<void>}
+   */
+  async trashSubtasks(trx, user, parentIds, deletedAt) {
+    const scoped = () => this.scopedQuery(user, { acrossOwners: true, trx });
+
+    const before = await scoped().whereIn('todos.parentId', parentIds).modify('withDetails').forUpdate();
+    if (before.length === 0) return;
+
+    const ids = before.map((todo) => todo.id);
+    await scoped().patch({ deletedAt }).whereIn('todos.id', ids);
+    const after = await scoped().context({ trashed: 'include' }).whereIn('todos.id', ids).modify('withDetails');
+
+    await this.recordChanges(trx, user, 'delete', auditService.pairChanges(before, after));
+  }
+
+  /**
+   * Restore the subtasks that were moved to the trash together with their parent
+   * @param {Transaction} trx - Transaction of the mutation
+   * @param {Object} user - Authenticated user
+   * @param {Object} parent - Parent todo, as it was in the trash
+   * @returns {Promise<void>}
+   */
+  async restoreSubtasks(trx, user, parent) {
+    const scoped = () => this.scopedQuery(user, { acrossOwners: true, trx });
+
+    const before = await scoped()
+      .context({ trashed: 'only' })
+      .modify('subtasksOf', parent.id)
+      .where('todos.deletedAt', parent.deletedAt)
+      .modify('withDetails')
+      .forUpdate();
+    if (before.length === 0) return;
+
+    const ids = before.map((todo) => todo.id);
+    await scoped().context({ trashed: 'include' }).patch({ deletedAt: null }).whereIn('todos.id', ids);
+    const after = await scoped().whereIn('todos.id', ids).modify('withDetails');
+
+    await this.recordChanges(trx, user, 'restore', auditService.pairChanges(before, after));
+  }
+
   /**
    * Create a new todo
    * @param {Object} todoData - Todo data
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {string} [options.parentId] - Parent todo, to create a subtask
+   * @param {string} [options.id] - ID chosen by an offline client
    * @returns {Promise<Object>} Created todo
    */
-  async createTodo(todoData) {
+  async createTodo(todoData, user, { parentId, id } = {}) {
     try {
-      logger.info('Creating new todo:', { title: todoData.title });
+      logger.info('Creating new todo:', {
+        title: todoData.title,
+        tenantId: user.tenantId,
+        ownerId: user.id,
+        parentId,
+      });
 
-      // Process tags if provided
-      if (todoData.tags && Array.isArray(todoData.tags)) {
-        todoData.tags = JSON.stringify(todoData.tags);
-      }
+      const { tags, blockedBy, recurrenceRule, ...fields } = todoData;
+      const tagNames = tagService.normalizeNames(tags);
+
+      const todo = await Todo.transaction(async (trx) => {
+        if (parentId) {
+          const parent = await this.scopedQuery(user, { trx }).findById(parentId).forUpdate();
+          if (!parent) {
+            throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+          }
+          if (parent.parentId) {
+            throw new ApiError(400, 'Subtasks cannot have subtasks', ERROR_CODES.NESTED_SUBTASK);
+          }
+        }
+
+        const inserted = await Todo.forTenant(user.tenantId, trx).insert({
+          ...fields,
+          ...(id ? { id } : {}),
+          ...recurrenceService.seriesFields(recurrenceRule, fields.dueDate),
+          ownerId: user.id,
+          parentId: parentId || null,
+          tagsText: Todo.tagsToText(tags == null ? null : tagNames),
+        });
+
+        await tagService.setTodoTags(trx, inserted, tagNames);
+        await this.setBlockers(trx, user, inserted.id, blockedBy || []);
+
+        const created = await this.scopedQuery(user, { trx })
+          .findById(inserted.id)
+          .modify('withDetails');
+
+        await this.recordChanges(trx, user, 'create', [
+          { id: created.id, before: null, after: created },
+        ]);
+        await this.touchParents(trx, user, [created]);
+
+        return created;
+      });
 
-      const todo = await Todo.query().insert(todoData);
-      
       logger.info('Todo created successfully:', { id: todo.id });
       return todo;
     } catch (error) {
-      logger.error('Error creating todo:', error);
-      throw new ApiError(500, 'Failed to create todo');
+      throw toApiError(error, 'Failed to create todo');
     }
   }
 
   /**
    * Get all todos with filtering, sorting, and pagination
    * @param {Object} options - Query options
+   * @param {Object} user - Authenticated user
    * @returns {Promise<Object>} Paginated todos with metadata
    */
-  async getAllTodos(options = {}) {
+  async getAllTodos(options = {}, user) {
     try {
       const {
         page = 1,
@@ -44,68 +357,115 @@ class TodoService {
         sortOrder = 'desc',
         search,
         tag,
+        tagMode = 'any',
+        cursor,
       } = options;
 
+      // Counting is the slow part on large tables, so cursor pages skip it unless asked
+      const includeTotal = options.includeTotal === undefined ? !cursor : options.includeTotal;
+
       logger.debug('Fetching todos with options:', options);
 
-      let query = Todo.query();
+      // Subtasks are listed under their parent
+      let query = this.scopedQuery(user).modify('topLevel');
 
       // Apply filters
       if (status === 'completed') {
         query = query.where('completed', true);
       } else if (status === 'pending') {
         query = query.where('completed', false);
+      } else if (status === 'blocked') {
+        query = query.modify('blocked');
       }
 
       if (priority) {
         query = query.where('priority', priority);
       }
 
+      let booleanQuery;
+      let highlightPattern;
       if (search) {
-        query = query.where((builder) => {
-          builder
-            .where('title', 'like', `%${search}%`)
-            .orWhere('description', 'like', `%${search}%`);
-        });
+        const terms = parseSearchQuery(search);
+        if (terms.length === 0) {
+          throw new ApiError(400, 'Search must contain at least one word', ERROR_CODES.INVALID_SEARCH);
+        }
+
+        booleanQuery = toBooleanQuery(terms);
+        highlightPattern = buildHighlightPattern(terms);
+        query = query.modify('matching', booleanQuery);
       }
 
       if (tag) {
-        query = query.where('tags', 'like', `%"${tag}"%`);
+        query = query.modify('taggedWith', tagService.normalizeNames(tag.split(',')), tagMode);
       }
 
       // Get total count before pagination
-      const totalQuery = query.clone();
-      const totalResult = await totalQuery.count('* as count').first();
-      const total = parseInt(totalResult.count);
+      let total;
+      if (includeTotal) {
+        const totalResult = await query.clone().count('* as count').first();
+        total = parseInt(totalResult.count);
+      }
+
+      if (booleanQuery) {
+        query = query.modify('withRelevance', booleanQuery);
+      }
 
       // Apply sorting
-      query = query.orderBy(sortBy, sortOrder);
+      query = query.modify('sorted', sortBy, sortOrder).modify('withDetails');
 
-      // Apply pagination
-      const offset = (page - 1) * limit;
-      query = query.limit(limit).offset(offset);
+      // Apply pagination: continue after the cursor, or skip to the page
+      if (cursor) {
+        query = query.modify('after', this.decodeListCursor(cursor, { sortBy, sortOrder }));
+      } else {
+        query = query.offset((page - 1) * limit);
+      }
 
-      const todos = await query;
+      // Fetch one extra row to know whether another page follows
+      const rows = await query.limit(limit + 1);
+      const todos = rows.slice(0, limit);
+      const hasNextPage = rows.length > limit;
 
-      const totalPages = Math.ceil(total / limit);
-      const hasNextPage = page < totalPages;
-      const hasPrevPage = page > 1;
+      if (highlightPattern) {
+        todos.forEach((todo) => {
+          todo.highlights = this.highlightTodo(todo, highlightPattern);
+        });
+      }
 
-      const result = {
-        data: todos,
-        pagination: {
+      // Relevance scores shift as rows change, so they cannot anchor a cursor
+      const lastTodo = todos[todos.length - 1];
+      const nextCursor = hasNextPage && sortBy !== 'relevance'
+        ? encodeCursor({
+          sortBy,
+          sortOrder,
+          value: Todo.sortValue(sortBy, lastTodo[sortBy]),
+          id: lastTodo.id,
+        })
+        : null;
+
+      const pagination = cursor
+        ? { itemsPerPage: limit, hasNextPage, nextCursor }
+        : {
           currentPage: page,
-          totalPages,
-          totalItems: total,
           itemsPerPage: limit,
           hasNextPage,
-          hasPrevPage,
-        },
+          hasPrevPage: page > 1,
+          nextCursor,
+        };
+
+      if (includeTotal) {
+        pagination.totalItems = total;
+        if (!cursor) pagination.totalPages = Math.ceil(total / limit);
+      }
+
+      const result = {
+        data: todos,
+        pagination,
         filters: {
           status,
           priority,
           search,
           tag,
+          tagMode,
         },
         sorting: {
           sortBy,
@@ -116,39 +476,71 @@ class TodoService {
       logger.debug('Todos fetched successfully:', {
         count: todos.length,
         total,
-        page,
+        page: cursor ? undefined : page,
       });
 
       return result;
     } catch (error) {
-      logger.error('Error fetching todos:', error);
-      throw new ApiError(500, 'Failed to fetch todos');
+      throw toApiError(error, 'Failed to fetch todos');
     }
   }
 
   /**
    * Get todo by ID
    * @param {string} id - Todo ID
+   * @param {Object} user - Authenticated user
    * @returns {Promise<Object>} Todo object
    */
-  async getTodoById(id) {
+  async getTodoById(id, user) {
     try {
       logger.debug('Fetching todo by ID:', { id });
 
-      const todo = await Todo.query().findById(id);
+      const todo = await this.scopedQuery(user).findById(id).modify('withDetails');
 
       if (!todo) {
-        throw new ApiError(404, 'Todo not found');
+        throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
       }
 
       logger.debug('Todo fetched successfully:', { id });
       return todo;
     } catch (error) {
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      logger.error('Error fetching todo by ID:', error);
-      throw new ApiError(500, 'Failed to fetch todo');
+      throw toApiError(error, 'Failed to fetch todo');
+    }
+  }
+
+  /**
+   * Get several todos by ID in one query; IDs without a todo are left out
+   * @param {Array<string>} ids - Todo IDs
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Todos, in no particular order
+   */
+  async getTodosByIds(ids, user) {
+    try {
+      logger.debug('Fetching todos by IDs:', { count: ids.length });
+
+      return await this.scopedQuery(user).whereIn('todos.id', ids).modify('withDetails');
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch todos');
+    }
+  }
+
+  /**
+   * Get the subtasks of several todos in one query, oldest first
+   * @param {Array<string>} parentIds - Parent todo IDs
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Subtasks of all the parents
+   */
+  async getSubtasksOfParents(parentIds, user) {
+    try {
+      logger.debug('Fetching subtasks of todos:', { count: parentIds.length });
+
+      return await this.scopedQuery(user)
+        .whereIn('todos.parentId', parentIds)
+        .modify('withDetails')
+        .orderBy('todos.createdAt', 'asc')
+        .orderBy('todos.id', 'asc');
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch subtasks');
     }
   }
 
@@ -156,79 +548,170 @@ class TodoService {
    * Update todo by ID
    * @param {string} id - Todo ID
    * @param {Object} updateData - Update data
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {Array<number>} [options.expectedVersions] - Versions from If-Match
+   * @param {string} [options.scope] - For recurring todos: 'this' occurrence or all 'future' ones
+   * @param {boolean} [options.force] - Complete the todo even if it is blocked
    * @returns {Promise<Object>} Updated todo
    */
-  async updateTodo(id, updateData) {
+  async updateTodo(id, updateData, user, { expectedVersions, scope = 'this', force = false } = {}) {
     try {
-      logger.info('Updating todo:', { id, updateData });
+      logger.info('Updating todo:', { id, updateData, scope, force });
 
-      // Check if todo exists
-      const existingTodo = await Todo.query().findById(id);
-      if (!existingTodo) {
-        throw new ApiError(404, 'Todo not found');
-      }
+      const { patch, tagNames, blockerIds } = this.toPatch(updateData);
 
-      // Process tags if provided
-      if (updateData.tags && Array.isArray(updateData.tags)) {
-        updateData.tags = JSON.stringify(updateData.tags);
-      }
+      const updatedTodo = await Todo.transaction(async (trx) => {
+        // Check if todo exists
+        const existingTodo = await this.scopedQuery(user, { trx })
+          .findById(id)
+          .modify('withDetails')
+          .forUpdate();
+        if (!existingTodo) {
+          throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+        }
+
+        this.assertVersion(existingTodo, expectedVersions);
+
+        if (tagNames) {
+          await tagService.setTodoTags(trx, existingTodo, tagNames);
+        }
+        if (blockerIds) {
+          await this.setBlockers(trx, user, id, blockerIds);
+        }
+        if (patch.completed && !existingTodo.completed) {
+          await this.assertUnblocked(trx, user, [id], force);
+        }
+
+        const occurrencePatch = recurrenceService.planUpdate(existingTodo, patch, scope);
+        const updated = await this.scopedQuery(user, { trx })
+          .patchAndFetchById(id, occurrencePatch)
+          .modify('withDetails');
+
+        await this.recordChanges(trx, user, 'update', [
+          { id, before: existingTodo, after: updated },
+        ]);
+        if (scope === 'future' && updated.seriesId) {
+          await recurrenceService.updateFutureOccurrences(trx, user, updated, occurrencePatch, tagNames);
+        }
 
-      const updatedTodo = await Todo.query()
-        .patchAndFetchById(id, updateData);
+        const next = updated.completed && !existingTodo.completed
+          ? await recurrenceService.createNextOccurrence(trx, user, updated)
+          : null;
+        if (patch.completed !== undefined) {
+          await this.touchParents(trx, user, [updated, next].filter(Boolean));
+        }
+
+        return updated;
+      });
 
       logger.info('Todo updated successfully:', { id });
       return updatedTodo;
     } catch (error) {
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      logger.error('Error updating todo:', error);
-      throw new ApiError(500, 'Failed to update todo');
+      throw toApiError(error, 'Failed to update todo');
     }
   }
 
   /**
-   * Delete todo by ID
+   * Delete todo by ID (moves it to the trash)
    * @param {string} id - Todo ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {Array<number>} [options.expectedVersions] - Versions from If-Match
    * @returns {Promise<boolean>} Success status
    */
-  async deleteTodo(id) {
+  async deleteTodo(id, user, { expectedVersions } = {}) {
     try {
       logger.info('Deleting todo:', { id });
 
-      const deletedCount = await Todo.query().deleteById(id);
+      await Todo.transaction(async (trx) => {
+        const existingTodo = await this.scopedQuery(user, { trx })
+          .findById(id)
+          .modify('withDetails')
+          .forUpdate();
+        if (!existingTodo) {
+          throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+        }
 
-      if (deletedCount === 0) {
-        throw new ApiError(404, 'Todo not found');
-      }
+        this.assertVersion(existingTodo, expectedVersions);
+
+        const deletedAt = new Date().toISOString();
+        const deletedTodo = await this.scopedQuery(user, { trx })
+          .context({ trashed: 'include' })
+          .patchAndFetchById(id, { deletedAt })
+          .modify('withDetails');
+
+        await this.recordChanges(trx, user, 'delete', [
+          { id, before: existingTodo, after: deletedTodo },
+        ]);
+        await this.trashSubtasks(trx, user, [id], deletedAt);
+        await this.touchParents(trx, user, [existingTodo]);
+      });
 
       logger.info('Todo deleted successfully:', { id });
       return true;
     } catch (error) {
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      logger.error('Error deleting todo:', error);
-      throw new ApiError(500, 'Failed to delete todo');
+      throw toApiError(error, 'Failed to delete todo');
     }
   }
 
   /**
    * Toggle todo completion status
    * @param {string} id - Todo ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {Array<number>} [options.expectedVersions] - Versions from If-Match
+   * @param {boolean} [options.cascade] - Give the subtasks the same status
+   * @param {boolean} [options.force] - Complete the todo even if it is blocked
    * @returns {Promise<Object>} Updated todo
    */
-  async toggleTodoStatus(id) {
+  async toggleTodoStatus(id, user, { expectedVersions, cascade = false, force = false } = {}) {
     try {
-      logger.info('Toggling todo status:', { id });
+      logger.info('Toggling todo status:', { id, cascade, force });
 
-      const todo = await Todo.query().findById(id);
-      if (!todo) {
-        throw new ApiError(404, 'Todo not found');
-      }
+      const updatedTodo = await Todo.transaction(async (trx) => {
+        const todo = await this.scopedQuery(user, { trx })
+          .findById(id)
+          .modify('withDetails')
+          .forUpdate();
+        if (!todo) {
+          throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+        }
+
+        this.assertVersion(todo, expectedVersions);
+
+        const completed = !todo.completed;
+        const subtasks = () => this.scopedQuery(user, { trx }).modify('subtasksOf', id);
+
+        const before = cascade
+          ? await subtasks().where('completed', !completed).modify('withDetails').forUpdate()
+          : [];
+        const ids = before.map((subtask) => subtask.id);
+
+        if (completed) {
+          await this.assertUnblocked(trx, user, [id, ...ids], force);
+        }
 
-      const updatedTodo = await Todo.query()
-        .patchAndFetchById(id, { completed: !todo.completed });
+        if (before.length > 0) {
+          await subtasks().patch({ completed }).whereIn('todos.id', ids);
+          const after = await subtasks().whereIn('todos.id', ids).modify('withDetails');
+
+          await this.recordChanges(trx, user, 'toggle', auditService.pairChanges(before, after));
+        }
+
+        const toggled = await this.scopedQuery(user, { trx })
+          .patchAndFetchById(id, { completed })
+          .modify('withDetails');
+
+        await this.recordChanges(trx, user, 'toggle', [
+          { id, before: todo, after: toggled },
+        ]);
+
+        const next = completed ? await recurrenceService.createNextOccurrence(trx, user, toggled) : null;
+        await this.touchParents(trx, user, [toggled, next].filter(Boolean));
+
+        return toggled;
+      });
 
       logger.info('Todo status toggled successfully:', {
         id,
@@ -237,42 +720,153 @@ class TodoService {
 
       return updatedTodo;
     } catch (error) {
-      if (error instanceof ApiError) {
-        throw error;
+      throw toApiError(error, 'Failed to toggle todo status');
+    }
+  }
+
+  /**
+   * Get the subtasks of a todo, oldest first
+   * @param {string} parentId - Parent todo ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Subtasks
+   */
+  async getSubtasks(parentId, user) {
+    try {
+      logger.debug('Fetching subtasks:', { parentId });
+
+      const parent = await this.scopedQuery(user).findById(parentId);
+      if (!parent) {
+        throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+      }
+
+      return await this.scopedQuery(user)
+        .modify('subtasksOf', parentId)
+        .modify('withDetails')
+        .orderBy('todos.createdAt', 'asc')
+        .orderBy('todos.id', 'asc');
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch subtasks');
+    }
+  }
+
+  /**
+   * Get a subtask of a todo
+   * @param {string} parentId - Parent todo ID
+   * @param {string} subtaskId - Subtask ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Subtask
+   */
+  async getSubtask(parentId, subtaskId, user) {
+    try {
+      logger.debug('Fetching subtask:', { parentId, subtaskId });
+
+      const subtask = await this.scopedQuery(user)
+        .modify('subtasksOf', parentId)
+        .findById(subtaskId)
+        .modify('withDetails');
+
+      if (!subtask) {
+        throw new ApiError(404, 'Subtask not found', ERROR_CODES.SUBTASK_NOT_FOUND);
       }
-      logger.error('Error toggling todo status:', error);
-      throw new ApiError(500, 'Failed to toggle todo status');
+
+      return subtask;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch subtask');
+    }
+  }
+
+  /**
+   * Update a subtask of a todo
+   * @param {string} parentId - Parent todo ID
+   * @param {string} subtaskId - Subtask ID
+   * @param {Object} updateData - Update data
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - Options of updateTodo
+   * @returns {Promise<Object>} Updated subtask
+   */
+  async updateSubtask(parentId, subtaskId, updateData, user, options) {
+    // A todo never changes parent, so the check holds for the update
+    await this.getSubtask(parentId, subtaskId, user);
+    return this.updateTodo(subtaskId, updateData, user, options);
+  }
+
+  /**
+   * Delete a subtask of a todo (moves it to the trash)
+   * @param {string} parentId - Parent todo ID
+   * @param {string} subtaskId - Subtask ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - Options of deleteTodo
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteSubtask(parentId, subtaskId, user, options) {
+    await this.getSubtask(parentId, subtaskId, user);
+    return this.deleteTodo(subtaskId, user, options);
+  }
+
+  /**
+   * Order todos so that each one comes after the todos blocking it, directly or
+   * through todos outside the set. Unrelated todos keep the order they were given in.
+   * @param {Array<string>} ids - Todo IDs
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Todos in execution order
+   */
+  async getExecutionOrder(ids, user) {
+    try {
+      logger.debug('Fetching execution order:', { ids });
+
+      const uniqueIds = [...new Set(ids)];
+      const todos = await this.scopedQuery(user, { acrossOwners: true })
+        .whereIn('todos.id', uniqueIds)
+        .modify('withDetails');
+
+      if (todos.length !== uniqueIds.length) {
+        throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+      }
+
+      const { nodes, edges } = await dependencyService.collectDependencies(uniqueIds);
+      const order = topologicalOrder(nodes, edges);
+
+      // Cycles are rejected when dependencies are set, so this only guards against bad data
+      if (!order) {
+        throw new ApiError(409, 'Dependencies form a cycle', ERROR_CODES.EXECUTION_ORDER_CYCLE);
+      }
+
+      const byId = new Map(todos.map((todo) => [todo.id, todo]));
+      return order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch execution order');
     }
   }
 
   /**
    * Get todos statistics
+   * @param {Object} user - Authenticated user
    * @returns {Promise<Object>} Statistics object
    */
-  async getTodoStatistics() {
+  async getTodoStatistics(user) {
     try {
       logger.debug('Fetching todo statistics');
 
-      const stats = await Todo.getStatistics();
+      const stats = await Todo.getStatistics(this.scopeOf(user));
 
       logger.debug('Todo statistics fetched successfully:', stats);
       return stats;
     } catch (error) {
-      logger.error('Error fetching todo statistics:', error);
-      throw new ApiError(500, 'Failed to fetch todo statistics');
+      throw toApiError(error, 'Failed to fetch todo statistics');
     }
   }
 
   /**
    * Get todos due soon
    * @param {number} days - Number of days to look ahead
+   * @param {Object} user - Authenticated user
    * @returns {Promise<Array>} Todos due soon
    */
-  async getTodosDueSoon(days = 7) {
+  async getTodosDueSoon(days = 7, user) {
     try {
       logger.debug('Fetching todos due soon:', { days });
 
-      const todos = await Todo.findDueSoon(days);
+      const todos = await Todo.findDueSoon(this.scopeOf(user), days);
 
       logger.debug('Due soon todos fetched successfully:', {
         count: todos.length,
@@ -280,54 +874,275 @@ class TodoService {
 
       return todos;
     } catch (error) {
-      logger.error('Error fetching todos due soon:', error);
-      throw new ApiError(500, 'Failed to fetch todos due soon');
+      throw toApiError(error, 'Failed to fetch todos due soon');
     }
   }
 
   /**
-   * Bulk update todos
+   * Bulk update todos (admins may update todos of any owner)
    * @param {Array} ids - Array of todo IDs
    * @param {Object} updateData - Update data
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Complete the todos even if they are blocked
    * @returns {Promise<number>} Number of updated todos
    */
-  async bulkUpdateTodos(ids, updateData) {
+  async bulkUpdateTodos(ids, updateData, user, { force = false } = {}) {
     try {
-      logger.info('Bulk updating todos:', { ids, updateData });
+      logger.info('Bulk updating todos:', { ids, updateData, force });
 
-      // Process tags if provided
-      if (updateData.tags && Array.isArray(updateData.tags)) {
-        updateData.tags = JSON.stringify(updateData.tags);
-      }
+      const { patch, tagNames, blockerIds } = this.toPatch(updateData);
+
+      const updatedCount = await Todo.transaction(async (trx) => {
+        const scoped = () => this.scopedQuery(user, { acrossOwners: true, trx });
+
+        const before = await scoped().whereIn('id', ids).modify('withDetails').forUpdate();
+        if (before.length === 0) return 0;
+
+        if (tagNames) {
+          for (const todo of before) {
+            await tagService.setTodoTags(trx, todo, tagNames);
+          }
+        }
+        if (blockerIds) {
+          for (const todo of before) {
+            await this.setBlockers(trx, user, todo.id, blockerIds);
+          }
+        }
+        const completing = patch.completed ? before.filter((todo) => !todo.completed).map((todo) => todo.id) : [];
+        await this.assertUnblocked(trx, user, completing, force);
 
-      const updatedCount = await Todo.query()
-        .patch(updateData)
-        .whereIn('id', ids);
+        const matchedIds = before.map((todo) => todo.id);
+        await scoped().patch(patch).whereIn('id', matchedIds);
+        const after = await scoped().whereIn('id', matchedIds).modify('withDetails');
+
+        await this.recordChanges(trx, user, 'bulk_update', auditService.pairChanges(before, after));
+
+        const next = [];
+        for (const todo of after.filter(({ id }) => completing.includes(id))) {
+          const occurrence = await recurrenceService.createNextOccurrence(trx, user, todo);
+          if (occurrence) next.push(occurrence);
+        }
+        if (patch.completed !== undefined) {
+          await this.touchParents(trx, user, [...after, ...next]);
+        }
+
+        return before.length;
+      });
 
       logger.info('Bulk update completed:', { updatedCount });
       return updatedCount;
     } catch (error) {
-      logger.error('Error in bulk update:', error);
-      throw new ApiError(500, 'Failed to bulk update todos');
+      throw toApiError(error, 'Failed to bulk update todos');
     }
   }
 
   /**
-   * Bulk delete todos
+   * Bulk delete todos (admins may delete todos of any owner).
+   * Deleted todos are moved to the trash.
    * @param {Array} ids - Array of todo IDs
+   * @param {Object} user - Authenticated user
    * @returns {Promise<number>} Number of deleted todos
    */
-  async bulkDeleteTodos(ids) {
+  async bulkDeleteTodos(ids, user) {
     try {
       logger.info('Bulk deleting todos:', { ids });
 
-      const deletedCount = await Todo.query().delete().whereIn('id', ids);
+      const deletedCount = await Todo.transaction(async (trx) => {
+        const scoped = () => this.scopedQuery(user, { acrossOwners: true, trx });
+
+        const before = await scoped().whereIn('id', ids).modify('withDetails').forUpdate();
+        if (before.length === 0) return 0;
+
+        const matchedIds = before.map((todo) => todo.id);
+        const deletedAt = new Date().toISOString();
+        await scoped().patch({ deletedAt }).whereIn('id', matchedIds);
+        const after = await scoped()
+          .context({ trashed: 'include' })
+          .whereIn('id', matchedIds)
+          .modify('withDetails');
+
+        await this.recordChanges(trx, user, 'bulk_delete', auditService.pairChanges(before, after));
+        await this.trashSubtasks(trx, user, matchedIds, deletedAt);
+        await this.touchParents(trx, user, before);
+
+        return before.length;
+      });
 
       logger.info('Bulk delete completed:', { deletedCount });
       return deletedCount;
     } catch (error) {
-      logger.error('Error in bulk delete:', error);
-      throw new ApiError(500, 'Failed to bulk delete todos');
+      throw toApiError(error, 'Failed to bulk delete todos');
+    }
+  }
+
+  /**
+   * Get the audit history of a todo, oldest first.
+   * Owners see their own todos (including trashed ones); admins any todo of the tenant.
+   * @param {string} id - Todo ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Audit records
+   */
+  async getTodoHistory(id, user) {
+    try {
+      logger.debug('Fetching todo history:', { id });
+
+      const todo = await this.scopedQuery(user, { acrossOwners: true })
+        .context({ trashed: 'include' })
+        .findById(id);
+
+      if (!todo || (todo.ownerId !== user.id && user.role !== ROLES.ADMIN)) {
+        throw new ApiError(404, 'Todo not found', ERROR_CODES.TODO_NOT_FOUND);
+      }
+
+      return await auditService.getEntityHistory('todo', id, user);
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch todo history');
+    }
+  }
+
+  /**
+   * Get the user's deleted todos, most recently deleted first
+   * @param {Object} options - Pagination options
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Paginated trashed todos with metadata
+   */
+  async getTrash(options = {}, user) {
+    try {
+      const {
+        page = 1,
+        limit = config.pagination.defaultLimit,
+      } = options;
+
+      logger.debug('Fetching trash:', options);
+
+      const query = this.scopedQuery(user).context({ trashed: 'only' });
+
+      const totalResult = await query.clone().count('* as count').first();
+      const total = parseInt(totalResult.count);
+
+      const todos = await query
+        .modify('withDetails')
+        .orderBy('deletedAt', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: todos,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        retentionDays: config.trash.retentionDays,
+      };
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch trash');
+    }
+  }
+
+  /**
+   * Restore a deleted todo from the trash
+   * @param {string} id - Todo ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Restored todo
+   */
+  async restoreTodo(id, user) {
+    try {
+      logger.info('Restoring todo:', { id });
+
+      const todo = await Todo.transaction(async (trx) => {
+        const trashedTodo = await this.scopedQuery(user, { trx })
+          .context({ trashed: 'only' })
+          .findById(id)
+          .modify('withDetails')
+          .forUpdate();
+
+        if (!trashedTodo) {
+          throw new ApiError(404, 'Todo not found in trash', ERROR_CODES.TODO_NOT_FOUND);
+        }
+
+        if (trashedTodo.parentId) {
+          const parent = await this.scopedQuery(user, { acrossOwners: true, trx })
+            .context({ trashed: 'include' })
+            .findById(trashedTodo.parentId);
+
+          if (parent && parent.deletedAt) {
+            throw new ApiError(409, 'Restore the parent todo first', ERROR_CODES.PARENT_TODO_DELETED);
+          }
+        }
+
+        const restored = await this.scopedQuery(user, { trx })
+          .context({ trashed: 'include' })
+          .patchAndFetchById(id, { deletedAt: null })
+          .modify('withDetails');
+
+        await this.recordChanges(trx, user, 'restore', [
+          { id, before: trashedTodo, after: restored },
+        ]);
+        await this.restoreSubtasks(trx, user, trashedTodo);
+        await this.touchParents(trx, user, [restored]);
+
+        return restored;
+      });
+
+      logger.info('Todo restored successfully:', { id });
+      return todo;
+    } catch (error) {
+      throw toApiError(error, 'Failed to restore todo');
+    }
+  }
+
+  /**
+   * Permanently delete todos that have been in the trash longer than the retention period.
+   * Runs across all tenants; used by the scheduled purge job.
+   * @param {number} retentionDays - Days a deleted todo is kept
+   * @returns {Promise<number>} Number of purged todos
+   */
+  async purgeTrash(retentionDays = config.trash.retentionDays) {
+    try {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - retentionDays);
+
+      logger.info('Purging trash:', { retentionDays, cutoff: cutoff.toISOString() });
+
+      const purgedCount = await Todo.transaction(async (trx) => {
+        const expired = await Todo.acrossTenants(trx)
+          .context({ trashed: 'only' })
+          .where('deletedAt', '<', cutoff.toISOString())
+          .modify('withDetails')
+          .forUpdate();
+
+        if (expired.length === 0) return 0;
+
+        await Todo.acrossTenants(trx)
+          .context({ trashed: 'only' })
+          .delete()
+          .whereIn('id', expired.map((todo) => todo.id));
+
+        // Purges are system actions, recorded per tenant
+        for (const todo of expired) {
+          await auditService.record(trx, {
+            tenantId: todo.tenantId,
+            entityType: 'todo',
+            action: 'purge',
+            user: null,
+            changes: [{ id: todo.id, before: todo, after: null }],
+          });
+        }
+
+        return expired.length;
+      });
+
+      logger.info('Trash purge completed:', { purgedCount });
+      return purgedCount;
+    } catch (error) {
+      throw toApiError(error, 'Failed to purge trash');
     }
   }
 }
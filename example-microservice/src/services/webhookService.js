@@ -0,0 +1,411 @@
+const http = require('http');
+const https = require('https');
+const { UniqueViolationError } = require('objection');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { ApiError, toApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { signPayload } = require('../utils/webhookSignature');
+const { isAllowedTarget, lookup } = require('../utils/webhookTarget');
+const logger = require('../config/logger');
+const config = require('../config');
+
+/**
+ * POST a body without following redirects, connecting only to the addresses allowed by lookup
+ * @param {string} url
+ * @param {Object} headers
+ * @param {string} body
+ * @returns {Promise<number>} Response status
+ */
+const send = (url, headers, body) => new Promise((resolve, reject) => {
+  const { request } = url.startsWith('https:') ? https : http;
+
+  const req = request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup,
+    signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  req.on('error', reject);
+  req.end(body);
+});
+
+class WebhookService {
+  /**
+   * Find a webhook of the user's tenant
+   * @param {string} id - Webhook ID
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Webhook
+   * @throws {ApiError} 404 when the webhook does not exist in the tenant
+   */
+  async findWebhook(id, user) {
+    const webhook = await Webhook.query()
+      .where('tenantId', user.tenantId)
+      .findById(id);
+
+    if (!webhook) {
+      throw new ApiError(404, 'Webhook not found', ERROR_CODES.WEBHOOK_NOT_FOUND);
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Register a webhook
+   * @param {Object} webhookData - URL, event types and secret
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Created webhook
+   */
+  async createWebhook(webhookData, user) {
+    try {
+      logger.info('Creating webhook:', {
+        url: webhookData.url,
+        events: webhookData.events,
+        tenantId: user.tenantId,
+        createdBy: user.id,
+      });
+
+      const webhook = await Webhook.query().insert({
+        url: webhookData.url,
+        events: webhookData.events,
+        secret: webhookData.secret,
+        tenantId: user.tenantId,
+        createdBy: user.id,
+      });
+
+      logger.info('Webhook created successfully:', { id: webhook.id });
+      return webhook;
+    } catch (error) {
+      throw toApiError(error, 'Failed to create webhook');
+    }
+  }
+
+  /**
+   * List the webhooks of the user's tenant
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Array>} Webhooks
+   */
+  async listWebhooks(user) {
+    try {
+      logger.debug('Fetching webhooks:', { tenantId: user.tenantId });
+
+      return await Webhook.query()
+        .where('tenantId', user.tenantId)
+        .orderBy('createdAt', 'desc');
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch webhooks');
+    }
+  }
+
+  /**
+   * Get a webhook of the user's tenant
+   * @param {string} id - Webhook ID
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Webhook
+   */
+  async getWebhook(id, user) {
+    try {
+      return await this.findWebhook(id, user);
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch webhook');
+    }
+  }
+
+  /**
+   * Update a webhook. Enabling it again clears its failure count.
+   * @param {string} id - Webhook ID
+   * @param {Object} updateData - URL, event types, secret or active flag
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async updateWebhook(id, updateData, user) {
+    try {
+      logger.info('Updating webhook:', { id, fields: Object.keys(updateData), updatedBy: user.id });
+
+      const webhook = await this.findWebhook(id, user);
+      const patch = { ...updateData };
+
+      if (updateData.active === true && !webhook.active) {
+        patch.consecutiveFailures = 0;
+        patch.disabledAt = null;
+      } else if (updateData.active === false && webhook.active) {
+        patch.disabledAt = new Date().toISOString();
+      }
+
+      const updated = await Webhook.query().patchAndFetchById(id, patch);
+
+      logger.info('Webhook updated successfully:', { id });
+      return updated;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update webhook');
+    }
+  }
+
+  /**
+   * Delete a webhook along with its delivery log
+   * @param {string} id - Webhook ID
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Deleted webhook
+   */
+  async deleteWebhook(id, user) {
+    try {
+      logger.info('Deleting webhook:', { id, deletedBy: user.id });
+
+      const webhook = await this.findWebhook(id, user);
+      await Webhook.query().deleteById(id);
+
+      logger.info('Webhook deleted successfully:', { id });
+      return webhook;
+    } catch (error) {
+      throw toApiError(error, 'Failed to delete webhook');
+    }
+  }
+
+  /**
+   * List the deliveries of a webhook, newest first
+   * @param {string} id - Webhook ID
+   * @param {Object} options - Status filter and pagination options
+   * @param {Object} user - Authenticated admin
+   * @returns {Promise<Object>} Paginated deliveries with metadata
+   */
+  async listDeliveries(id, options = {}, user) {
+    try {
+      const { page = 1, limit = config.pagination.defaultLimit, status } = options;
+
+      await this.findWebhook(id, user);
+
+      let query = WebhookDelivery.query().where('webhookId', id);
+      if (status) query = query.where('status', status);
+
+      const totalResult = await query.clone().count('* as count').first();
+      const total = parseInt(totalResult.count);
+
+      const deliveries = await query
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        data: deliveries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        filters: { status },
+      };
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch webhook deliveries');
+    }
+  }
+
+  /**
+   * Queue an outbox message for the active webhooks of its tenant that receive its type.
+   * A message relayed again is not queued twice.
+   * @param {Object} message - Outbox message
+   * @returns {Promise<number>} Number of queued deliveries
+   */
+  async enqueueDeliveries(message) {
+    const webhooks = await Webhook.query()
+      .where('tenantId', message.tenantId)
+      .where('active', true);
+
+    let queuedCount = 0;
+    for (const webhook of webhooks.filter((candidate) => candidate.subscribesTo(message.type))) {
+      try {
+        await WebhookDelivery.query().insert({
+          webhookId: webhook.id,
+          tenantId: message.tenantId,
+          eventId: message.id,
+          eventType: message.type,
+          payload: message,
+        });
+        queuedCount += 1;
+      } catch (error) {
+        if (!(error instanceof UniqueViolationError)) throw error;
+      }
+    }
+
+    return queuedCount;
+  }
+
+  /**
+   * POST a delivery to its webhook. Loopback, private and link-local targets fail
+   * without a request, including host names resolving to them.
+   * @param {Object} webhook - Webhook with URL and secret
+   * @param {Object} delivery - Delivery with ID, event type and payload
+   * @returns {Promise<Object>} { ok, responseStatus, error }
+   */
+  async post(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    if (!isAllowedTarget(webhook.url)) {
+      return { ok: false, responseStatus: null, error: 'URL points to a loopback, private or link-local address' };
+    }
+
+    try {
+      const status = await send(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': `${config.app.name}/${config.app.version}`,
+        'X-Webhook-ID': webhook.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      }, body);
+      const ok = status >= 200 && status < 300;
+
+      return {
+        ok,
+        responseStatus: status,
+        error: ok ? null : `Endpoint responded with ${status}`,
+      };
+    } catch (error) {
+      return { ok: false, responseStatus: null, error: error.message };
+    }
+  }
+
+  /**
+   * Delay before the next attempt of a delivery
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  retryDelay(attempts) {
+    const { retryBaseMs, retryMaxMs } = config.webhooks;
+    return Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+  }
+
+  /**
+   * Record the outcome of a delivery attempt. Failed deliveries are retried until the
+   * maximum number of attempts; webhooks failing too often in a row are disabled.
+   * @param {Object} webhook - Webhook of the delivery
+   * @param {Object} delivery - Attempted delivery
+   * @param {Object} result - Outcome from post()
+   * @param {Date} now - Time of the attempt
+   * @returns {Promise<void>}
+   */
+  async recordAttempt(webhook, delivery, result, now) {
+    const { maxAttempts, disableAfterFailures } = config.webhooks;
+    const attempts = delivery.attempts + 1;
+
+    if (result.ok) {
+      await WebhookDelivery.query()
+        .patch({
+          status: 'succeeded',
+          attempts,
+          responseStatus: result.responseStatus,
+          lastError: null,
+          nextAttemptAt: null,
+          deliveredAt: now.toISOString(),
+        })
+        .where('id', delivery.id);
+      await Webhook.query().patch({ consecutiveFailures: 0 }).where('id', webhook.id);
+      return;
+    }
+
+    const givenUp = attempts >= maxAttempts;
+    await WebhookDelivery.query()
+      .patch({
+        status: givenUp ? 'failed' : 'pending',
+        attempts,
+        responseStatus: result.responseStatus,
+        lastError: result.error,
+        nextAttemptAt: givenUp ? null : new Date(now.getTime() + this.retryDelay(attempts)).toISOString(),
+      })
+      .where('id', delivery.id);
+
+    const consecutiveFailures = webhook.consecutiveFailures + 1;
+    const disabled = consecutiveFailures >= disableAfterFailures;
+    await Webhook.query()
+      .patch({
+        consecutiveFailures,
+        ...(disabled && { active: false, disabledAt: now.toISOString() }),
+      })
+      .where('id', webhook.id);
+    webhook.consecutiveFailures = consecutiveFailures;
+
+    logger.warn('Webhook delivery failed:', { id: delivery.id, webhookId: webhook.id, attempts, error: result.error });
+    if (disabled) {
+      logger.warn('Webhook disabled after repeated failures:', { id: webhook.id, consecutiveFailures });
+    }
+  }
+
+  /**
+   * Attempt the deliveries that are due, for webhooks that are active.
+   * Each delivery is claimed before it is attempted, so that replicas running this
+   * at the same time do not send it twice.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of attempted deliveries
+   */
+  async deliverPending(now = new Date()) {
+    const { batchSize, timeoutMs, disableAfterFailures } = config.webhooks;
+
+    const deliveries = await WebhookDelivery.query()
+      .where('status', 'pending')
+      .where('nextAttemptAt', '<=', now.toISOString())
+      .whereIn('webhookId', Webhook.query().select('id').where('active', true))
+      .orderBy('createdAt', 'asc')
+      .limit(batchSize)
+      .withGraphFetched('webhook');
+
+    const webhooks = new Map();
+    let attemptedCount = 0;
+
+    for (const delivery of deliveries) {
+      if (!webhooks.has(delivery.webhookId)) {
+        webhooks.set(delivery.webhookId, delivery.webhook);
+      }
+      const webhook = webhooks.get(delivery.webhookId);
+
+      // Disabled by an earlier delivery of this run
+      if (webhook.consecutiveFailures >= disableAfterFailures) continue;
+
+      // Held until the attempt has timed out, in case this process stops during it
+      const claimed = await WebhookDelivery.query()
+        .patch({ nextAttemptAt: new Date(Date.now() + timeoutMs * 2).toISOString() })
+        .where('id', delivery.id)
+        .where('status', 'pending')
+        .where('nextAttemptAt', delivery.nextAttemptAt);
+      if (claimed === 0) continue;
+
+      const result = await this.post(webhook, delivery);
+      await this.recordAttempt(webhook, delivery, result, new Date());
+      attemptedCount += 1;
+    }
+
+    return attemptedCount;
+  }
+
+  /**
+   * Remove deliveries older than the retention period
+   * @param {number} retentionDays - Days a delivery is kept
+   * @returns {Promise<number>} Number of removed deliveries
+   */
+  async purgeDeliveries(retentionDays = config.webhooks.deliveryRetentionDays) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+
+    const deletedCount = await WebhookDelivery.query()
+      .delete()
+      .whereNot('status', 'pending')
+      .where('createdAt', '<', cutoff.toISOString());
+
+    if (deletedCount > 0) {
+      logger.info('Webhook deliveries purged:', { deletedCount });
+    }
+
+    return deletedCount;
+  }
+}
+
+module.exports = new WebhookService();
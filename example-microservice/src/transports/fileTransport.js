@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create a transport that appends messages to a file, one JSON document per line
+ * @param {Object} options
+ * @param {string} options.filePath - File to append to; its directory is created if needed
+ * @returns {Object} Transport with publish
+ */
+const createFileTransport = ({ filePath }) => ({
+  name: 'file',
+
+  async publish(message) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(message)}\n`);
+  },
+});
+
+module.exports = createFileTransport;
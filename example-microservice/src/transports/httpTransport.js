@@ -0,0 +1,30 @@
+/**
+ * Create a transport that POSTs each message as JSON to an endpoint.
+ * Any response other than 2xx fails the delivery, so the relay retries it.
+ * @param {Object} options
+ * @param {string} options.url - Endpoint receiving the messages
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} Transport with publish
+ */
+const createHttpTransport = ({ url, timeoutMs }) => ({
+  name: 'http',
+
+  async publish(message) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        // Lets the receiver drop redeliveries
+        'X-Event-ID': message.id,
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Event endpoint responded with ${response.status}`);
+    }
+  },
+});
+
+module.exports = createHttpTransport;
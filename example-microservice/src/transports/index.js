@@ -0,0 +1,41 @@
+/**
+ * Transports publish outbox messages to other services.
+ *
+ * A transport is an object with a `name` and an async `publish(message)` that
+ * resolves once the message is accepted and rejects otherwise. A message can be
+ * published more than once, so receivers deduplicate on its `id`.
+ */
+
+const createMemoryTransport = require('./memoryTransport');
+const createFileTransport = require('./fileTransport');
+const createHttpTransport = require('./httpTransport');
+
+/**
+ * Create the transport selected in the configuration
+ * @param {Object} options - Outbox settings
+ * @param {string} options.transport - 'memory', 'file' or 'http'
+ * @returns {Object} Transport
+ * @throws {Error} On an unknown transport or missing settings
+ */
+const createTransport = ({ transport, filePath, httpUrl, httpTimeoutMs }) => {
+  switch (transport) {
+    case 'memory':
+      return createMemoryTransport();
+    case 'file':
+      return createFileTransport({ filePath });
+    case 'http':
+      if (!httpUrl) {
+        throw new Error('OUTBOX_HTTP_URL is required for the http outbox transport');
+      }
+      return createHttpTransport({ url: httpUrl, timeoutMs: httpTimeoutMs });
+    default:
+      throw new Error(`Unknown outbox transport: ${transport}`);
+  }
+};
+
+module.exports = {
+  createTransport,
+  createMemoryTransport,
+  createFileTransport,
+  createHttpTransport,
+};
@@ -0,0 +1,23 @@
+/**
+ * Create a transport that keeps published messages in memory, for local testing
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of most recent messages kept
+ * @returns {Object} Transport with publish, plus the published messages
+ */
+const createMemoryTransport = ({ limit = 1000 } = {}) => {
+  const published = [];
+
+  return {
+    name: 'memory',
+    published,
+
+    async publish(message) {
+      published.push(message);
+      if (published.length > limit) {
+        published.splice(0, published.length - limit);
+      }
+    },
+  };
+};
+
+module.exports = createMemoryTransport;
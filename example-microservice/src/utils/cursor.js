@@ -0,0 +1,39 @@
+const { ApiError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+/**
+ * Opaque pagination cursors.
+ * A cursor holds the sort settings and the sort key of the last row of a page.
+ */
+
+/**
+ * Encode a cursor
+ * @param {Object} position - Plain JSON position, e.g. { sortBy, sortOrder, value, id }
+ * @returns {string} Base64url encoded cursor
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object} Decoded position
+ * @throws {ApiError} 400 when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!position || typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error('Cursor is not an object');
+    }
+
+    return position;
+  } catch (error) {
+    throw new ApiError(400, 'Invalid pagination cursor', ERROR_CODES.INVALID_CURSOR);
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
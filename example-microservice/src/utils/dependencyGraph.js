@@ -0,0 +1,46 @@
+/**
+ * Dependency graph helpers.
+ *
+ * Edges are `[node, dependency]` pairs: the node can only be done after the dependency.
+ */
+
+/**
+ * Order nodes so that each one comes after its dependencies (Kahn's algorithm).
+ * Nodes without a constraint between them keep their order in `nodes`.
+ * @param {Array<string>} nodes - Node IDs
+ * @param {Array<Array<string>>} edges - Pairs of [node, dependency]; pairs with an unknown node are ignored
+ * @returns {Array<string>|null} Ordered node IDs, or null when the edges contain a cycle
+ */
+const topologicalOrder = (nodes, edges) => {
+  const rank = new Map(nodes.map((node, index) => [node, index]));
+  const pending = new Map(nodes.map((node) => [node, 0]));
+  const dependents = new Map(nodes.map((node) => [node, []]));
+
+  for (const [node, dependency] of edges) {
+    if (!rank.has(node) || !rank.has(dependency)) continue;
+
+    pending.set(node, pending.get(node) + 1);
+    dependents.get(dependency).push(node);
+  }
+
+  const ready = nodes.filter((node) => pending.get(node) === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    // Take the earliest ready node to keep the input order where possible
+    ready.sort((a, b) => rank.get(a) - rank.get(b));
+    const node = ready.shift();
+    order.push(node);
+
+    for (const dependent of dependents.get(node)) {
+      pending.set(dependent, pending.get(dependent) - 1);
+      if (pending.get(dependent) === 0) ready.push(dependent);
+    }
+  }
+
+  return order.length === nodes.length ? order : null;
+};
+
+module.exports = {
+  topologicalOrder,
+};
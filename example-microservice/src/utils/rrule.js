@@ -0,0 +1,267 @@
+/**
+ * iCalendar recurrence rules (RFC 5545 RRULE).
+ *
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY (weekly rules) and BYMONTHDAY (monthly rules). Dates are handled in UTC
+ * and keep the time of day of the occurrence they are computed from.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Weeks start on Monday (the RFC 5545 default WKST)
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bounds the search for a month or year that has the requested day
+const MAX_PERIODS = 1000;
+
+/**
+ * Parse a positive integer rule part
+ * @param {string} name - Rule part
+ * @param {string} value - Raw value
+ * @returns {number}
+ */
+const parsePositiveInteger = (name, value) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return Number(value);
+};
+
+/**
+ * Parse an UNTIL date (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ * @param {string} value - Raw value
+ * @returns {Date}
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must be a date (YYYYMMDD) or a UTC date-time (YYYYMMDDTHHMMSSZ)');
+  }
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Parse a recurrence rule
+ * @param {string} text - Rule such as `FREQ=WEEKLY;BYDAY=MO,WE`, optionally prefixed with `RRULE:`
+ * @returns {Object} { freq, interval, count, until, byDay, byMonthDay }
+ * @throws {Error} When the rule is malformed or uses unsupported parts
+ */
+const parseRule = (text) => {
+  const rule = { interval: 1, byDay: [], byMonthDay: [] };
+
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';')) {
+    const [name, value = ''] = part.split('=');
+
+    switch (name.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInteger('INTERVAL', value);
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInteger('COUNT', value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map((day) => {
+          if (!WEEKDAYS.includes(day)) {
+            throw new Error(`BYDAY must list weekdays out of: ${WEEKDAYS.join(', ')}`);
+          }
+          return WEEKDAYS.indexOf(day);
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map((day) => {
+          const number = Number(day);
+          if (!/^-?\d+$/.test(day) || number === 0 || Math.abs(number) > 31) {
+            throw new Error('BYMONTHDAY must list days between 1 and 31 or -31 and -1');
+          }
+          return number;
+        });
+        break;
+      default:
+        throw new Error(`Unsupported rule part: ${name}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+  if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+
+  return rule;
+};
+
+/**
+ * Weekday of a date, Monday being 0
+ * @param {Date} date
+ * @returns {number}
+ */
+const weekdayOf = (date) => (date.getUTCDay() + 6) % 7;
+
+/**
+ * Date with the given year, month and day, keeping the time of day of `time`.
+ * Returns null when the day does not exist in that month.
+ * @param {Date} time - Date to take the time of day from
+ * @param {number} year
+ * @param {number} month - 0-based month, may overflow into later years
+ * @param {number} day - Day of the month; negative counts from the end of the month
+ * @returns {Date|null}
+ */
+const dateIn = (time, year, month, day) => {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const dayOfMonth = day < 0 ? daysInMonth + day + 1 : day;
+  if (dayOfMonth < 1 || dayOfMonth > daysInMonth) return null;
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    dayOfMonth,
+    time.getUTCHours(),
+    time.getUTCMinutes(),
+    time.getUTCSeconds(),
+    time.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * First occurrence of a weekly rule after `from`
+ * @param {Object} rule - Parsed rule
+ * @param {Date} from - Current occurrence
+ * @returns {Date}
+ */
+const nextWeekly = (rule, from) => {
+  if (rule.byDay.length === 0) {
+    return new Date(from.getTime() + 7 * rule.interval * DAY_MS);
+  }
+
+  const days = [...rule.byDay].sort((a, b) => a - b);
+  const weekday = weekdayOf(from);
+  const laterThisWeek = days.find((day) => day > weekday);
+
+  if (laterThisWeek !== undefined) {
+    return new Date(from.getTime() + (laterThisWeek - weekday) * DAY_MS);
+  }
+
+  // First listed day in the next week of the series
+  return new Date(from.getTime() + (7 * rule.interval - weekday + days[0]) * DAY_MS);
+};
+
+/**
+ * First occurrence of a monthly rule after `from`
+ * @param {Object} rule - Parsed rule
+ * @param {Date} from - Current occurrence
+ * @returns {Date|null}
+ */
+const nextMonthly = (rule, from) => {
+  const days = rule.byMonthDay.length > 0 ? rule.byMonthDay : [from.getUTCDate()];
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+
+  for (let period = 0; period <= MAX_PERIODS; period++) {
+    const candidates = days
+      .map((day) => dateIn(from, year, month + period * rule.interval, day))
+      .filter((date) => date && date > from)
+      .sort((a, b) => a - b);
+
+    if (candidates.length > 0) return candidates[0];
+  }
+
+  return null;
+};
+
+/**
+ * First occurrence of a yearly rule after `from`; Feb 29 only recurs in leap years
+ * @param {Object} rule - Parsed rule
+ * @param {Date} from - Current occurrence
+ * @returns {Date|null}
+ */
+const nextYearly = (rule, from) => {
+  for (let period = 1; period <= MAX_PERIODS; period++) {
+    const date = dateIn(from, from.getUTCFullYear() + period * rule.interval, from.getUTCMonth(), from.getUTCDate());
+    if (date) return date;
+  }
+
+  return null;
+};
+
+/**
+ * Occurrence that follows an occurrence of a series
+ * @param {Object} rule - Parsed rule
+ * @param {Date} from - Date of the current occurrence
+ * @param {number} occurrence - 1-based number of the current occurrence
+ * @returns {Date|null} Date of the next occurrence, or null when the series has ended
+ */
+const nextOccurrence = (rule, from, occurrence) => {
+  if (rule.count && occurrence >= rule.count) return null;
+
+  let next;
+  switch (rule.freq) {
+    case 'DAILY':
+      next = new Date(from.getTime() + rule.interval * DAY_MS);
+      break;
+    case 'WEEKLY':
+      next = nextWeekly(rule, from);
+      break;
+    case 'MONTHLY':
+      next = nextMonthly(rule, from);
+      break;
+    default:
+      next = nextYearly(rule, from);
+  }
+
+  if (!next || (rule.until && next > rule.until)) return null;
+  return next;
+};
+
+/**
+ * First occurrence of a series after both a known occurrence and a date. Rules with a
+ * fixed period (DAILY, and WEEKLY without BYDAY) jump close to it; others step there.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} from - Date of a known occurrence
+ * @param {number} occurrence - 1-based number of that occurrence
+ * @param {Date} after - Date the occurrence must follow
+ * @returns {Object|null} { date, occurrence }, or null when the series ends before
+ */
+const occurrenceAfter = (rule, from, occurrence, after) => {
+  let date = from;
+  let number = occurrence;
+
+  const periodDays = { DAILY: 1, WEEKLY: rule.byDay.length === 0 ? 7 : 0 }[rule.freq];
+  if (periodDays && after > date) {
+    const periodMs = periodDays * rule.interval * DAY_MS;
+    const skipped = Math.floor((after - date) / periodMs);
+    date = new Date(date.getTime() + skipped * periodMs);
+    number += skipped;
+    if ((rule.count && number > rule.count) || (rule.until && date > rule.until)) return null;
+  }
+
+  do {
+    date = nextOccurrence(rule, date, number);
+    if (!date) return null;
+    number += 1;
+  } while (date <= after);
+
+  return { date, occurrence: number };
+};
+
+module.exports = {
+  parseRule,
+  nextOccurrence,
+  occurrenceAfter,
+};
@@ -0,0 +1,113 @@
+/**
+ * Full-text search helpers.
+ *
+ * Search input supports a subset of MySQL boolean mode:
+ * `word` (optional), `+word` (required), `-word` (excluded),
+ * `word*` (prefix) and `"a phrase"`.
+ */
+
+const TERM_PATTERN = /([+-]?)(?:"([^"]*)"?|([^\s"]+))/g;
+const NON_WORD = /[^\p{L}\p{N}_]+/u;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Split search input into terms, dropping characters MySQL does not index
+ * @param {string} search - Raw search input
+ * @returns {Array<Object>} Terms of { operator, words, prefix }
+ */
+const parseSearchQuery = (search) => {
+  const terms = [];
+
+  for (const [, operator, phrase, word] of search.matchAll(TERM_PATTERN)) {
+    const text = phrase !== undefined ? phrase : word;
+    const words = text.split(NON_WORD).filter(Boolean);
+    if (words.length === 0) continue;
+
+    terms.push({
+      operator,
+      words,
+      // A prefix search only makes sense on a single word
+      prefix: phrase === undefined && words.length === 1 && word.endsWith('*'),
+    });
+  }
+
+  return terms;
+};
+
+/**
+ * Build a MySQL boolean mode query from parsed terms.
+ * Words containing punctuation become phrases, as MySQL splits them anyway.
+ * @param {Array<Object>} terms - Terms from parseSearchQuery
+ * @returns {string}
+ */
+const toBooleanQuery = (terms) => terms
+  .map(({ operator, words, prefix }) => {
+    const body = words.length > 1 ? `"${words.join(' ')}"` : `${words[0]}${prefix ? '*' : ''}`;
+    return `${operator}${body}`;
+  })
+  .join(' ');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Regular expression matching the terms to highlight (excluded terms are skipped)
+ * @param {Array<Object>} terms - Terms from parseSearchQuery
+ * @returns {RegExp|null}
+ */
+const buildHighlightPattern = (terms) => {
+  const alternatives = terms
+    .filter(({ operator }) => operator !== '-')
+    .map(({ words, prefix }) => {
+      const body = words.map(escapeRegExp).join('[^\\p{L}\\p{N}_]+');
+      return prefix ? `${body}[\\p{L}\\p{N}_]*` : body;
+    });
+
+  if (alternatives.length === 0) return null;
+
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+};
+
+/**
+ * HTML snippet of a text around its first match, with matches wrapped in <mark>
+ * @param {string|null} text - Text to highlight
+ * @param {RegExp|null} pattern - Pattern from buildHighlightPattern
+ * @returns {string|null} Escaped snippet, or null when nothing matches
+ */
+const highlight = (text, pattern) => {
+  if (!text || !pattern) return null;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const end = Math.min(text.length, Math.max(0, first.index - SNIPPET_CONTEXT) + SNIPPET_LENGTH);
+  const start = Math.max(0, Math.min(first.index - SNIPPET_CONTEXT, end - SNIPPET_LENGTH));
+  const snippet = text.slice(start, end);
+
+  let html = '';
+  let last = 0;
+  // matchAll starts at the pattern's lastIndex, which exec moved past the first match
+  pattern.lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    html += `${escapeHtml(snippet.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(snippet.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  parseSearchQuery,
+  toBooleanQuery,
+  buildHighlightPattern,
+  highlight,
+};
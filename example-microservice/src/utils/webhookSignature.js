@@ -0,0 +1,47 @@
+/**
+ * Webhook signatures.
+ *
+ * A delivery is signed with HMAC-SHA256 over `<timestamp>.<body>`, using the secret
+ * of the webhook. Including the timestamp lets receivers reject replayed deliveries.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Secret of the webhook
+ * @param {number} timestamp - Unix time in seconds, sent in the timestamp header
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value, `sha256=<hex digest>`
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Verify a webhook signature, as receivers do
+ * @param {string} secret - Secret of the webhook
+ * @param {number|string} timestamp - Value of the timestamp header
+ * @param {string} body - Raw JSON body
+ * @param {string} signature - Value of the signature header
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Maximum age of the timestamp
+ * @param {number} [options.now] - Current unix time in seconds
+ * @returns {boolean}
+ */
+const verifySignature = (secret, timestamp, body, signature, {
+  toleranceSeconds = 300,
+  now = Math.floor(Date.now() / 1000),
+} = {}) => {
+  if (Math.abs(now - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,78 @@
+/**
+ * Webhook targets.
+ *
+ * Webhooks must not reach into the network of the service: loopback, private
+ * (RFC 1918, unique local) and link-local addresses, such as the cloud metadata
+ * endpoint 169.254.169.254, are refused when a webhook is registered, and again for
+ * the addresses its host resolves to when a delivery is sent. Hosts listed in
+ * WEBHOOK_ALLOWED_HOSTS are exempt, for local testing.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const config = require('../config');
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+].forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+const isAllowedHost = (hostname) => config.webhooks.allowedHosts.includes(hostname.toLowerCase());
+
+/**
+ * Whether an IP address is loopback, private or link-local
+ * @param {string} address - IPv4 or IPv6 address; IPv4-mapped IPv6 addresses are checked as IPv4
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Whether a webhook URL may be used: its host is allowed, or is neither localhost nor
+ * a blocked IP address. Host names are checked again when they are resolved.
+ * @param {string} url - Webhook URL
+ * @returns {boolean}
+ */
+const isAllowedTarget = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+  if (isAllowedHost(hostname)) return true;
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return false;
+  return !(net.isIP(hostname) && isBlockedAddress(hostname));
+};
+
+/**
+ * dns.lookup for delivery requests, failing when the host resolves to a blocked
+ * address. Passed to the request, so the checked address is the one connected to.
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = !isAllowedHost(hostname) && addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the blocked address ${blocked.address}`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isBlockedAddress,
+  isAllowedTarget,
+  lookup,
+};
@@ -0,0 +1,51 @@
+const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Create API key validation schema
+const createApiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Name cannot be empty',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required',
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Scopes must be any of: ${API_KEY_SCOPES.join(', ')}`,
+      'array.min': 'At least one scope is required',
+      'array.unique': 'Scopes must be unique',
+      'any.required': 'Scopes are required',
+    }),
+
+  expiresAt: Joi.date()
+    .iso()
+    .min('now')
+    .allow(null)
+    .optional()
+    .messages({
+      'date.format': 'Expiry must be a valid ISO date',
+      'date.min': 'Expiry cannot be in the past',
+    }),
+});
+
+// API key ID parameter validation schema
+const apiKeyIdParamSchema = Joi.object({
+  id: Joi.string().uuid({ version: 'uuidv4' }).required().messages({
+    'any.required': 'API key ID is required',
+    'string.guid': 'Invalid API key ID format',
+  }),
+});
+
+module.exports = {
+  createApiKeySchema,
+  apiKeyIdParamSchema,
+};
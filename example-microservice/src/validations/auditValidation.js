@@ -0,0 +1,82 @@
+const Joi = require('joi');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+// Audit log query parameters validation schema
+const auditQueryParamsSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+
+  entityType: Joi.string()
+    .valid('todo')
+    .optional()
+    .messages({
+      'any.only': 'Entity type must be: todo',
+    }),
+
+  entityId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid entity ID format',
+    }),
+
+  action: Joi.string()
+    .valid(...AUDIT_ACTIONS)
+    .optional()
+    .messages({
+      'any.only': `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`,
+    }),
+
+  actorId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid actor ID format',
+    }),
+
+  requestId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid request ID format',
+    }),
+
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'From must be a valid ISO date',
+    }),
+
+  to: Joi.date()
+    .iso()
+    .min(Joi.ref('from'))
+    .optional()
+    .messages({
+      'date.format': 'To must be a valid ISO date',
+      'date.min': 'To must not be before from',
+    }),
+});
+
+module.exports = {
+  auditQueryParamsSchema,
+};
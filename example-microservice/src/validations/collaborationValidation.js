@@ -0,0 +1,136 @@
+const Joi = require('joi');
+const { streamQueryParamsSchema } = require('./todoValidation');
+
+// Message types clients can send over the collaboration socket
+const MESSAGE_TYPES = ['subscribe', 'unsubscribe', 'presence', 'typing', 'mutate'];
+
+// Todo mutations that can be sent over the socket
+const MUTATION_ACTIONS = ['create', 'update', 'toggle', 'delete'];
+
+const listSchema = Joi.string()
+  .pattern(/^[A-Za-z0-9_.:-]{1,64}$/)
+  .required()
+  .messages({
+    'string.base': 'List must be a string',
+    'string.empty': 'List cannot be empty',
+    'string.pattern.base': 'List must be 1-64 letters, digits or _ . : - characters',
+    'any.required': 'List is required',
+  });
+
+const requestIdSchema = Joi.string()
+  .max(64)
+  .messages({
+    'string.base': 'Request ID must be a string',
+    'string.max': 'Request ID cannot exceed 64 characters',
+  });
+
+// Envelope of every message, validated before the message of its type
+const messageSchema = Joi.object({
+  type: Joi.string()
+    .valid(...MESSAGE_TYPES)
+    .required()
+    .messages({
+      'any.only': `Type must be one of: ${MESSAGE_TYPES.join(', ')}`,
+      'any.required': 'Type is required',
+    }),
+
+  requestId: requestIdSchema,
+}).unknown(true);
+
+// Subscribe to a list, with the filters of GET /todos/stream
+const subscribeMessageSchema = Joi.object({
+  type: Joi.string().valid('subscribe').required(),
+  requestId: requestIdSchema,
+  list: listSchema,
+  filters: streamQueryParamsSchema.default({}),
+  lastEventId: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.base': 'Last event ID must be a number',
+      'number.integer': 'Last event ID must be an integer',
+      'number.min': 'Last event ID cannot be negative',
+    }),
+});
+
+const unsubscribeMessageSchema = Joi.object({
+  type: Joi.string().valid('unsubscribe').required(),
+  requestId: requestIdSchema,
+  list: listSchema,
+});
+
+const presenceMessageSchema = Joi.object({
+  type: Joi.string().valid('presence').required(),
+  requestId: requestIdSchema,
+  list: listSchema,
+  status: Joi.string()
+    .valid('online', 'away')
+    .required()
+    .messages({
+      'any.only': 'Status must be either online or away',
+      'any.required': 'Status is required',
+    }),
+});
+
+const typingMessageSchema = Joi.object({
+  type: Joi.string().valid('typing').required(),
+  requestId: requestIdSchema,
+  list: listSchema,
+  todoId: Joi.string()
+    .uuid({ version: 'uuidv4' })
+    .allow(null)
+    .default(null)
+    .messages({
+      'string.guid': 'Invalid todo ID format',
+    }),
+  typing: Joi.boolean()
+    .default(true)
+    .messages({
+      'boolean.base': 'Typing must be true or false',
+    }),
+});
+
+// Mutation envelope; id, data and options are validated with the REST schemas of the action
+const mutateMessageSchema = Joi.object({
+  type: Joi.string().valid('mutate').required(),
+  requestId: requestIdSchema.required().messages({
+    'any.required': 'Request ID is required for mutations',
+  }),
+  action: Joi.string()
+    .valid(...MUTATION_ACTIONS)
+    .required()
+    .messages({
+      'any.only': `Action must be one of: ${MUTATION_ACTIONS.join(', ')}`,
+      'any.required': 'Action is required',
+    }),
+  id: Joi.any(),
+  data: Joi.object().default({}).messages({
+    'object.base': 'Data must be an object',
+  }),
+  options: Joi.object().default({}).messages({
+    'object.base': 'Options must be an object',
+  }),
+  expectedVersion: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.base': 'Expected version must be a number',
+      'number.integer': 'Expected version must be an integer',
+      'number.min': 'Expected version must be at least 1',
+    }),
+});
+
+const messageSchemas = {
+  subscribe: subscribeMessageSchema,
+  unsubscribe: unsubscribeMessageSchema,
+  presence: presenceMessageSchema,
+  typing: typingMessageSchema,
+  mutate: mutateMessageSchema,
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  MUTATION_ACTIONS,
+  messageSchema,
+  messageSchemas,
+};
@@ -0,0 +1,34 @@
+const Joi = require('joi');
+
+// GraphQL request body (GraphQL over HTTP, JSON encoding)
+const graphqlRequestSchema = Joi.object({
+  query: Joi.string()
+    .max(20000)
+    .required()
+    .messages({
+      'string.base': 'Query must be a string',
+      'string.empty': 'Query cannot be empty',
+      'string.max': 'Query cannot exceed 20000 characters',
+      'any.required': 'Query is required',
+    }),
+
+  variables: Joi.object()
+    .allow(null)
+    .optional()
+    .messages({
+      'object.base': 'Variables must be an object',
+    }),
+
+  operationName: Joi.string()
+    .max(255)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.base': 'Operation name must be a string',
+      'string.max': 'Operation name cannot exceed 255 characters',
+    }),
+});
+
+module.exports = {
+  graphqlRequestSchema,
+};
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+
+// Rename tag validation schema
+const renameTagSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'string.empty': 'Name cannot be empty',
+      'string.max': 'Name cannot exceed 50 characters',
+      'any.required': 'Name is required',
+    }),
+});
+
+// Merge tag validation schema
+const mergeTagSchema = Joi.object({
+  targetId: Joi.string().uuid({ version: 'uuidv4' }).required().messages({
+    'any.required': 'Target tag ID is required',
+    'string.guid': 'Invalid target tag ID format',
+  }),
+});
+
+// Tag ID parameter validation schema
+const tagIdParamSchema = Joi.object({
+  id: Joi.string().uuid({ version: 'uuidv4' }).required().messages({
+    'any.required': 'Tag ID is required',
+    'string.guid': 'Invalid tag ID format',
+  }),
+});
+
+module.exports = {
+  renameTagSchema,
+  mergeTagSchema,
+  tagIdParamSchema,
+};
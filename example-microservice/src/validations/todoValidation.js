@@ -1,8 +1,25 @@
 const Joi = require('joi');
+const { parseRule } = require('../utils/rrule');
 
 // Custom UUID validation
 const uuidSchema = Joi.string().uuid({ version: 'uuidv4' });
 
+// iCalendar RRULE validation
+const recurrenceRuleSchema = Joi.string()
+  .trim()
+  .max(255)
+  .custom((value, helpers) => {
+    try {
+      parseRule(value);
+      return value;
+    } catch (error) {
+      return helpers.message(`Invalid recurrence rule: ${error.message}`);
+    }
+  })
+  .messages({
+    'string.max': 'Recurrence rule cannot exceed 255 characters',
+  });
+
 // Create todo validation schema
 const createTodoSchema = Joi.object({
   title: Joi.string()
@@ -38,11 +55,16 @@ const createTodoSchema = Joi.object({
     .min('now')
     .allow(null)
     .optional()
+    .when('recurrenceRule', { is: Joi.exist(), then: Joi.required().invalid(null) })
     .messages({
       'date.format': 'Due date must be a valid ISO date',
       'date.min': 'Due date cannot be in the past',
+      'any.required': 'Recurring todos need a due date',
+      'any.invalid': 'Recurring todos need a due date',
     }),
 
+  recurrenceRule: recurrenceRuleSchema.optional(),
+
   tags: Joi.array()
     .items(Joi.string().trim().min(1).max(50))
     .max(10)
@@ -54,6 +76,18 @@ const createTodoSchema = Joi.object({
       'string.max': 'Tag cannot exceed 50 characters',
     }),
 
+  blockedBy: Joi.array()
+    .items(uuidSchema)
+    .max(20)
+    .unique()
+    .allow(null)
+    .optional()
+    .messages({
+      'array.max': 'Cannot be blocked by more than 20 todos',
+      'array.unique': 'Blocking todos must be unique',
+      'string.guid': 'Invalid blocking todo ID format',
+    }),
+
   completed: Joi.boolean()
     .default(false)
     .optional(),
@@ -96,6 +130,8 @@ const updateTodoSchema = Joi.object({
       'date.format': 'Due date must be a valid ISO date',
     }),
 
+  recurrenceRule: recurrenceRuleSchema.allow(null).optional(),
+
   tags: Joi.array()
     .items(Joi.string().trim().min(1).max(50))
     .max(10)
@@ -107,6 +143,18 @@ const updateTodoSchema = Joi.object({
       'string.max': 'Tag cannot exceed 50 characters',
     }),
 
+  blockedBy: Joi.array()
+    .items(uuidSchema)
+    .max(20)
+    .unique()
+    .allow(null)
+    .optional()
+    .messages({
+      'array.max': 'Cannot be blocked by more than 20 todos',
+      'array.unique': 'Blocking todos must be unique',
+      'string.guid': 'Invalid blocking todo ID format',
+    }),
+
   completed: Joi.boolean()
     .optional(),
 }).min(1).messages({
@@ -138,10 +186,10 @@ const queryParamsSchema = Joi.object({
     }),
 
   status: Joi.string()
-    .valid('completed', 'pending', 'all')
+    .valid('completed', 'pending', 'blocked', 'all')
     .default('all')
     .messages({
-      'any.only': 'Status must be one of: completed, pending, all',
+      'any.only': 'Status must be one of: completed, pending, blocked, all',
     }),
 
   priority: Joi.string()
@@ -152,10 +200,10 @@ const queryParamsSchema = Joi.object({
     }),
 
   sortBy: Joi.string()
-    .valid('createdAt', 'updatedAt', 'dueDate', 'priority', 'title')
+    .valid('createdAt', 'updatedAt', 'dueDate', 'priority', 'title', 'relevance')
     .default('createdAt')
     .messages({
-      'any.only': 'SortBy must be one of: createdAt, updatedAt, dueDate, priority, title',
+      'any.only': 'SortBy must be one of: createdAt, updatedAt, dueDate, priority, title, relevance',
     }),
 
   sortOrder: Joi.string()
@@ -167,18 +215,149 @@ const queryParamsSchema = Joi.object({
 
   search: Joi.string()
     .trim()
-    .max(100)
+    .max(200)
     .optional()
+    .when('sortBy', { is: 'relevance', then: Joi.required() })
     .messages({
-      'string.max': 'Search term cannot exceed 100 characters',
+      'string.max': 'Search term cannot exceed 200 characters',
+      'any.required': 'Search term is required when sorting by relevance',
     }),
 
   tag: Joi.string()
     .trim()
-    .max(50)
+    .pattern(/^[^,]{1,50}(,[^,]{1,50}){0,9}$/)
     .optional()
     .messages({
-      'string.max': 'Tag cannot exceed 50 characters',
+      'string.pattern.base': 'Tag must be a comma-separated list of up to 10 tags of at most 50 characters each',
+    }),
+
+  tagMode: Joi.string()
+    .valid('any', 'all')
+    .default('any')
+    .messages({
+      'any.only': 'TagMode must be either any or all',
+    }),
+
+  cursor: Joi.string()
+    .max(1024)
+    .optional()
+    .when('sortBy', { is: 'relevance', then: Joi.forbidden() })
+    .messages({
+      'string.empty': 'Cursor cannot be empty',
+      'string.max': 'Cursor cannot exceed 1024 characters',
+      'any.unknown': 'Cursor pagination is not available when sorting by relevance',
+    }),
+
+  includeTotal: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'includeTotal must be true or false',
+    }),
+});
+
+// Trash query parameters validation schema
+const trashQueryParamsSchema = Joi.object({
+  page: queryParamsSchema.extract('page'),
+  limit: queryParamsSchema.extract('limit'),
+});
+
+// Live stream query parameters validation schema, with the filters of the list
+const streamQueryParamsSchema = Joi.object({
+  status: queryParamsSchema.extract('status'),
+  priority: queryParamsSchema.extract('priority'),
+  tag: queryParamsSchema.extract('tag'),
+  tagMode: queryParamsSchema.extract('tagMode'),
+});
+
+// Delta sync query parameters validation schema
+const changesQueryParamsSchema = Joi.object({
+  since: Joi.string()
+    .max(512)
+    .messages({
+      'string.empty': 'Sync token cannot be empty',
+      'string.max': 'Invalid sync token',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(500)
+    .default(100)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 500',
+    }),
+});
+
+// Client-side mutation of a sync batch; data is validated per item with the create or update schema
+const syncMutationSchema = Joi.object({
+  mutationId: Joi.string()
+    .max(64)
+    .required()
+    .messages({
+      'string.empty': 'Mutation ID cannot be empty',
+      'string.max': 'Mutation ID cannot exceed 64 characters',
+      'any.required': 'Mutation ID is required',
+    }),
+
+  op: Joi.string()
+    .valid('create', 'update', 'delete')
+    .required()
+    .messages({
+      'any.only': 'Operation must be one of: create, update, delete',
+      'any.required': 'Operation is required',
+    }),
+
+  // Offline clients choose the ID of the todos they create
+  id: uuidSchema
+    .when('op', { is: 'create', then: Joi.optional(), otherwise: Joi.required() })
+    .messages({
+      'string.guid': 'Invalid todo ID format',
+      'any.required': 'Todo ID is required',
+    }),
+
+  data: Joi.object()
+    .when('op', { is: 'delete', then: Joi.forbidden(), otherwise: Joi.required() })
+    .messages({
+      'object.base': 'Data must be an object',
+      'any.required': 'Data is required',
+      'any.unknown': 'Data is not allowed for deletes',
+    }),
+
+  baseVersion: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.base': 'Base version must be a number',
+      'number.integer': 'Base version must be an integer',
+      'number.min': 'Base version must be at least 1',
+    }),
+
+  clientTimestamp: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Client timestamp must be a valid ISO date',
+      'date.format': 'Client timestamp must be a valid ISO date',
+      'any.required': 'Client timestamp is required',
+    }),
+});
+
+// Sync batch validation schema
+const syncBatchSchema = Joi.object({
+  mutations: Joi.array()
+    .items(syncMutationSchema)
+    .min(1)
+    .max(100)
+    .unique('mutationId')
+    .required()
+    .messages({
+      'array.min': 'At least one mutation is required',
+      'array.max': 'Cannot sync more than 100 mutations at once',
+      'array.unique': 'Mutation IDs must be unique',
+      'any.required': 'Mutations array is required',
     }),
 });
 
@@ -190,9 +369,120 @@ const uuidParamSchema = Joi.object({
   }),
 });
 
+// Subtask parameters validation schema
+const subtaskParamSchema = uuidParamSchema.keys({
+  subtaskId: uuidSchema.required().messages({
+    'any.required': 'Subtask ID is required',
+    'string.guid': 'Invalid subtask ID format',
+  }),
+});
+
+// Completes blocked todos when true
+const forceSchema = Joi.boolean()
+  .default(false)
+  .messages({
+    'boolean.base': 'Force must be true or false',
+  });
+
+// Toggle query parameters validation schema
+const toggleQueryParamsSchema = Joi.object({
+  cascade: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'Cascade must be true or false',
+    }),
+
+  force: forceSchema,
+});
+
+// Update query parameters validation schema
+const updateQueryParamsSchema = Joi.object({
+  scope: Joi.string()
+    .valid('this', 'future')
+    .default('this')
+    .messages({
+      'any.only': 'Scope must be either this or future',
+    }),
+
+  force: forceSchema,
+});
+
+// Bulk update query parameters validation schema
+const bulkUpdateQueryParamsSchema = Joi.object({
+  force: forceSchema,
+});
+
+// Execution order query parameters validation schema
+const executionOrderQuerySchema = Joi.object({
+  ids: Joi.string()
+    .pattern(/^[0-9a-f-]{36}(,[0-9a-f-]{36}){0,99}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'IDs must be a comma-separated list of up to 100 todo IDs',
+      'any.required': 'IDs are required',
+    }),
+});
+
+// Bulk operations validation schemas
+const bulkUpdateSchema = Joi.object({
+  ids: Joi.array()
+    .items(uuidSchema)
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'array.min': 'At least one ID is required',
+      'array.max': 'Cannot update more than 50 todos at once',
+      'any.required': 'IDs array is required',
+    }),
+  // Series edits need the scope of a single update
+  updateData: updateTodoSchema.fork(['recurrenceRule'], (schema) => schema.forbidden()).required().messages({
+    'any.required': 'Update data is required',
+  }),
+});
+
+const bulkDeleteSchema = Joi.object({
+  ids: Joi.array()
+    .items(uuidSchema)
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'array.min': 'At least one ID is required',
+      'array.max': 'Cannot delete more than 50 todos at once',
+      'any.required': 'IDs array is required',
+    }),
+});
+
+const dueSoonQuerySchema = Joi.object({
+  days: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .default(7)
+    .messages({
+      'number.base': 'Days must be a number',
+      'number.integer': 'Days must be an integer',
+      'number.min': 'Days must be at least 1',
+      'number.max': 'Days cannot exceed 365',
+    }),
+});
+
 module.exports = {
   createTodoSchema,
   updateTodoSchema,
   queryParamsSchema,
+  trashQueryParamsSchema,
+  streamQueryParamsSchema,
+  changesQueryParamsSchema,
+  syncBatchSchema,
   uuidParamSchema,
+  subtaskParamSchema,
+  toggleQueryParamsSchema,
+  executionOrderQuerySchema,
+  updateQueryParamsSchema,
+  bulkUpdateSchema,
+  bulkUpdateQueryParamsSchema,
+  bulkDeleteSchema,
+  dueSoonQuerySchema,
 };
\ No newline at end of file
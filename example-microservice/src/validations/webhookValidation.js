@@ -0,0 +1,116 @@
+const Joi = require('joi');
+const { TODO_EVENT_TYPES } = require('../events');
+const { isAllowedTarget } = require('../utils/webhookTarget');
+
+// Event types a webhook can receive; '*' receives all of them
+const WEBHOOK_EVENTS = ['*', ...Object.values(TODO_EVENT_TYPES)];
+
+const urlSchema = Joi.string()
+  .trim()
+  .uri({ scheme: ['http', 'https'] })
+  .max(2048)
+  .custom((value, helpers) => {
+    try {
+      return isAllowedTarget(value) ? value : helpers.error('string.blockedHost');
+    } catch (error) {
+      // Not a URL, which the uri rule reports
+      return value;
+    }
+  })
+  .messages({
+    'string.empty': 'URL cannot be empty',
+    'string.uri': 'URL must be a valid http or https URL',
+    'string.uriCustomScheme': 'URL must be a valid http or https URL',
+    'string.max': 'URL cannot exceed 2048 characters',
+    'string.blockedHost': 'URL cannot point to a loopback, private or link-local address',
+    'any.required': 'URL is required',
+  });
+
+const eventsSchema = Joi.array()
+  .items(Joi.string().valid(...WEBHOOK_EVENTS))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`,
+    'array.min': 'At least one event is required',
+    'array.unique': 'Events must be unique',
+    'any.required': 'Events are required',
+  });
+
+const secretSchema = Joi.string()
+  .min(16)
+  .max(255)
+  .messages({
+    'string.empty': 'Secret cannot be empty',
+    'string.min': 'Secret must be at least 16 characters long',
+    'string.max': 'Secret cannot exceed 255 characters',
+    'any.required': 'Secret is required',
+  });
+
+// Create webhook validation schema
+const createWebhookSchema = Joi.object({
+  url: urlSchema.required(),
+  events: eventsSchema.required(),
+  secret: secretSchema.required(),
+});
+
+// Update webhook validation schema
+const updateWebhookSchema = Joi.object({
+  url: urlSchema.optional(),
+  events: eventsSchema.optional(),
+  secret: secretSchema.optional(),
+  active: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Active must be a boolean value',
+    }),
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update',
+});
+
+// Webhook ID parameter validation schema
+const webhookIdParamSchema = Joi.object({
+  id: Joi.string().uuid({ version: 'uuidv4' }).required().messages({
+    'any.required': 'Webhook ID is required',
+    'string.guid': 'Invalid webhook ID format',
+  }),
+});
+
+// Delivery log query parameters validation schema
+const deliveryQueryParamsSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1',
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+
+  status: Joi.string()
+    .valid('pending', 'succeeded', 'failed')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: pending, succeeded, failed',
+    }),
+});
+
+module.exports = {
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdParamSchema,
+  deliveryQueryParamsSchema,
+};
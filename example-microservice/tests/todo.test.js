@@ -1,5 +1,66 @@
+const http = require('http');
 const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
 const app = require('../src/app');
+const authService = require('../src/services/authService');
+const Todo = require('../src/models/Todo');
+const {
+  parseSearchQuery,
+  toBooleanQuery,
+  buildHighlightPattern,
+  highlight,
+} = require('../src/utils/search');
+const { topologicalOrder } = require('../src/utils/dependencyGraph');
+const { parseRule, nextOccurrence, occurrenceAfter } = require('../src/utils/rrule');
+const reminderService = require('../src/services/reminderService');
+const leaseService = require('../src/services/leaseService');
+const TodoReminder = require('../src/models/TodoReminder');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const ApiKey = require('../src/models/ApiKey');
+const OutboxEvent = require('../src/models/OutboxEvent');
+const Webhook = require('../src/models/Webhook');
+const AuditLog = require('../src/models/AuditLog');
+const auditService = require('../src/services/auditService');
+const apiKeyService = require('../src/services/apiKeyService');
+const idempotencyService = require('../src/services/idempotencyService');
+const todoService = require('../src/services/todoService');
+const outboxService = require('../src/services/outboxService');
+const { createTransport } = require('../src/transports');
+const createIntervalJob = require('../src/jobs/createIntervalJob');
+const webhookService = require('../src/services/webhookService');
+const streamService = require('../src/services/streamService');
+const syncService = require('../src/services/syncService');
+const collaborationServer = require('../src/realtime/collaborationServer');
+const { signPayload, verifySignature } = require('../src/utils/webhookSignature');
+const webhookTarget = require('../src/utils/webhookTarget');
+const config = require('../src/config');
+const { listRoutes, buildSpec } = require('../src/docs/openapi');
+const operations = require('../src/docs/operations');
+const { parse, getOperationAST } = require('graphql');
+const { schema: graphqlSchema } = require('../src/graphql/schema');
+const { measureOperation } = require('../src/graphql/limits');
+const { UniqueViolationError, DBError } = require('objection');
+const { ApiError, translateDatabaseError, toApiError } = require('../src/middleware/errorHandler');
+const { ERRORS } = require('../src/config/errorCodes');
+const WebSocket = require('ws');
+const grpc = require('@grpc/grpc-js');
+const grpcServer = require('../src/grpc/server');
+const { todoProto } = require('../src/grpc/proto');
+
+const userId = uuidv4();
+const authHeader = `Bearer ${authService.generateToken({ id: userId, role: 'member' })}`;
+const readonlyHeader = `Bearer ${authService.generateToken({ id: userId, role: 'readonly' })}`;
+const adminHeader = `Bearer ${authService.generateToken({ id: uuidv4(), role: 'admin' })}`;
+
+// Stands in for an Objection query resolving to a result, for tests that need no database
+const queryOf = (result) => {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['where', 'whereIn', 'whereBetween', 'orderBy', 'offset', 'limit', 'first', 'patch', 'max', 'modify', 'findById', 'forUpdate'].forEach((method) => {
+    query[method] = () => query;
+  });
+  query.catch = (reject) => query.then(undefined, reject);
+  return query;
+};
 
 describe('Todo API', () => {
   describe('Health Checks', () => {
@@ -23,6 +84,295 @@ describe('Todo API', () => {
     });
   });
 
+  describe('Authentication', () => {
+    test('GET /api/v1/todos without a token should return 401', async () => {
+      const response = await request(app)
+        .get('/api/v1/todos')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('GET /api/v1/todos with an invalid token should return 401', async () => {
+      await request(app)
+        .get('/api/v1/todos')
+        .set('Authorization', 'Bearer not-a-real-token')
+        .expect(401);
+    });
+
+    test('GET /api/v1/todos/:id should not return another user\'s todo', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Private Todo' })
+        .expect(201);
+
+      const otherUserHeader = `Bearer ${authService.generateToken({ id: uuidv4() })}`;
+
+      await request(app)
+        .get(`/api/v1/todos/${created.body.data.id}`)
+        .set('Authorization', otherUserHeader)
+        .expect(404);
+    });
+
+    test('the default JWT secret should only be used in development and test', () => {
+      const loadConfig = (env) => {
+        const saved = { NODE_ENV: process.env.NODE_ENV, JWT_SECRET: process.env.JWT_SECRET };
+        Object.assign(process.env, { JWT_SECRET: '', ...env });
+        try {
+          let loaded;
+          jest.isolateModules(() => {
+            loaded = require('../src/config');
+          });
+          return loaded;
+        } finally {
+          Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+          });
+        }
+      };
+
+      expect(() => loadConfig({ NODE_ENV: 'production' })).toThrow(/JWT_SECRET/);
+      expect(() => loadConfig({ NODE_ENV: 'staging' })).toThrow(/JWT_SECRET/);
+      expect(() => loadConfig({ NODE_ENV: 'production', JWT_SECRET: 'change-me-in-production' })).toThrow(/JWT_SECRET/);
+      expect(loadConfig({ NODE_ENV: 'production', JWT_SECRET: 'a-secret-of-our-own' }).auth.jwtSecret).toBe('a-secret-of-our-own');
+      expect(loadConfig({ NODE_ENV: 'test' }).auth.jwtSecret).toBe('change-me-in-production');
+    });
+  });
+
+  describe('Authorization', () => {
+    test('readonly users should get 403 on writes', async () => {
+      const response = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', readonlyHeader)
+        .send({ title: 'Not allowed' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+
+    test('members should get 403 on bulk operations', async () => {
+      await request(app)
+        .delete('/api/v1/todos/bulk')
+        .set('Authorization', authHeader)
+        .send({ ids: [uuidv4()] })
+        .expect(403);
+    });
+
+    test('readonly users can read statistics', async () => {
+      await request(app)
+        .get('/api/v1/todos/stats')
+        .set('Authorization', readonlyHeader)
+        .expect(200);
+    });
+
+    test('admins can bulk update todos of any owner', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Owned by a member' })
+        .expect(201);
+
+      const response = await request(app)
+        .patch('/api/v1/todos/bulk')
+        .set('Authorization', adminHeader)
+        .send({ ids: [created.body.data.id], updateData: { priority: 'high' } })
+        .expect(200);
+
+      expect(response.body.data.updatedCount).toBe(1);
+    });
+  });
+
+  describe('Tenant Isolation', () => {
+    const tenantUserId = uuidv4();
+    const tenantAHeader = `Bearer ${authService.generateToken({ id: tenantUserId, tenantId: 'tenant-a' })}`;
+    const tenantBHeader = `Bearer ${authService.generateToken({ id: tenantUserId, tenantId: 'tenant-b' })}`;
+    const tenantBAdminHeader = `Bearer ${authService.generateToken({
+      id: uuidv4(),
+      role: 'admin',
+      tenantId: 'tenant-b',
+    })}`;
+
+    test('Todo queries without a tenant scope should be rejected', async () => {
+      await expect(Todo.query()).rejects.toThrow('missing a tenant scope');
+    });
+
+    test('Todo queries should always filter by tenant', () => {
+      const sql = Todo.forTenant('tenant-a').where('completed', false).toKnexQuery().toString();
+
+      expect(sql).toContain('`todos`.`tenantId` = \'tenant-a\'');
+    });
+
+    test('X-Tenant-ID outside the token\'s tenants should return 403', async () => {
+      await request(app)
+        .get('/api/v1/todos')
+        .set('Authorization', tenantAHeader)
+        .set('X-Tenant-ID', 'tenant-b')
+        .expect(403);
+    });
+
+    test('X-Tenant-ID should select one of the token\'s tenants', async () => {
+      const multiTenantHeader = `Bearer ${authService.generateToken({
+        id: tenantUserId,
+        tenants: ['tenant-a', 'tenant-b'],
+      })}`;
+
+      await request(app)
+        .get('/api/v1/todos/stats')
+        .set('Authorization', multiTenantHeader)
+        .set('X-Tenant-ID', 'tenant-b')
+        .expect(200);
+    });
+
+    test('X-Tenant-ID should select the token\'s own tenantId besides its tenants', async () => {
+      const spy = jest.spyOn(Todo, 'getStatistics').mockResolvedValueOnce({ total: 0 });
+      const homeTenantHeader = `Bearer ${authService.generateToken({
+        id: tenantUserId,
+        tenantId: 'tenant-a',
+        tenants: ['tenant-b'],
+      })}`;
+
+      try {
+        await request(app)
+          .get('/api/v1/todos/stats')
+          .set('Authorization', homeTenantHeader)
+          .set('X-Tenant-ID', 'tenant-a')
+          .expect(200);
+
+        expect(spy).toHaveBeenCalledWith(expect.objectContaining({ tenantId: 'tenant-a' }));
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    test('todos should not be readable from another tenant', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', tenantAHeader)
+        .send({ title: 'Tenant A Todo' })
+        .expect(201);
+
+      await request(app)
+        .get(`/api/v1/todos/${created.body.data.id}`)
+        .set('Authorization', tenantBHeader)
+        .expect(404);
+
+      const list = await request(app)
+        .get('/api/v1/todos')
+        .set('Authorization', tenantBHeader)
+        .expect(200);
+
+      expect(list.body.data.map((todo) => todo.id)).not.toContain(created.body.data.id);
+    });
+
+    test('bulk updates should not reach todos of another tenant', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', tenantAHeader)
+        .send({ title: 'Tenant A Todo', priority: 'low' })
+        .expect(201);
+
+      const response = await request(app)
+        .patch('/api/v1/todos/bulk')
+        .set('Authorization', tenantBAdminHeader)
+        .send({ ids: [created.body.data.id], updateData: { priority: 'high' } })
+        .expect(200);
+
+      expect(response.body.data.updatedCount).toBe(0);
+
+      const unchanged = await request(app)
+        .get(`/api/v1/todos/${created.body.data.id}`)
+        .set('Authorization', tenantAHeader)
+        .expect(200);
+
+      expect(unchanged.body.data.priority).toBe('low');
+    });
+  });
+
+  describe('API Keys', () => {
+    test('POST /api/v1/api-keys should return 403 for non-admins', async () => {
+      await request(app)
+        .post('/api/v1/api-keys')
+        .set('Authorization', authHeader)
+        .send({ name: 'Reporting service', scopes: ['todos:read'] })
+        .expect(403);
+    });
+
+    test('POST /api/v1/api-keys should reject unknown scopes', async () => {
+      const response = await request(app)
+        .post('/api/v1/api-keys')
+        .set('Authorization', adminHeader)
+        .send({ name: 'Reporting service', scopes: ['apikeys:manage'] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('API keys should not be granted webhooks:manage', async () => {
+      await request(app)
+        .post('/api/v1/api-keys')
+        .set('Authorization', adminHeader)
+        .send({ name: 'Webhook manager', scopes: ['todos:read', 'webhooks:manage'] })
+        .expect(400);
+
+      // Keys granted the scope before it was withdrawn lose it
+      const query = jest.spyOn(ApiKey, 'query').mockReturnValue(queryOf(ApiKey.fromJson({
+        id: uuidv4(),
+        tenantId: 'default',
+        createdBy: uuidv4(),
+        name: 'Webhook manager',
+        keyPrefix: 'tdk_old',
+        keyHash: apiKeyService.hashKey('tdk_old'),
+        scopes: ['todos:read', 'webhooks:manage'],
+      })));
+
+      try {
+        const response = await request(app)
+          .get('/api/v1/webhooks')
+          .set('X-API-Key', 'tdk_old')
+          .expect(403);
+
+        expect(response.body.error.message).toBe("API key is missing the 'webhooks:manage' scope");
+      } finally {
+        query.mockRestore();
+      }
+    });
+
+    test('API keys should authenticate within their scopes until revoked', async () => {
+      const created = await request(app)
+        .post('/api/v1/api-keys')
+        .set('Authorization', adminHeader)
+        .send({ name: 'Reporting service', scopes: ['todos:read'] })
+        .expect(201);
+
+      const { id, key } = created.body.data;
+      expect(created.body.data.keyHash).toBeUndefined();
+
+      await request(app)
+        .get('/api/v1/todos/stats')
+        .set('X-API-Key', key)
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/todos')
+        .set('X-API-Key', key)
+        .send({ title: 'Created by a service' })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/api-keys/${id}`)
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/todos/stats')
+        .set('X-API-Key', key)
+        .expect(401);
+    });
+  });
+
   describe('Todo CRUD Operations', () => {
     let todoId;
 
@@ -36,6 +386,7 @@ describe('Todo API', () => {
 
       const response = await request(app)
         .post('/api/v1/todos')
+        .set('Authorization', authHeader)
         .send(todoData)
         .expect(201);
 
@@ -49,6 +400,7 @@ describe('Todo API', () => {
     test('GET /api/v1/todos should return all todos', async () => {
       const response = await request(app)
         .get('/api/v1/todos')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -57,6 +409,31 @@ describe('Todo API', () => {
       expect(response.body.pagination).toBeDefined();
     });
 
+    test('GET /api/v1/todos with a cursor should continue after the previous page', async () => {
+      const first = await request(app)
+        .get('/api/v1/todos?limit=1&sortBy=title&sortOrder=asc')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const { nextCursor } = first.body.pagination;
+      if (!nextCursor) {
+        return; // Skip if there is only one todo
+      }
+
+      const second = await request(app)
+        .get(`/api/v1/todos?limit=1&sortBy=title&sortOrder=asc&cursor=${nextCursor}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(second.body.data[0].id).not.toBe(first.body.data[0].id);
+      expect(second.body.pagination.totalItems).toBeUndefined();
+
+      await request(app)
+        .get(`/api/v1/todos?limit=1&sortBy=dueDate&cursor=${nextCursor}`)
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
     test('GET /api/v1/todos/:id should return specific todo', async () => {
       if (!todoId) {
         return; // Skip if no todo was created
@@ -64,6 +441,7 @@ describe('Todo API', () => {
 
       const response = await request(app)
         .get(`/api/v1/todos/${todoId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -82,6 +460,7 @@ describe('Todo API', () => {
 
       const response = await request(app)
         .put(`/api/v1/todos/${todoId}`)
+        .set('Authorization', authHeader)
         .send(updateData)
         .expect(200);
 
@@ -97,15 +476,1524 @@ describe('Todo API', () => {
 
       await request(app)
         .delete(`/api/v1/todos/${todoId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       // Verify todo is deleted
       await request(app)
         .get(`/api/v1/todos/${todoId}`)
+        .set('Authorization', authHeader)
+        .expect(404);
+    });
+  });
+
+  describe('Trash', () => {
+    test('deleted todos should move to the trash and be restorable', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Deleted by mistake' })
+        .expect(201);
+
+      const { id } = created.body.data;
+
+      await request(app)
+        .delete(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const trash = await request(app)
+        .get('/api/v1/todos/trash')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(trash.body.data.map((todo) => todo.id)).toContain(id);
+
+      const restored = await request(app)
+        .post(`/api/v1/todos/${id}/restore`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(restored.body.data.deletedAt).toBeNull();
+
+      await request(app)
+        .get(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+    });
+
+    test('POST /api/v1/todos/:id/restore should return 404 for todos not in the trash', async () => {
+      await request(app)
+        .post(`/api/v1/todos/${uuidv4()}/restore`)
+        .set('Authorization', authHeader)
         .expect(404);
     });
   });
 
+  describe('Optimistic Concurrency', () => {
+    test('stale If-Match should return 412 and If-None-Match should return 304', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Edited twice' })
+        .expect(201);
+
+      const { id } = created.body.data;
+
+      const fetched = await request(app)
+        .get(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const etag = fetched.headers.etag;
+      expect(etag).toBe('"1"');
+
+      await request(app)
+        .get(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .set('If-None-Match', etag)
+        .expect(304);
+
+      const updated = await request(app)
+        .put(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .set('If-Match', etag)
+        .send({ title: 'First edit' })
+        .expect(200);
+
+      expect(updated.headers.etag).toBe('"2"');
+
+      const response = await request(app)
+        .put(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .set('If-Match', etag)
+        .send({ title: 'Second edit' })
+        .expect(412);
+
+      expect(response.body.error.code).toBe('PRECONDITION_FAILED');
+
+      await request(app)
+        .delete(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .set('If-Match', etag)
+        .expect(412);
+    });
+  });
+
+  describe('Idempotency', () => {
+    test('retrying POST /api/v1/todos with the same Idempotency-Key should replay the response', async () => {
+      const key = `create-${Date.now()}`;
+
+      const first = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .set('Idempotency-Key', key)
+        .send({ title: 'Created once' })
+        .expect(201);
+
+      const retry = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .set('Idempotency-Key', key)
+        .send({ title: 'Created once' })
+        .expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.id).toBe(first.body.data.id);
+
+      await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .set('Idempotency-Key', key)
+        .send({ title: 'Something else' })
+        .expect(422);
+    });
+
+    test('replayed errors should keep their problem+json content type', async () => {
+      const stored = {};
+      jest.spyOn(idempotencyService, 'begin')
+        .mockResolvedValueOnce({ record: stored, replay: false })
+        .mockResolvedValueOnce({ record: stored, replay: true });
+      jest.spyOn(idempotencyService, 'complete').mockImplementationOnce(async (record, { status, headers, body }) => {
+        Object.assign(stored, { responseStatus: status, responseHeaders: headers, responseBody: body });
+      });
+      jest.spyOn(todoService, 'createTodo').mockRejectedValueOnce(new ApiError(404, 'Todo not found', 'TODO_NOT_FOUND'));
+
+      try {
+        const send = () => request(app)
+          .post('/api/v1/todos')
+          .set('Authorization', authHeader)
+          .set('Accept', 'application/problem+json')
+          .set('Idempotency-Key', 'create-subtask-of-missing-parent')
+          .send({ title: 'Orphan', parentId: uuidv4() })
+          .expect(404);
+
+        const first = await send();
+        const retry = await send();
+
+        expect(first.headers['content-type']).toMatch(/^application\/problem\+json/);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(retry.headers['content-type']).toBe(first.headers['content-type']);
+        expect(retry.headers.vary).toMatch(/\bAccept\b/);
+        expect(retry.body).toEqual(first.body);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    describe('abandoned keys', () => {
+      const user = { id: userId, tenantId: 'default', role: 'member' };
+      const claim = { key: 'create-abandoned', method: 'POST', path: '/api/v1/todos', body: { title: 'Created once' } };
+      const inSeconds = (seconds) => new Date(Date.now() + seconds * 1000).toISOString();
+      const duplicate = new UniqueViolationError({
+        nativeError: new Error('Duplicate entry'), client: 'mysql', table: 'idempotency_keys', columns: [], constraint: '',
+      });
+
+      // The insert of the claim fails on the stored key, which is then read back
+      const storedKey = (lockedUntil) => {
+        const existing = IdempotencyKey.fromJson({
+          tenantId: user.tenantId,
+          principalId: user.id,
+          idempotencyKey: claim.key,
+          method: claim.method,
+          path: claim.path,
+          fingerprint: idempotencyService.fingerprint(claim),
+          status: 'processing',
+          lockedUntil,
+          expiresAt: inSeconds(86400),
+        });
+        existing.id = uuidv4();
+
+        return jest.spyOn(IdempotencyKey, 'query')
+          .mockReturnValueOnce({ insert: () => Promise.reject(duplicate) })
+          .mockReturnValueOnce(queryOf(existing))
+          .mockReturnValueOnce(queryOf(1));
+      };
+
+      afterEach(() => jest.restoreAllMocks());
+
+      test('a retry should take over a key whose request outlived its lock', async () => {
+        storedKey(inSeconds(-5));
+
+        const { record, replay } = await idempotencyService.begin(claim, user);
+
+        expect(replay).toBe(false);
+        expect(new Date(record.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+      });
+
+      test('a retry should get 409 while the first request holds the lock', async () => {
+        storedKey(inSeconds(60));
+
+        await expect(idempotencyService.begin(claim, user)).rejects.toMatchObject({
+          statusCode: 409,
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        });
+      });
+    });
+  });
+
+  describe('Audit Log', () => {
+    test('GET /api/v1/todos/:id/history should list every mutation with a diff', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Audited Todo' })
+        .expect(201);
+
+      const { id } = created.body.data;
+
+      await request(app)
+        .put(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Audited Todo (renamed)' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${id}/history`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.map((record) => record.action)).toEqual(['create', 'update']);
+
+      const update = response.body.data[1];
+      expect(update.actorId).toBe(userId);
+      expect(update.requestId).toBeDefined();
+      expect(update.changes.title).toEqual({
+        from: 'Audited Todo',
+        to: 'Audited Todo (renamed)',
+      });
+    });
+
+    test('GET /api/v1/audit should return 403 for non-admins', async () => {
+      await request(app)
+        .get('/api/v1/audit')
+        .set('Authorization', authHeader)
+        .expect(403);
+    });
+
+    test('GET /api/v1/audit should filter by action for admins', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit?action=create')
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(response.body.data.every((record) => record.action === 'create')).toBe(true);
+    });
+
+    test('GET /api/v1/audit should accept every recorded action as a filter', async () => {
+      const list = jest.spyOn(auditService, 'listAuditLogs').mockResolvedValue({
+        data: [],
+        pagination: { currentPage: 1 },
+      });
+
+      try {
+        for (const action of ['tag_rename', 'tag_merge', 'tag_delete', 'purge']) {
+          await request(app)
+            .get(`/api/v1/audit?action=${action}`)
+            .set('Authorization', adminHeader)
+            .expect(200);
+        }
+
+        await request(app)
+          .get('/api/v1/audit?action=tag_recolor')
+          .set('Authorization', adminHeader)
+          .expect(400);
+        expect(() => AuditLog.fromJson({
+          tenantId: 'default', entityType: 'todo', entityId: uuidv4(), action: 'tag_recolor', actorType: 'user',
+        })).toThrow();
+      } finally {
+        list.mockRestore();
+      }
+    });
+  });
+
+  describe('Tags', () => {
+    test('PATCH /api/v1/tags/:id should return 403 for non-admins', async () => {
+      await request(app)
+        .patch(`/api/v1/tags/${uuidv4()}`)
+        .set('Authorization', authHeader)
+        .send({ name: 'renamed' })
+        .expect(403);
+    });
+
+    test('tags should filter todos with any/all semantics and be listed with usage counts', async () => {
+      const tagged = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Tagged Todo', tags: ['alpha', 'beta'] })
+        .expect(201);
+
+      expect(tagged.body.data.tags).toEqual(['alpha', 'beta']);
+
+      const all = await request(app)
+        .get('/api/v1/todos?tag=alpha,gamma&tagMode=all')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(all.body.data.map((todo) => todo.id)).not.toContain(tagged.body.data.id);
+
+      const any = await request(app)
+        .get('/api/v1/todos?tag=alpha,gamma&tagMode=any')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(any.body.data.map((todo) => todo.id)).toContain(tagged.body.data.id);
+
+      const tags = await request(app)
+        .get('/api/v1/tags')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(tags.body.data.find((tag) => tag.name === 'alpha').usageCount).toBeGreaterThan(0);
+    });
+
+    test('tags set to an empty list should stay [] while unset tags are null', async () => {
+      const untagged = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Untagged Todo' })
+        .expect(201);
+
+      expect(untagged.body.data.tags).toBeNull();
+
+      const emptied = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Emptied Todo', tags: [] })
+        .expect(201);
+
+      expect(emptied.body.data.tags).toEqual([]);
+
+      const updated = await request(app)
+        .put(`/api/v1/todos/${untagged.body.data.id}`)
+        .set('Authorization', authHeader)
+        .send({ tags: [] })
+        .expect(200);
+
+      expect(updated.body.data.tags).toEqual([]);
+    });
+
+    test('todos should serialize tags as [] only when they were set', () => {
+      const serialize = (tagsText) => Todo.fromJson({ title: 'Todo', tagsText }, { skipValidation: true })
+        .$setRelated('tagRecords', [])
+        .toJSON();
+
+      expect(serialize(null).tags).toBeNull();
+      expect(serialize('').tags).toEqual([]);
+      expect(serialize('').tagsText).toBeUndefined();
+    });
+  });
+
+  describe('Subtasks', () => {
+    test('PATCH /api/v1/todos/:id/toggle should reject an invalid cascade flag', async () => {
+      await request(app)
+        .patch(`/api/v1/todos/${uuidv4()}/toggle?cascade=maybe`)
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    test('subtasks should drive the completion percentage and cascade toggles', async () => {
+      const parent = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Parent Todo' })
+        .expect(201);
+
+      const parentId = parent.body.data.id;
+
+      const first = await request(app)
+        .post(`/api/v1/todos/${parentId}/subtasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'First Subtask' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/v1/todos/${parentId}/subtasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Second Subtask' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/v1/todos/${first.body.data.id}/subtasks`)
+        .set('Authorization', authHeader)
+        .send({ title: 'Nested Subtask' })
+        .expect(400);
+
+      await request(app)
+        .patch(`/api/v1/todos/${first.body.data.id}/toggle`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const halfDone = await request(app)
+        .get(`/api/v1/todos/${parentId}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(halfDone.body.data.completionPercentage).toBe(50);
+      expect(halfDone.headers.etag).not.toBe(parent.headers.etag);
+
+      const toggled = await request(app)
+        .patch(`/api/v1/todos/${parentId}/toggle?cascade=true`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(toggled.body.data.completionPercentage).toBe(100);
+
+      const subtasks = await request(app)
+        .get(`/api/v1/todos/${parentId}/subtasks`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(subtasks.body.data.every((subtask) => subtask.completed)).toBe(true);
+
+      const list = await request(app)
+        .get('/api/v1/todos?limit=100')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(list.body.data.map((todo) => todo.id)).not.toContain(first.body.data.id);
+    });
+  });
+
+  describe('Recurring Todos', () => {
+    test('recurrence rules should compute the next occurrence until the series ends', () => {
+      const rule = parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=3');
+      const monday = new Date('2025-01-06T09:00:00.000Z');
+
+      const wednesday = nextOccurrence(rule, monday, 1);
+      expect(wednesday.toISOString()).toBe('2025-01-08T09:00:00.000Z');
+      expect(nextOccurrence(rule, wednesday, 2).toISOString()).toBe('2025-01-20T09:00:00.000Z');
+      expect(nextOccurrence(rule, wednesday, 3)).toBeNull();
+      expect(() => parseRule('FREQ=HOURLY')).toThrow();
+    });
+
+    test('the occurrence after a date should skip the periods before it', () => {
+      const start = new Date('2020-01-06T09:00:00.000Z');
+      const now = new Date('2025-01-08T12:00:00.000Z');
+
+      expect(occurrenceAfter(parseRule('FREQ=DAILY'), start, 1, now))
+        .toEqual({ date: new Date('2025-01-09T09:00:00.000Z'), occurrence: 1831 });
+      expect(occurrenceAfter(parseRule('FREQ=WEEKLY;BYDAY=MO,WE'), start, 1, now).date)
+        .toEqual(new Date('2025-01-13T09:00:00.000Z'));
+      expect(occurrenceAfter(parseRule('FREQ=DAILY'), start, 1, new Date('2019-01-01')).date)
+        .toEqual(new Date('2020-01-07T09:00:00.000Z'));
+      expect(occurrenceAfter(parseRule('FREQ=DAILY;COUNT=30'), start, 1, now)).toBeNull();
+    });
+
+    test('projections of an overdue series should start after now', () => {
+      const now = new Date('2025-01-08T12:00:00.000Z');
+      const overdue = Todo.fromJson({
+        tenantId: 'default',
+        ownerId: userId,
+        title: 'Stand-up',
+        recurrenceRule: 'FREQ=DAILY',
+        seriesId: uuidv4(),
+        occurrence: 1,
+        occurrenceDate: '2020-01-06T09:00:00.000Z',
+        dueDate: '2020-01-06T09:00:00.000Z',
+      });
+
+      const projected = Todo.projectOccurrences([overdue], new Date('2025-01-11T12:00:00.000Z'), now);
+
+      expect(projected.map((todo) => todo.dueDate)).toEqual([
+        '2025-01-09T09:00:00.000Z',
+        '2025-01-10T09:00:00.000Z',
+        '2025-01-11T09:00:00.000Z',
+      ]);
+      expect(projected.map((todo) => todo.occurrence)).toEqual([1831, 1832, 1833]);
+    });
+
+    test('POST /api/v1/todos should reject an invalid recurrence rule', async () => {
+      await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Recurring Todo', dueDate: '2099-01-01T09:00:00.000Z', recurrenceRule: 'FREQ=SOMETIMES' })
+        .expect(400);
+    });
+
+    test('completing a recurring todo should create the next occurrence', async () => {
+      const first = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Recurring Todo', dueDate: '2099-01-01T09:00:00.000Z', recurrenceRule: 'FREQ=DAILY' })
+        .expect(201);
+
+      expect(first.body.data.occurrence).toBe(1);
+
+      await request(app)
+        .patch(`/api/v1/todos/${first.body.data.id}/toggle`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/v1/todos?status=pending&limit=100')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const next = list.body.data.find((todo) => todo.seriesId === first.body.data.seriesId);
+      expect(next.occurrence).toBe(2);
+      expect(new Date(next.dueDate).toISOString()).toBe('2099-01-02T09:00:00.000Z');
+    });
+
+    test('completing recurring todos in bulk should create their next occurrences', async () => {
+      const first = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Weekly Todo', dueDate: '2099-01-01T09:00:00.000Z', recurrenceRule: 'FREQ=WEEKLY' })
+        .expect(201);
+
+      await request(app)
+        .patch('/api/v1/todos/bulk')
+        .set('Authorization', adminHeader)
+        .send({ ids: [first.body.data.id], updateData: { completed: true } })
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/v1/todos?status=pending&limit=100')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const next = list.body.data.find((todo) => todo.seriesId === first.body.data.seriesId);
+      expect(next.occurrence).toBe(2);
+      expect(new Date(next.dueDate).toISOString()).toBe('2099-01-08T09:00:00.000Z');
+    });
+  });
+
+  describe('Domain Events', () => {
+    test('todo changes should map to lifecycle events', () => {
+      const pending = { completed: false, deletedAt: null };
+
+      expect(outboxService.todoEventType(null, pending)).toBe('TodoCreated');
+      expect(outboxService.todoEventType(pending, { ...pending, title: 'Renamed' })).toBe('TodoUpdated');
+      expect(outboxService.todoEventType(pending, { ...pending, completed: true })).toBe('TodoCompleted');
+      expect(outboxService.todoEventType(pending, { ...pending, deletedAt: new Date().toISOString() })).toBe('TodoDeleted');
+    });
+
+    test('failed deliveries should back off exponentially up to the maximum delay', () => {
+      expect(outboxService.retryDelay(1)).toBe(1000);
+      expect(outboxService.retryDelay(3)).toBe(4000);
+      expect(outboxService.retryDelay(30)).toBe(300000);
+    });
+
+    test('the memory transport should keep published messages', async () => {
+      const transport = createTransport({ transport: 'memory' });
+      await transport.publish({ id: 'event-1' });
+
+      expect(transport.published).toEqual([{ id: 'event-1' }]);
+      expect(() => createTransport({ transport: 'carrier-pigeon' })).toThrow('Unknown outbox transport');
+    });
+
+    test('a scheduled job should not start a run while the previous one is in progress', async () => {
+      let finish;
+      const task = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+      const job = createIntervalJob({ name: 'slow relay', intervalMs: 1000, task });
+
+      const first = job.runOnce();
+      const second = job.runOnce();
+      await Promise.resolve();
+      expect(task).toHaveBeenCalledTimes(1);
+
+      finish();
+      await Promise.all([first, second]);
+      const third = job.runOnce();
+      await Promise.resolve();
+      expect(task).toHaveBeenCalledTimes(2);
+
+      finish();
+      await third;
+    });
+  });
+
+  describe('Webhooks', () => {
+    test('POST /api/v1/webhooks should return 403 for non-admins', async () => {
+      await request(app)
+        .post('/api/v1/webhooks')
+        .set('Authorization', authHeader)
+        .send({ url: 'https://example.com/hooks', events: ['*'], secret: 'a-sufficiently-long-secret' })
+        .expect(403);
+    });
+
+    test('POST /api/v1/webhooks should reject unknown events and non-http URLs', async () => {
+      const response = await request(app)
+        .post('/api/v1/webhooks')
+        .set('Authorization', adminHeader)
+        .send({ url: 'ftp://example.com/hooks', events: ['TodoArchived'], secret: 'short' })
+        .expect(400);
+
+      const fields = response.body.error.details.map((detail) => detail.field);
+      expect(fields).toEqual(expect.arrayContaining(['url', 'events.0', 'secret']));
+    });
+
+    test('POST /api/v1/webhooks should refuse loopback, private and link-local URLs', async () => {
+      const urls = [
+        'http://169.254.169.254/latest/meta-data',
+        'http://127.0.0.1:8080/hooks',
+        'http://localhost/hooks',
+        'http://10.0.0.5/hooks',
+        'http://192.168.1.10/hooks',
+        'http://[::1]/hooks',
+        'http://[::ffff:172.16.0.1]/hooks',
+      ];
+
+      for (const url of urls) {
+        const response = await request(app)
+          .post('/api/v1/webhooks')
+          .set('Authorization', adminHeader)
+          .send({ url, events: ['*'], secret: 'a-sufficiently-long-secret' })
+          .expect(400);
+
+        expect(response.body.error.details).toEqual([
+          expect.objectContaining({ field: 'url', message: 'URL cannot point to a loopback, private or link-local address' }),
+        ]);
+      }
+    });
+
+    test('deliveries should not connect to hosts resolving to blocked addresses', async () => {
+      const lookup = (hostname) => new Promise((resolve) => {
+        webhookTarget.lookup(hostname, { all: true }, (error, addresses) => resolve(error || addresses));
+      });
+      const webhook = { id: uuidv4(), url: 'http://127.0.0.1:9/hooks', secret: 'a-sufficiently-long-secret' };
+      const delivery = { id: uuidv4(), eventType: 'TodoCompleted', payload: {} };
+
+      expect(await lookup('localhost')).toEqual(expect.objectContaining({
+        message: expect.stringMatching(/^localhost resolves to the blocked address/),
+      }));
+      expect(await webhookService.post(webhook, delivery)).toEqual({
+        ok: false,
+        responseStatus: null,
+        error: 'URL points to a loopback, private or link-local address',
+      });
+
+      jest.replaceProperty(config.webhooks, 'allowedHosts', ['localhost']);
+      try {
+        expect(await lookup('localhost')).toEqual(expect.arrayContaining([expect.objectContaining({ address: expect.any(String) })]));
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    test('deliveries should be signed JSON POSTs to a local receiver', async () => {
+      const secret = 'a-sufficiently-long-secret';
+      const received = [];
+      let status = 204;
+
+      const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = status;
+          res.end();
+        });
+      });
+      await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+      jest.replaceProperty(config.webhooks, 'allowedHosts', ['127.0.0.1']);
+
+      try {
+        const webhook = { id: uuidv4(), url: `http://127.0.0.1:${receiver.address().port}/hooks`, secret };
+        const delivery = { id: uuidv4(), eventType: 'TodoCompleted', payload: { id: uuidv4(), type: 'TodoCompleted' } };
+
+        const result = await webhookService.post(webhook, delivery);
+        expect(result).toEqual({ ok: true, responseStatus: 204, error: null });
+
+        const [{ headers, body }] = received;
+        expect(headers['content-type']).toBe('application/json');
+        expect(headers['x-webhook-event']).toBe('TodoCompleted');
+        expect(headers['x-webhook-delivery']).toBe(delivery.id);
+        expect(JSON.parse(body)).toEqual(delivery.payload);
+        expect(verifySignature(secret, headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(true);
+        expect(verifySignature('another-secret-value', headers['x-webhook-timestamp'], body, headers['x-webhook-signature'])).toBe(false);
+
+        status = 500;
+        const failed = await webhookService.post(webhook, delivery);
+        expect(failed).toEqual({ ok: false, responseStatus: 500, error: 'Endpoint responded with 500' });
+      } finally {
+        jest.restoreAllMocks();
+        await new Promise((resolve) => receiver.close(resolve));
+      }
+    });
+
+    test('signatures should expire with their timestamp', () => {
+      const now = Math.floor(Date.now() / 1000);
+      const signature = signPayload('secret', now - 600, '{}');
+
+      expect(verifySignature('secret', now - 600, '{}', signature, { now })).toBe(false);
+      expect(verifySignature('secret', now - 600, '{}', signature, { now: now - 600 })).toBe(true);
+    });
+  });
+
+  describe('Live Updates', () => {
+    test('GET /api/v1/todos/stream should validate the filters', async () => {
+      const response = await request(app)
+        .get('/api/v1/todos/stream?status=archived')
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('streams should receive changes of their own todos that match the filters before or after', () => {
+      const user = { id: userId, tenantId: 'default' };
+      const event = (todo, changes = {}) => ({
+        type: 'TodoUpdated',
+        tenantId: 'default',
+        payload: { todo: { ownerId: userId, completed: false, priority: 'low', tags: ['Work'], ...todo }, changes },
+      });
+
+      expect(streamService.matches(event({ priority: 'high' }), { user, filters: { priority: 'high' } })).toBe(true);
+      expect(streamService.matches(event({}, { priority: { from: 'high', to: 'low' } }), { user, filters: { priority: 'high' } })).toBe(true);
+      expect(streamService.matches(event({}), { user, filters: { priority: 'high' } })).toBe(false);
+      expect(streamService.matches(event({}), { user, filters: { tag: 'work,home', tagMode: 'any' } })).toBe(true);
+      expect(streamService.matches(event({}), { user, filters: { tag: 'work,home', tagMode: 'all' } })).toBe(false);
+      expect(streamService.matches(event({ ownerId: uuidv4() }), { user, filters: {} })).toBe(false);
+      expect(streamService.matches(event({ parentId: uuidv4() }), { user, filters: {} })).toBe(false);
+      expect(streamService.eventName(event({}, { completed: { from: true, to: false } }))).toBe('todo.toggled');
+    });
+
+    test('resuming after more missed events than are replayed should send a reset', async () => {
+      const user = { id: userId, tenantId: 'default' };
+      const missed = Array.from({ length: 1001 }, (_, index) => ({
+        position: 101 + index,
+        type: 'TodoUpdated',
+        tenantId: 'default',
+        createdAt: new Date().toISOString(),
+        payload: { todo: { ownerId: userId, completed: false }, changes: {} },
+      }));
+      jest.spyOn(streamService, 'start').mockImplementation(() => {});
+      jest.spyOn(OutboxEvent, 'query')
+        .mockReturnValueOnce(queryOf(missed))
+        .mockReturnValueOnce(queryOf({ position: 1500 }));
+
+      const send = jest.fn();
+      try {
+        const unsubscribe = await streamService.subscribe({
+          user, filters: {}, lastEventId: 100, send, heartbeat: () => {}, end: () => {},
+        });
+        unsubscribe();
+
+        expect(send.mock.calls).toEqual([[{ id: '1500', event: 'reset', data: { reason: 'replay_limit_exceeded' } }]]);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+  });
+
+  describe('Delta Sync', () => {
+    test('GET /api/v1/todos/changes should reject malformed and expired sync tokens', async () => {
+      await request(app)
+        .get('/api/v1/todos/changes?since=not-a-token')
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      const expired = syncService.encodeToken(new Date('2000-01-01T00:00:00.000Z'), null);
+      const response = await request(app)
+        .get(`/api/v1/todos/changes?since=${expired}`)
+        .set('Authorization', authHeader)
+        .expect(410);
+
+      expect(response.body.error.code).toBe('GONE');
+    });
+
+    test('POST /api/v1/todos/sync should validate the batch and require write access', async () => {
+      const clientTimestamp = new Date().toISOString();
+
+      const invalid = await request(app)
+        .post('/api/v1/todos/sync')
+        .set('Authorization', authHeader)
+        .send({ mutations: [{ mutationId: '1', op: 'update', data: { title: 'No ID' }, clientTimestamp }] })
+        .expect(400);
+
+      expect(invalid.body.error.details[0].field).toBe('mutations.0.id');
+
+      await request(app)
+        .post('/api/v1/todos/sync')
+        .set('Authorization', readonlyHeader)
+        .send({ mutations: [{ mutationId: '1', op: 'create', data: { title: 'Offline' }, clientTimestamp }] })
+        .expect(403);
+    });
+
+    test('mutations should conflict with newer server changes unless the batch wrote them', () => {
+      const now = new Date('2025-01-06T09:00:00.000Z');
+      const todo = { version: 3, updatedAt: '2025-01-06T08:30:00.000Z', deletedAt: null };
+
+      expect(syncService.conflictReason(todo, { baseVersion: 3 }, now)).toBeNull();
+      expect(syncService.conflictReason(todo, { baseVersion: 2 }, now)).toBe('version_mismatch');
+      expect(syncService.conflictReason(todo, { clientTimestamp: '2025-01-06T08:00:00.000Z' }, now)).toBe('modified_after');
+      expect(syncService.conflictReason(todo, { clientTimestamp: '2025-01-06T08:45:00.000Z' }, now)).toBeNull();
+      expect(syncService.conflictReason(todo, { clientTimestamp: '2025-01-06T08:00:00.000Z' }, now, 3)).toBeNull();
+      expect(syncService.conflictReason({ ...todo, deletedAt: now.toISOString() }, { baseVersion: 3 }, now)).toBe('deleted');
+    });
+
+    test('rejected mutations should carry the code of the error', async () => {
+      const findTodo = jest.spyOn(syncService, 'findTodo').mockResolvedValue(null);
+
+      try {
+        const result = await syncService.applyMutation(
+          { id: userId, tenantId: 'default' },
+          { mutationId: '1', op: 'delete', id: uuidv4(), clientTimestamp: new Date().toISOString() },
+          new Date(),
+          new Map()
+        );
+
+        expect(result.status).toBe('rejected');
+        expect(result.error).toEqual({ code: 'TODO_NOT_FOUND', message: 'Todo not found' });
+      } finally {
+        findTodo.mockRestore();
+      }
+    });
+  });
+
+  describe('Collaboration', () => {
+    test('sockets should authenticate at the handshake, share presence and validate mutations', async () => {
+      const server = http.createServer(app);
+      collaborationServer.attach(server);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const url = `ws://127.0.0.1:${server.address().port}/api/v1/collaboration`;
+
+      const connect = (headers) => new Promise((resolve, reject) => {
+        const ws = new WebSocket(url, { headers });
+        ws.messages = [];
+        ws.on('message', (data) => ws.messages.push(JSON.parse(data.toString())));
+        ws.on('open', () => resolve(ws));
+        ws.on('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+        ws.on('error', reject);
+      });
+      const reply = (ws, message) => new Promise((resolve) => {
+        ws.on('message', function onMessage(data) {
+          const received = JSON.parse(data.toString());
+          if (received.requestId !== message.requestId) return;
+          ws.off('message', onMessage);
+          resolve(received);
+        });
+        ws.send(JSON.stringify(message));
+      });
+      const sockets = [];
+
+      try {
+        expect(await connect({})).toEqual({ status: 401 });
+
+        const member = await connect({ Authorization: authHeader });
+        const reader = await connect({ Authorization: readonlyHeader });
+        sockets.push(member, reader);
+
+        const subscribed = await reply(member, { type: 'subscribe', requestId: '1', list: 'groceries' });
+        expect(subscribed.data.members).toHaveLength(1);
+
+        await reply(reader, { type: 'subscribe', requestId: '2', list: 'groceries' });
+        await reply(reader, { type: 'presence', requestId: '3', list: 'groceries', status: 'away' });
+        expect(member.messages.filter((message) => message.type === 'presence').map((message) => message.status))
+          .toEqual(['online', 'away']);
+
+        const invalid = await reply(member, { type: 'mutate', requestId: '4', action: 'update', id: 'nope', data: { title: '' } });
+        expect(invalid.error.code).toBe('VALIDATION_ERROR');
+        expect(invalid.error.details.map((detail) => detail.field)).toEqual(['id', 'data.title']);
+
+        const forbidden = await reply(reader, { type: 'mutate', requestId: '5', action: 'create', data: { title: 'Milk' } });
+        expect(forbidden.error.code).toBe('PERMISSION_DENIED');
+
+        // The token is kept on the connection, which closes with 4401 once it expires
+        const expiring = await connect({ Authorization: authHeader });
+        const client = [...collaborationServer.clients].find(({ id }) => id === expiring.messages[0].connectionId);
+        expect(client.expiresAt).toBeGreaterThan(Date.now());
+
+        client.expiresAt = Date.now() - 1000;
+        const closeCode = new Promise((resolve) => expiring.on('close', resolve));
+        expiring.send(JSON.stringify({ type: 'mutate', requestId: '6', action: 'create', data: { title: 'Milk' } }));
+        expect(await closeCode).toBe(4401);
+      } finally {
+        const closed = sockets.map((ws) => new Promise((resolve) => ws.on('close', resolve)));
+        collaborationServer.closeAll();
+        await Promise.all(closed);
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe('API Documentation', () => {
+    test('every route should be documented', () => {
+      const routeKeys = listRoutes().map((route) => route.key);
+
+      const undocumented = routeKeys.filter((key) => !operations[key]);
+      const stale = Object.keys(operations).filter((key) => !routeKeys.includes(key));
+
+      expect(undocumented).toEqual([]);
+      expect(stale).toEqual([]);
+    });
+
+    test('every route should have a path in the OpenAPI document', () => {
+      const spec = buildSpec();
+
+      listRoutes().forEach((route) => {
+        const prefix = route.mount.versioned ? '/api/v1' : '';
+        const specPath = `${prefix}${route.path}`.replace(/:(\w+)/g, '{$1}');
+        expect(spec.paths[specPath]).toBeDefined();
+        expect(spec.paths[specPath][route.method]).toBeDefined();
+      });
+    });
+
+    test('should describe parameters, bodies and permissions from the routes', () => {
+      const spec = buildSpec();
+
+      const createTodo = spec.paths['/api/v1/todos'].post;
+      expect(createTodo.requestBody.content['application/json'].schema.$ref).toBe('#/components/schemas/CreateTodo');
+      expect(spec.components.schemas.CreateTodo.required).toEqual(['title']);
+      expect(createTodo['x-permissions']).toEqual(['todos:write']);
+      expect(createTodo.responses['201']).toBeDefined();
+
+      const listTodos = spec.paths['/api/v1/todos'].get;
+      const limit = listTodos.parameters.find((parameter) => parameter.name === 'limit');
+      expect(limit).toMatchObject({ in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } });
+
+      const getTodo = spec.paths['/api/v1/todos/{id}'].get;
+      expect(getTodo.parameters).toContainEqual(
+        expect.objectContaining({ name: 'id', in: 'path', required: true })
+      );
+      expect(getTodo.security).toBeDefined();
+
+      expect(spec.paths['/health'].get.security).toBeUndefined();
+      expect(spec.components.schemas.Webhook.properties.secret).toBeUndefined();
+    });
+
+    test('GET /api-docs/openapi.json should return the OpenAPI document', async () => {
+      const response = await request(app)
+        .get('/api-docs/openapi.json')
+        .expect(200);
+
+      expect(response.body.openapi).toBe('3.1.0');
+      expect(response.body.paths['/api/v1/todos']).toBeDefined();
+    });
+
+    test('GET /api-docs should serve Swagger UI', async () => {
+      const response = await request(app)
+        .get('/api-docs/')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toContain('swagger-ui');
+    });
+  });
+
+  describe('GraphQL', () => {
+    const graphql = (query, variables, header = authHeader) => request(app)
+      .post('/graphql')
+      .set('Authorization', header)
+      .send({ query, variables });
+
+    test('should create and fetch todos with nested fields', async () => {
+      const created = await graphql(
+        'mutation Create($input: CreateTodoInput!) { createTodo(input: $input) { id title priority tags } }',
+        { input: { title: 'GraphQL Todo', priority: 'high', tags: ['graphql'] } }
+      ).expect(200);
+
+      expect(created.body.errors).toBeUndefined();
+      expect(created.body.data.createTodo).toMatchObject({ title: 'GraphQL Todo', priority: 'high', tags: ['graphql'] });
+
+      const response = await graphql(
+        '{ todos(tag: "graphql") { data { id title subtasks { id } blockedBy { id } } pagination { totalItems } } stats { total } }'
+      ).expect(200);
+
+      expect(response.body.data.todos.data.map((todo) => todo.id)).toContain(created.body.data.createTodo.id);
+      expect(response.body.data.stats.total).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/graphql')
+        .send({ query: '{ stats { total } }' })
+        .expect(401);
+    });
+
+    test('should reject malformed and invalid queries', async () => {
+      await request(app)
+        .post('/graphql')
+        .set('Authorization', authHeader)
+        .send({})
+        .expect(400);
+
+      const syntax = await graphql('{ todos(').expect(400);
+      expect(syntax.body.errors[0].extensions.code).toBe('GRAPHQL_PARSE_FAILED');
+
+      const unknown = await graphql('{ unknownField }').expect(400);
+      expect(unknown.body.errors[0].extensions.code).toBe('GRAPHQL_VALIDATION_FAILED');
+    });
+
+    test('should validate arguments with the REST schemas', async () => {
+      const response = await graphql('{ todos(limit: 500) { data { id } } }').expect(200);
+
+      expect(response.body.data).toBeNull();
+      expect(response.body.errors[0].extensions.code).toBe('VALIDATION_ERROR');
+      expect(response.body.errors[0].extensions.details[0].field).toBe('limit');
+    });
+
+    test('mutations should require the permissions of the REST endpoints', async () => {
+      const create = await graphql('mutation { createTodo(input: { title: "Nope" }) { id } }', undefined, readonlyHeader)
+        .expect(200);
+      expect(create.body.errors[0].extensions).toEqual({ code: 'PERMISSION_DENIED', statusCode: 403 });
+
+      const bulk = await graphql(`mutation { bulkDeleteTodos(ids: ["${uuidv4()}"]) { deletedCount } }`)
+        .expect(200);
+      expect(bulk.body.errors[0].extensions.code).toBe('PERMISSION_DENIED');
+    });
+
+    test('should reject queries over the depth and complexity limits', async () => {
+      const deep = await graphql(
+        '{ todo(id: "x") { parent { parent { parent { parent { parent { parent { parent { parent { id } } } } } } } } } }'
+      ).expect(400);
+      expect(deep.body.errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+      expect(deep.body.errors[0].message).toMatch(/depth/);
+
+      const complex = await graphql(
+        'query Q($limit: Int) { todos(limit: $limit) { data { subtasks { subtasks { id } } } } }',
+        { limit: 100 }
+      ).expect(400);
+      expect(complex.body.errors[0].message).toMatch(/complexity/);
+    });
+
+    test('complexity should count lists at their limit', () => {
+      const measure = (query, variables) => {
+        const document = parse(query);
+        return measureOperation(graphqlSchema, document, getOperationAST(document), variables);
+      };
+
+      // todos + 20 todos with 10 subtasks each
+      expect(measure('{ todos(limit: 20) { data { title subtasks { id } } } }'))
+        .toEqual({ depth: 4, complexity: 1 + 20 * (1 + 10) });
+
+      // Fragments count like inline selections; introspection is free
+      expect(measure(
+        'query { todo(id: "x") { ...Fields } __schema { types { name } } } fragment Fields on Todo { parent { id } }'
+      )).toEqual({ depth: 3, complexity: 2 });
+    });
+  });
+
+  describe('gRPC', () => {
+    let client;
+
+    const metadataFor = (header) => {
+      const metadata = new grpc.Metadata();
+      if (header) metadata.set('authorization', header);
+      return metadata;
+    };
+
+    const rpc = (method, message, header = authHeader) => new Promise((resolve, reject) => {
+      client[method](message, metadataFor(header), (error, response) => (error ? reject(error) : resolve(response)));
+    });
+
+    beforeAll(async () => {
+      const port = await grpcServer.start({ host: '127.0.0.1', port: 0 });
+      client = new todoProto.TodoService(`127.0.0.1:${port}`, grpc.credentials.createInsecure());
+    });
+
+    afterAll(async () => {
+      client.close();
+      await grpcServer.stop();
+    });
+
+    test('should create, fetch and toggle todos', async () => {
+      const created = await rpc('CreateTodo', {
+        todo: { title: 'gRPC Todo', priority: 'PRIORITY_HIGH', tags: ['grpc'] },
+      });
+      expect(created).toMatchObject({ title: 'gRPC Todo', priority: 'PRIORITY_HIGH', tags: ['grpc'], version: 1 });
+
+      const fetched = await rpc('GetTodo', { id: created.id });
+      expect(fetched.title).toBe('gRPC Todo');
+
+      const list = await rpc('ListTodos', { tags: ['grpc'], includeTotal: true });
+      expect(list.todos.map((todo) => todo.id)).toContain(created.id);
+
+      const toggled = await rpc('ToggleTodo', { id: created.id, expectedVersion: 1 });
+      expect(toggled.completed).toBe(true);
+    });
+
+    test('should require authentication', async () => {
+      const error = await rpc('GetStats', {}, null).catch((err) => err);
+
+      expect(error.code).toBe(grpc.status.UNAUTHENTICATED);
+      expect(error.metadata.get('error-code')).toEqual(['AUTHENTICATION_REQUIRED']);
+    });
+
+    test('should validate requests with the REST schemas', async () => {
+      const create = await rpc('CreateTodo', { todo: {} }).catch((err) => err);
+      expect(create.code).toBe(grpc.status.INVALID_ARGUMENT);
+      expect(create.details).toMatch(/Title is required/);
+      expect(create.metadata.get('error-code')).toEqual(['VALIDATION_ERROR']);
+
+      const get = await rpc('GetTodo', { id: 'not-a-uuid' }).catch((err) => err);
+      expect(get.code).toBe(grpc.status.INVALID_ARGUMENT);
+
+      const mask = await rpc('UpdateTodo', {
+        id: uuidv4(),
+        todo: { title: 'Masked' },
+        updateMask: { paths: ['title', 'owner_id'] },
+      }).catch((err) => err);
+      expect(mask.code).toBe(grpc.status.INVALID_ARGUMENT);
+      expect(mask.details).toMatch(/owner_id/);
+    });
+
+    test('writes should require todos:write', async () => {
+      const error = await rpc('CreateTodo', { todo: { title: 'Nope' } }, readonlyHeader).catch((err) => err);
+
+      expect(error.code).toBe(grpc.status.PERMISSION_DENIED);
+      expect(error.metadata.get('error-code')).toEqual(['PERMISSION_DENIED']);
+    });
+
+    test('WatchTodos should reject an invalid last_event_id', async () => {
+      const call = client.WatchTodos({ lastEventId: 'latest' }, metadataFor(authHeader));
+
+      const error = await new Promise((resolve) => {
+        call.on('data', () => {});
+        call.on('error', resolve);
+      });
+      expect(error.code).toBe(grpc.status.INVALID_ARGUMENT);
+    });
+  });
+
+  describe('Problem Details', () => {
+    const PROBLEM = 'application/problem+json';
+
+    test('errors should be problem details when the client accepts them', async () => {
+      const response = await request(app)
+        .get('/api/v1/todos')
+        .set('Accept', PROBLEM)
+        .expect('Content-Type', /application\/problem\+json/)
+        .expect(401);
+
+      expect(response.body).toEqual({
+        type: '/problems/authentication-required',
+        title: 'Authentication Required',
+        status: 401,
+        detail: 'Authentication required',
+        instance: `urn:uuid:${response.headers['x-request-id']}`,
+        code: 'AUTHENTICATION_REQUIRED',
+      });
+      expect(response.headers.vary).toMatch(/Accept/);
+    });
+
+    test('validation problems should list the invalid fields', async () => {
+      const response = await request(app)
+        .post('/api/v1/api-keys')
+        .set('Authorization', adminHeader)
+        .set('Accept', PROBLEM)
+        .send({ name: 'Reporting service', scopes: ['apikeys:manage'] })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.errors[0]).toEqual({ field: 'scopes.0', message: expect.any(String) });
+    });
+
+    test('unknown routes should have their own code', async () => {
+      const response = await request(app)
+        .get('/api/v1/nothing-here')
+        .set('Accept', `${PROBLEM}, application/json;q=0.5`)
+        .expect(404);
+
+      expect(response.body.code).toBe('ROUTE_NOT_FOUND');
+    });
+
+    test('the legacy error body should stay the default for JSON clients', async () => {
+      const response = await request(app)
+        .get('/api/v1/todos')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /application\/json/)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('every error code should be registered with a status and title', () => {
+      expect(new ApiError(404, 'Missing').code).toBe('NOT_FOUND');
+
+      Object.values(ERRORS).forEach(({ status, title }) => {
+        expect(status).toBeGreaterThanOrEqual(400);
+        expect(title).toEqual(expect.any(String));
+      });
+    });
+  });
+
+  describe('Database Errors', () => {
+    const driverError = (code, errno) => Object.assign(new Error(`${code}: database says no`), { code, errno });
+
+    test('a refused connection should be a 503 from the service', async () => {
+      const spy = jest.spyOn(Todo, 'getStatistics').mockRejectedValueOnce(driverError('ECONNREFUSED'));
+
+      try {
+        const response = await request(app)
+          .get('/api/v1/todos/stats')
+          .set('Authorization', authHeader)
+          .set('Accept', 'application/problem+json')
+          .expect(503);
+
+        expect(response.body.code).toBe('DATABASE_UNAVAILABLE');
+        expect(response.body.detail).toBe('Database connection failed');
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    test('services should rethrow database errors as their typed errors', async () => {
+      const user = { id: userId, tenantId: 'default', role: 'admin' };
+      const timeout = () => {
+        throw new DBError({ nativeError: driverError('ER_LOCK_WAIT_TIMEOUT', 1205) });
+      };
+      [Webhook, ApiKey, AuditLog].forEach((model) => jest.spyOn(model, 'query').mockImplementation(timeout));
+
+      try {
+        const timedOut = { statusCode: 504, code: 'DATABASE_TIMEOUT' };
+        await expect(webhookService.listWebhooks(user)).rejects.toMatchObject(timedOut);
+        await expect(apiKeyService.listApiKeys(user)).rejects.toMatchObject(timedOut);
+        await expect(auditService.getEntityHistory('todo', uuidv4(), user)).rejects.toMatchObject(timedOut);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    test('driver errors should be translated into typed errors keeping the cause', () => {
+      const duplicate = driverError('ER_DUP_ENTRY', 1062);
+      const wrapped = new UniqueViolationError({
+        nativeError: duplicate, client: 'mysql', table: 'tags', columns: ['name'], constraint: 'tags_name_unique',
+      });
+
+      expect(translateDatabaseError(wrapped)).toMatchObject({ statusCode: 409, code: 'DUPLICATE_VALUE', cause: wrapped });
+      expect(translateDatabaseError(duplicate)).toMatchObject({ statusCode: 409, code: 'DUPLICATE_VALUE' });
+      expect(translateDatabaseError(new DBError({ nativeError: driverError('ER_LOCK_WAIT_TIMEOUT', 1205) })))
+        .toMatchObject({ statusCode: 504, code: 'DATABASE_TIMEOUT' });
+      expect(translateDatabaseError(new DBError({ nativeError: driverError('ER_LOCK_DEADLOCK', 1213) })))
+        .toMatchObject({ statusCode: 409, code: 'TRANSACTION_CONFLICT' });
+      expect(translateDatabaseError(driverError('PROTOCOL_CONNECTION_LOST')))
+        .toMatchObject({ statusCode: 503, code: 'DATABASE_UNAVAILABLE' });
+    });
+
+    test('model validation errors should list the invalid fields', () => {
+      let invalid;
+      try {
+        Todo.fromJson({ title: '' });
+      } catch (error) {
+        invalid = error;
+      }
+
+      const error = translateDatabaseError(invalid);
+      expect(error.statusCode).toBe(400);
+      expect(error.details).toEqual([{ field: 'title', message: expect.any(String) }]);
+    });
+
+    test('other errors should stay 500s with the cause for logging', () => {
+      const bug = new TypeError('Cannot read properties of undefined');
+      const notFound = new ApiError(404, 'Todo not found');
+
+      expect(translateDatabaseError(notFound)).toBeNull();
+      expect(toApiError(bug, 'Failed to fetch todos')).toMatchObject({
+        statusCode: 500,
+        message: 'Failed to fetch todos',
+        cause: bug,
+      });
+    });
+
+    test('API errors should pass through toApiError unchanged', () => {
+      const notFound = new ApiError(404, 'Todo not found');
+
+      expect(toApiError(notFound, 'Failed to fetch todo')).toBe(notFound);
+    });
+  });
+
+  describe('Reminders', () => {
+    test('the closest reached offset should be due, then the overdue reminder', () => {
+      const now = new Date('2025-01-01T12:00:00.000Z');
+      const settings = { offsetsSeconds: [86400, 3600], maxDelaySeconds: 86400 };
+      const inHours = (hours) => new Date(now.getTime() + hours * 3600 * 1000);
+
+      expect(reminderService.dueOffset(inHours(48), now, settings)).toBeNull();
+      expect(reminderService.dueOffset(inHours(5), now, settings)).toBe(86400);
+      expect(reminderService.dueOffset(inHours(0.5), now, settings)).toBe(3600);
+      expect(reminderService.dueOffset(inHours(-1), now, settings)).toBe(0);
+      expect(reminderService.dueOffset(inHours(-48), now, settings)).toBeNull();
+    });
+
+    describe('scheduled sending', () => {
+      const now = new Date('2025-01-01T12:00:00.000Z');
+      const dueIn30Minutes = '2025-01-01T12:30:00.000Z';
+
+      afterEach(() => jest.restoreAllMocks());
+
+      test('sendDueReminders should send each reminder once per due date', async () => {
+        const todos = [
+          { id: 'todo-1', tenantId: 'default', dueDate: dueIn30Minutes },
+          { id: 'todo-2', tenantId: 'default', dueDate: dueIn30Minutes },
+          { id: 'todo-3', tenantId: 'default', dueDate: '2025-01-05T12:00:00.000Z' },
+        ];
+        jest.spyOn(Todo, 'acrossTenants').mockReturnValue(queryOf(todos));
+        jest.spyOn(TodoReminder, 'query').mockReturnValue(queryOf([
+          { todoId: 'todo-2', dueDate: dueIn30Minutes, offsetSeconds: 3600 },
+        ]));
+        const send = jest.spyOn(reminderService, 'send').mockResolvedValue(true);
+
+        await expect(reminderService.sendDueReminders(now)).resolves.toBe(1);
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send).toHaveBeenCalledWith(todos[0], new Date(dueIn30Minutes), 3600);
+      });
+
+      test('sendDueReminders should not count reminders another replica sent first', async () => {
+        jest.spyOn(Todo, 'acrossTenants').mockReturnValue(queryOf([
+          { id: 'todo-1', tenantId: 'default', dueDate: dueIn30Minutes },
+        ]));
+        jest.spyOn(TodoReminder, 'query').mockReturnValue(queryOf([]));
+        jest.spyOn(reminderService, 'send').mockResolvedValue(false);
+
+        await expect(reminderService.sendDueReminders(now)).resolves.toBe(0);
+      });
+
+      test('send should skip todos completed or rescheduled since they were selected', async () => {
+        const todo = { id: 'todo-1', tenantId: 'default', dueDate: dueIn30Minutes };
+        jest.spyOn(TodoReminder, 'transaction').mockImplementation((run) => run({}));
+        jest.spyOn(Todo, 'acrossTenants')
+          .mockReturnValueOnce(queryOf({ ...todo, completed: true }))
+          .mockReturnValueOnce(queryOf({ ...todo, completed: false, dueDate: '2025-01-02T12:30:00.000Z' }));
+        const insert = jest.spyOn(TodoReminder, 'query');
+
+        await expect(reminderService.send(todo, new Date(dueIn30Minutes), 3600)).resolves.toBe(false);
+        await expect(reminderService.send(todo, new Date(dueIn30Minutes), 3600)).resolves.toBe(false);
+        expect(insert).not.toHaveBeenCalled();
+      });
+
+      test('only the holder of the reminders lease should send reminders', async () => {
+        const acquire = jest.spyOn(leaseService, 'acquire').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+        const sendDueReminders = jest.spyOn(reminderService, 'sendDueReminders').mockResolvedValue(2);
+
+        await expect(reminderService.runScheduled()).resolves.toBe(0);
+        expect(sendDueReminders).not.toHaveBeenCalled();
+
+        await expect(reminderService.runScheduled()).resolves.toBe(2);
+        expect(acquire).toHaveBeenCalledWith('reminders', expect.any(Number));
+        expect(sendDueReminders).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('Dependencies', () => {
+    test('topological order should put blockers first and detect cycles', () => {
+      expect(topologicalOrder(['a', 'b', 'c'], [['a', 'c'], ['c', 'b']])).toEqual(['b', 'c', 'a']);
+      expect(topologicalOrder(['a', 'b'], [['a', 'b'], ['b', 'a']])).toBeNull();
+    });
+
+    test('GET /api/v1/todos/execution-order should require valid IDs', async () => {
+      await request(app)
+        .get('/api/v1/todos/execution-order?ids=not-an-id')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    test('blocked todos should not be completed unless forced and cycles should be rejected', async () => {
+      const blocker = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Blocker Todo' })
+        .expect(201);
+
+      const blocked = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Blocked Todo', blockedBy: [blocker.body.data.id] })
+        .expect(201);
+
+      expect(blocked.body.data.isBlocked).toBe(true);
+      expect(blocked.body.data.blockedBy).toEqual([blocker.body.data.id]);
+
+      await request(app)
+        .put(`/api/v1/todos/${blocker.body.data.id}`)
+        .set('Authorization', authHeader)
+        .send({ blockedBy: [blocked.body.data.id] })
+        .expect(400);
+
+      const refused = await request(app)
+        .patch(`/api/v1/todos/${blocked.body.data.id}/toggle`)
+        .set('Authorization', authHeader)
+        .set('Accept', 'application/problem+json')
+        .expect(409);
+
+      expect(refused.body.code).toBe('TODO_BLOCKED');
+
+      const order = await request(app)
+        .get(`/api/v1/todos/execution-order?ids=${blocked.body.data.id},${blocker.body.data.id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(order.body.data.map((todo) => todo.id)).toEqual([blocker.body.data.id, blocked.body.data.id]);
+
+      const forced = await request(app)
+        .patch(`/api/v1/todos/${blocked.body.data.id}/toggle?force=true`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(forced.body.data.completed).toBeTruthy();
+    });
+
+    test('updates completing a blocked todo should be refused unless forced', async () => {
+      const blocker = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Blocker Todo' })
+        .expect(201);
+
+      const blocked = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Blocked Todo', blockedBy: [blocker.body.data.id] })
+        .expect(201);
+
+      const refused = await request(app)
+        .put(`/api/v1/todos/${blocked.body.data.id}`)
+        .set('Authorization', authHeader)
+        .set('Accept', 'application/problem+json')
+        .send({ completed: true })
+        .expect(409);
+
+      expect(refused.body.code).toBe('TODO_BLOCKED');
+
+      const bulk = await request(app)
+        .patch('/api/v1/todos/bulk')
+        .set('Authorization', adminHeader)
+        .set('Accept', 'application/problem+json')
+        .send({ ids: [blocked.body.data.id], updateData: { completed: true } })
+        .expect(409);
+
+      expect(bulk.body.code).toBe('TODO_BLOCKED');
+
+      const forced = await request(app)
+        .put(`/api/v1/todos/${blocked.body.data.id}?force=true`)
+        .set('Authorization', authHeader)
+        .send({ completed: true })
+        .expect(200);
+
+      expect(forced.body.data.completed).toBeTruthy();
+    });
+
+    test('linking and completing a blocker should change the ETags of both todos', async () => {
+      const create = (body) => request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send(body)
+        .expect(201);
+      const fetch = (id, etag) => request(app)
+        .get(`/api/v1/todos/${id}`)
+        .set('Authorization', authHeader)
+        .set('If-None-Match', etag);
+
+      const blocker = await create({ title: 'ETag Blocker' });
+      const blockerId = blocker.body.data.id;
+      const blockerEtag = blocker.headers.etag;
+
+      const blocked = await create({ title: 'ETag Blocked', blockedBy: [blockerId] });
+      const blockedId = blocked.body.data.id;
+
+      const linked = await fetch(blockerId, blockerEtag).expect(200);
+      expect(linked.body.data.blocks).toEqual([blockedId]);
+      expect(linked.headers.etag).not.toBe(blockerEtag);
+
+      await request(app)
+        .patch(`/api/v1/todos/${blockerId}/toggle`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const unblocked = await fetch(blockedId, blocked.headers.etag).expect(200);
+      expect(unblocked.body.data.isBlocked).toBe(false);
+      expect(unblocked.headers.etag).not.toBe(blocked.headers.etag);
+    });
+  });
+
+  describe('Search', () => {
+    test('search terms should be highlighted in escaped snippets', () => {
+      const terms = parseSearchQuery('+deploy -staging "release notes"');
+
+      expect(toBooleanQuery(terms)).toBe('+deploy -staging "release notes"');
+      expect(highlight('Deploy <app> with release notes', buildHighlightPattern(terms)))
+        .toBe('<mark>Deploy</mark> &lt;app&gt; with <mark>release notes</mark>');
+    });
+
+    test('GET /api/v1/todos?sortBy=relevance should require a search term', async () => {
+      await request(app)
+        .get('/api/v1/todos?sortBy=relevance')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    test('GET /api/v1/todos?search= should rank matches and include highlights', async () => {
+      await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', authHeader)
+        .send({ title: 'Quarterly report', description: 'Draft the quarterly report for finance' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/todos?search=quarterly&sortBy=relevance')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body.data[0].relevance).toBeGreaterThan(0);
+      expect(response.body.data[0].highlights.title).toContain('<mark>Quarterly</mark>');
+    });
+  });
+
   describe('Validation', () => {
     test('POST /api/v1/todos should return 400 for invalid data', async () => {
       const invalidData = {
@@ -115,6 +2003,7 @@ describe('Todo API', () => {
 
       const response = await request(app)
         .post('/api/v1/todos')
+        .set('Authorization', authHeader)
         .send(invalidData)
         .expect(400);
 
@@ -125,6 +2014,7 @@ describe('Todo API', () => {
     test('GET /api/v1/todos with invalid UUID should return 404', async () => {
       await request(app)
         .get('/api/v1/todos/invalid-uuid')
+        .set('Authorization', authHeader)
         .expect(400);
     });
   });
@@ -133,6 +2023,7 @@ describe('Todo API', () => {
     test('GET /api/v1/todos/stats should return statistics', async () => {
       const response = await request(app)
         .get('/api/v1/todos/stats')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);